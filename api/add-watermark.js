@@ -1,134 +1,73 @@
 const sharp = require('sharp');
+const { parseImageRequest, loadImageInput } = require('../lib/image-input');
+const { inspectImage, openImage, checkOutputSize } = require('../lib/image-limits');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { validateRequest } = require('../lib/request-validation');
 
 module.exports = async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'POST, OPTIONS');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use POST.'));
     }
 
-    try {
-        const { imageData, imageUrl, logoData, logoUrl, position = 'top-right', size = 15, offsetX = 0, offsetY = 0 } = req.body;
-
-        // Helper function to check if a string is a URL
-        function isUrl(str) {
-            if (typeof str !== 'string') return false;
-            return str.startsWith('http://') || str.startsWith('https://');
-        }
-
-        // Determine image source (prioritize imageUrl, then check if imageData is a URL)
-        const imageSource = imageUrl || imageData;
-        if (!imageSource) {
-            return res.status(400).json({ error: 'Either imageData (base64/URL) or imageUrl is required' });
-        }
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'add-watermark'))) {
+        return;
+    }
 
-        // Determine logo source (prioritize logoUrl, then check if logoData is a URL)
-        const logoSource = logoUrl || logoData;
-        if (!logoSource) {
-            return res.status(400).json({ error: 'Either logoData (base64/URL) or logoUrl is required' });
+    try {
+        // The body can be JSON, multipart/form-data ("image" and "logo" parts) or a raw image
+        // size (5-50 % of the image width), position and offsets are checked against lib/openapi.js
+        const { fields, files, source } = await parseImageRequest(req);
+        const { imageData, imageUrl, logoData, logoUrl, position = 'top-right', size = 15, offsetX = 0, offsetY = 0 } = validateRequest('AddWatermarkRequest', fields, source);
+
+        // Determine image source (uploaded file, then imageUrl, then imageData which may also be a URL)
+        if (!files.image && !imageUrl && !imageData) {
+            return sendError(req, res, new ApiError('INVALID_REQUEST', 'An image is required: upload it (multipart "image" part or raw body), or provide imageData (base64/URL) or imageUrl'));
         }
 
-        // Parse size (should be percentage of image width, 5-50%)
-        const sizePercent = Math.max(5, Math.min(50, parseFloat(size) || 15));
-        
-        // Parse offsets (pixels)
-        const offsetXPixels = parseInt(offsetX) || 0;
-        const offsetYPixels = parseInt(offsetY) || 0;
-
-        // Fetch or decode image
-        let imageBuffer;
-        const imageIsUrl = imageUrl || (imageData && isUrl(imageData));
-        
-        if (imageIsUrl) {
-            const imageUrlToFetch = imageUrl || imageData;
-            console.log('Fetching image from URL:', imageUrlToFetch.substring(0, 100) + '...');
-            try {
-                const imageResponse = await fetch(imageUrlToFetch);
-                if (!imageResponse.ok) {
-                    return res.status(400).json({ 
-                        error: `Failed to fetch image: ${imageResponse.statusText}`,
-                        status: imageResponse.status
-                    });
-                }
-                imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-            } catch (fetchError) {
-                console.error('Error fetching image:', fetchError);
-                return res.status(400).json({ 
-                    error: `Failed to fetch image from URL: ${fetchError.message}` 
-                });
-            }
-        } else {
-            // Decode base64 image
-            try {
-                const imageBase64 = imageData.split(',')[1] || imageData;
-                imageBuffer = Buffer.from(imageBase64, 'base64');
-            } catch (decodeError) {
-                return res.status(400).json({ 
-                    error: `Failed to decode image data: ${decodeError.message}` 
-                });
-            }
+        // Determine logo source (uploaded file, then logoUrl, then logoData which may also be a URL)
+        if (!files.logo && !logoUrl && !logoData) {
+            return sendError(req, res, new ApiError('INVALID_REQUEST', 'A logo is required: upload it (multipart "logo" part), or provide logoData (base64/URL) or logoUrl'));
         }
 
-        // Fetch or decode logo
-        let logoBuffer;
-        const logoIsUrl = logoUrl || (logoData && isUrl(logoData));
-        
-        if (logoIsUrl) {
-            const logoUrlToFetch = logoUrl || logoData;
-            console.log('Fetching logo from URL:', logoUrlToFetch.substring(0, 100) + '...');
-            try {
-                const logoResponse = await fetch(logoUrlToFetch);
-                if (!logoResponse.ok) {
-                    return res.status(400).json({ 
-                        error: `Failed to fetch logo: ${logoResponse.statusText}`,
-                        status: logoResponse.status
-                    });
-                }
-                logoBuffer = Buffer.from(await logoResponse.arrayBuffer());
-            } catch (fetchError) {
-                console.error('Error fetching logo:', fetchError);
-                return res.status(400).json({ 
-                    error: `Failed to fetch logo from URL: ${fetchError.message}` 
-                });
-            }
-        } else {
-            // Decode base64 logo
-            try {
-                const logoBase64 = logoData.split(',')[1] || logoData;
-                logoBuffer = Buffer.from(logoBase64, 'base64');
-            } catch (decodeError) {
-                return res.status(400).json({ 
-                    error: `Failed to decode logo data: ${decodeError.message}` 
-                });
-            }
-        }
+        // Fetch or decode image and logo
+        const imageBuffer = await loadImageInput({ file: files.image, url: imageUrl, data: imageData });
+        const logoBuffer = await loadImageInput({ file: files.logo, url: logoUrl, data: logoData }, 'logo');
 
-        // Get image dimensions
-        const imageMetadata = await sharp(imageBuffer).metadata();
+        // Get image dimensions (header only, oversized images and logos are refused before decoding)
+        const imageMetadata = await inspectImage(imageBuffer);
         const imageWidth = imageMetadata.width;
         const imageHeight = imageMetadata.height;
+        checkOutputSize(imageWidth, imageHeight);
 
         // Get original logo dimensions to calculate aspect ratio
-        const originalLogoMetadata = await sharp(logoBuffer).metadata();
+        const originalLogoMetadata = await inspectImage(logoBuffer, 'logo');
         const originalLogoWidth = originalLogoMetadata.width;
         const originalLogoHeight = originalLogoMetadata.height;
         const logoAspectRatio = originalLogoWidth / originalLogoHeight;
 
         // Calculate logo size based on percentage of image width
         // This will scale both width and height proportionally
-        const logoWidth = Math.round(imageWidth * (sizePercent / 100));
-        const logoHeight = Math.round(logoWidth / logoAspectRatio);
-        
+        let logoWidth = Math.max(1, Math.round(imageWidth * (size / 100)));
+        let logoHeight = Math.max(1, Math.round(logoWidth / logoAspectRatio));
+        // A tall, narrow logo is scaled down to the image height instead (a 2x2000 logo would otherwise be 200000 pixels tall)
+        if (logoHeight > imageHeight) {
+            logoHeight = imageHeight;
+            logoWidth = Math.max(1, Math.min(imageWidth, Math.round(logoHeight * logoAspectRatio)));
+        }
+        checkOutputSize(logoWidth, logoHeight);
+
         // Resize logo while preserving PNG transparency
         // Ensure we maintain the alpha channel and scale the entire image properly
-        const resizedLogo = await sharp(logoBuffer)
+        const resizedLogo = await openImage(logoBuffer, 'logo')
             .ensureAlpha() // Ensure alpha channel exists for transparency
             .resize(logoWidth, logoHeight, {
                 fit: 'contain', // Maintain aspect ratio, fit within dimensions
@@ -154,18 +93,15 @@ module.exports = async function handler(req, res) {
         } else if (position === 'bottom-right') {
             left = imageWidth - finalLogoWidth - padding;
             top = imageHeight - finalLogoHeight - padding;
-        } else if (position === 'bottom-left') {
+        } else {
+            // bottom-left
             left = padding;
             top = imageHeight - finalLogoHeight - padding;
-        } else {
-            // Default to top-right
-            left = imageWidth - finalLogoWidth - padding;
-            top = padding;
         }
 
         // Apply pixel offsets
-        left += offsetXPixels;
-        top += offsetYPixels;
+        left += offsetX;
+        top += offsetY;
 
         // Ensure logo stays within image bounds
         left = Math.max(0, Math.min(left, imageWidth - finalLogoWidth));
@@ -173,7 +109,7 @@ module.exports = async function handler(req, res) {
 
         // Composite logo onto image with proper transparency handling
         // Use 'over' blend mode to respect alpha channel (transparency)
-        const finalImage = await sharp(imageBuffer)
+        const finalImage = await openImage(imageBuffer)
             .composite([
                 {
                     input: resizedLogo,
@@ -190,12 +126,7 @@ module.exports = async function handler(req, res) {
         return res.status(200).send(finalImage);
 
     } catch (error) {
-        console.error('Error adding watermark:', error);
-        return res.status(500).json({
-            error: 'Failed to add watermark',
-            message: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        return sendError(req, res, error, 'Failed to add watermark');
     }
 };
 
@@ -0,0 +1,99 @@
+// Convert Latitude and Longitude to a Plus Code
+// The reverse of /api/pluscode-to-coords, computed offline: the full code, plus a short code
+// relative to the nearest city of the gazetteer (or to near=lat,lon), as shown in Google Maps
+
+const { encode, decode, shorten, areaSize } = require('../lib/plus-codes');
+const { reverseGeocode } = require('../lib/reverse-geocode');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { bodySource, validateRequest } = require('../lib/request-validation');
+
+// Short codes drop the first four digits, so the reference city must be within about 30 km
+const SHORT_CODE_MAX_DISTANCE_KM = 30;
+
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'GET, POST, OPTIONS');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use GET or POST.'));
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'coords-to-pluscode'))) {
+        return;
+    }
+
+    try {
+        // ?lat=30.4008&lon=-9.5776&codeLength=11 or a JSON body; latitude/longitude and lat/lon/lng are both accepted
+        const params = {
+            ...validateRequest('CoordsToPlusCodeParams', req.query, 'query'),
+            ...validateRequest('CoordsToPlusCodeParams', req.body && typeof req.body === 'object' ? req.body : {}, bodySource(req))
+        };
+        const latitudeParam = params.latitude !== undefined ? params.latitude : params.lat;
+        const longitudeParam = [params.longitude, params.lon, params.lng].find(v => v !== undefined);
+
+        if (latitudeParam === undefined || longitudeParam === undefined) {
+            return sendError(req, res, new ApiError('INVALID_COORDINATES', 'latitude and longitude are required. Provide them as ?lat=30.4008&lon=-9.5776 or in the request body.'));
+        }
+        const latitude = parseFloat(latitudeParam);
+        const longitude = parseFloat(longitudeParam);
+        if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            return sendError(req, res, new ApiError('INVALID_COORDINATES', 'Valid latitude (-90 to 90) and longitude (-180 to 180) are required'));
+        }
+
+        const codeLength = params.codeLength !== undefined && params.codeLength !== '' ? Number(params.codeLength) : 10;
+        const plusCode = encode(latitude, longitude, codeLength);
+        const area = decode(plusCode);
+
+        // Reference for the short code: near=lat,lon, else the nearest city (its name completes the short code)
+        let shortCode = null;
+        let locality = null;
+        if (codeLength >= 8) {
+            if (params.near !== undefined && params.near !== '') {
+                const near = String(params.near).split(/\s*[,;]\s*/).map(parseFloat);
+                if (near.length !== 2 || near.some(isNaN)) {
+                    return sendError(req, res, new ApiError('INVALID_COORDINATES', 'Invalid near parameter. Use near=lat,lon (e.g. near=30.42,-9.6)', { received: params.near }));
+                }
+                shortCode = shorten(plusCode, near[0], near[1]);
+            } else {
+                const place = reverseGeocode(latitude, longitude, {
+                    language: params.lang || params.language,
+                    maxDistance: SHORT_CODE_MAX_DISTANCE_KM
+                });
+                if (place) {
+                    shortCode = shorten(plusCode, place.place.latitude, place.place.longitude);
+                    locality = `${place.city}, ${place.country}`;
+                }
+            }
+            // The reference was too far to drop any digits
+            if (shortCode === plusCode) {
+                shortCode = null;
+                locality = null;
+            }
+        }
+
+        const round = value => Math.round(value * 1e8) / 1e8;
+        console.log(`Plus Code for ${latitude}, ${longitude}: ${plusCode}` + (shortCode ? ` (${[shortCode, locality].filter(Boolean).join(' ')})` : ''));
+        return res.status(200).json({
+            latitude: latitude,
+            longitude: longitude,
+            plusCode: plusCode,
+            shortCode: shortCode,
+            locality: locality,
+            // The form used in Google Business listings, e.g. "CC2C+8X Agadir, Morocco"
+            localCode: shortCode && locality ? `${shortCode} ${locality}` : null,
+            bounds: { south: round(area.south), west: round(area.west), north: round(area.north), east: round(area.east) },
+            precision: { codeLength: area.codeLength, ...areaSize(area) },
+            url: `https://plus.codes/${plusCode}`
+        });
+
+    } catch (error) {
+        return sendError(req, res, error, 'Failed to encode Plus Code');
+    }
+};
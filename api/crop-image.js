@@ -1,13 +1,33 @@
 // Crop image from specified edges
 // Uses sharp for server-side image processing
 
-const sharp = require('sharp');
+const { parseImageRequest, loadImageInput } = require('../lib/image-input');
+const { inspectImage, openImage, checkOutputSize } = require('../lib/image-limits');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { validateRequest } = require('../lib/request-validation');
+
+/**
+ * Get crop options from the validated request fields
+ * Accepts a cropOptions object (JSON text in multipart/query fields is parsed by the validation)
+ * or flat top/bottom/left/right fields
+ */
+function getCropOptions(fields) {
+    if (fields.cropOptions) {
+        return fields.cropOptions;
+    }
+    const edges = ['top', 'bottom', 'left', 'right'].filter(edge => fields[edge] !== undefined);
+    if (edges.length === 0) {
+        return null;
+    }
+    const cropOptions = {};
+    edges.forEach(edge => { cropOptions[edge] = fields[edge]; });
+    return cropOptions;
+}
 
 module.exports = async function handler(req, res) {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'POST, OPTIONS');
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -16,19 +36,29 @@ module.exports = async function handler(req, res) {
 
     // Only allow POST requests
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use POST.'));
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'crop-image'))) {
+        return;
     }
 
     try {
-        const { imageUrl, imageData, cropOptions } = req.body;
+        // The body can be JSON, multipart/form-data (image part) or a raw image
+        const { fields: rawFields, files, source } = await parseImageRequest(req);
+        // Crop values must be whole pixel counts of 0 or more (lib/openapi.js)
+        const fields = validateRequest('CropImageRequest', rawFields, source);
+        const { imageUrl, imageData } = fields;
+        const cropOptions = getCropOptions(fields);
 
         // Validate required fields
-        if (!imageUrl && !imageData) {
-            return res.status(400).json({ error: 'Either imageUrl or imageData (base64) is required' });
+        if (!files.image && !imageUrl && !imageData) {
+            return sendError(req, res, new ApiError('INVALID_REQUEST', 'An image is required: upload it (multipart "image" part or raw body), or provide imageUrl or imageData (base64)'));
         }
 
-        if (!cropOptions || typeof cropOptions !== 'object') {
-            return res.status(400).json({ error: 'cropOptions is required with at least one crop value' });
+        if (!cropOptions) {
+            return sendError(req, res, new ApiError('INVALID_CROP', 'cropOptions is required with at least one crop value'));
         }
 
         // Validate crop options
@@ -37,36 +67,14 @@ module.exports = async function handler(req, res) {
                        (left && left > 0) || (right && right > 0);
 
         if (!hasCrop) {
-            return res.status(400).json({ error: 'At least one crop value (top, bottom, left, or right) must be greater than 0' });
+            return sendError(req, res, new ApiError('INVALID_CROP', 'At least one crop value (top, bottom, left, or right) must be greater than 0', { cropOptions: cropOptions }));
         }
 
-        let buffer;
-
-        // Handle base64 image data
-        if (imageData) {
-            try {
-                // Remove data URL prefix if present
-                const base64Data = imageData.includes(',') ? imageData.split(',')[1] : imageData;
-                buffer = Buffer.from(base64Data, 'base64');
-                console.log('Using base64 image data');
-            } catch (e) {
-                return res.status(400).json({ error: 'Invalid base64 image data' });
-            }
-        } else {
-            // Fetch the image from URL
-            console.log('Fetching image from:', imageUrl);
-            const imageResponse = await fetch(imageUrl);
-            
-            if (!imageResponse.ok) {
-                return res.status(400).json({ error: `Failed to fetch image: ${imageResponse.statusText}` });
-            }
-
-            const imageBuffer = await imageResponse.arrayBuffer();
-            buffer = Buffer.from(imageBuffer);
-        }
+        // Use the uploaded file, or decode/fetch the image (base64 data wins over imageUrl here)
+        const buffer = await loadImageInput({ file: files.image, url: imageData ? null : imageUrl, data: imageData });
 
-        // Get image metadata to calculate crop dimensions
-        const metadata = await sharp(buffer).metadata();
+        // Get image metadata to calculate crop dimensions (header only, oversized images are refused here)
+        const metadata = await inspectImage(buffer);
         const originalWidth = metadata.width;
         const originalHeight = metadata.height;
 
@@ -81,24 +89,24 @@ module.exports = async function handler(req, res) {
 
         // Validate crop dimensions
         if (cropWidth <= 0 || cropHeight <= 0) {
-            return res.status(400).json({ 
-                error: 'Invalid crop dimensions. The crop area would result in zero or negative dimensions.',
+            return sendError(req, res, new ApiError('INVALID_CROP', 'Invalid crop dimensions. The crop area would result in zero or negative dimensions.', {
                 originalSize: { width: originalWidth, height: originalHeight },
                 cropOptions: cropOptions,
                 calculatedSize: { width: cropWidth, height: cropHeight }
-            });
+            }));
         }
 
         if (cropLeft < 0 || cropTop < 0 || cropLeft + cropWidth > originalWidth || cropTop + cropHeight > originalHeight) {
-            return res.status(400).json({ 
-                error: 'Crop area exceeds image boundaries.',
+            return sendError(req, res, new ApiError('INVALID_CROP', 'Crop area exceeds image boundaries.', {
                 originalSize: { width: originalWidth, height: originalHeight },
                 cropArea: { left: cropLeft, top: cropTop, width: cropWidth, height: cropHeight }
-            });
+            }));
         }
 
+        checkOutputSize(cropWidth, cropHeight);
+
         // Perform the crop
-        const croppedBuffer = await sharp(buffer)
+        const croppedBuffer = await openImage(buffer)
             .extract({
                 left: cropLeft,
                 top: cropTop,
@@ -116,11 +124,7 @@ module.exports = async function handler(req, res) {
         return res.status(200).send(croppedBuffer);
 
     } catch (error) {
-        console.error('Error cropping image:', error);
-        return res.status(500).json({ 
-            error: 'Failed to crop image', 
-            message: error.message 
-        });
+        return sendError(req, res, error, 'Failed to crop image');
     }
 }
 
@@ -0,0 +1,285 @@
+// Edit metadata for many images at once
+// Takes a ZIP of images plus a CSV/JSON manifest and runs the /api/edit-exif logic on every file
+// With a GPX track log, every image is geotagged from its capture time (the manifest is then optional)
+
+const path = require('path');
+const JSZip = require('jszip');
+const { editImageMetadata } = require('../lib/exif-editor');
+const { FORMATS, detectImageFormat } = require('../lib/image-format');
+const { parseGpx, resolveGeotagOptions } = require('../lib/geotag');
+const { parseImageRequest, loadImageInput } = require('../lib/image-input');
+const { getLimits, checkBytes } = require('../lib/image-limits');
+const { parseManifest } = require('../lib/manifest');
+const { getPreset } = require('../lib/preset-store');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, isKnownError, describeError, sendError } = require('../lib/api-errors');
+const { validateRequest } = require('../lib/request-validation');
+
+// Upper bound on the images processed in one request (each one goes through ExifTool)
+const MAX_BATCH_FILES = 500;
+
+// Name of the report added to the result archive
+const REPORT_NAME = 'batch-report.json';
+
+/**
+ * List the files of an archive, skipping directories and OS metadata (__MACOSX, dotfiles)
+ * @returns {Array<JSZip.JSZipObject>}
+ */
+function listArchiveFiles(zip) {
+    return Object.values(zip.files).filter(entry => {
+        if (entry.dir) return false;
+        if (entry.name.startsWith('__MACOSX/')) return false;
+        return !path.posix.basename(entry.name).startsWith('.');
+    });
+}
+
+/**
+ * Find the archive entry for a manifest file name
+ * The full path inside the archive wins; otherwise the base name must be unique
+ * @returns {{entry: Object|null, error: string|null}}
+ */
+function findArchiveEntry(entries, filename) {
+    const exact = entries.find(entry => entry.name === filename);
+    if (exact) return { entry: exact, error: null };
+
+    const matches = entries.filter(entry => path.posix.basename(entry.name) === filename);
+    if (matches.length === 1) return { entry: matches[0], error: null };
+    if (matches.length > 1) {
+        return { entry: null, error: `Ambiguous file name, use the full path (${matches.map(m => m.name).join(', ')})` };
+    }
+    return { entry: null, error: 'File not found in the archive' };
+}
+
+/**
+ * Inflate an archive entry, refusing more than maxBytes
+ * The inflated stream is counted rather than trusting the size in the ZIP directory, which a crafted
+ * archive can set lower than what it inflates to (a ZIP bomb); inflating stops once the limit is passed
+ * @returns {Promise<Buffer>}
+ * @throws {ImageLimitError} PAYLOAD_TOO_LARGE
+ */
+function readArchiveEntry(entry, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        let stopped = false;
+        const stream = entry.internalStream('nodebuffer');
+        stream.on('data', chunk => {
+            if (stopped) return;
+            received += chunk.length;
+            try {
+                checkBytes(`The file ${entry.name}`, received, 'bodyBytes', maxBytes);
+            } catch (error) {
+                // Stop inflating; chunks already on their way (from the current compressed block) are dropped
+                stopped = true;
+                stream.pause();
+                return reject(error);
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.resume();
+    });
+}
+
+/**
+ * Name of the edited file in the result archive (extension follows a format conversion)
+ */
+function outputName(name, originalFormat, format) {
+    if (originalFormat === format) return name;
+    const ext = path.posix.extname(name);
+    return name.slice(0, name.length - ext.length) + '.' + FORMATS[format].ext;
+}
+
+/**
+ * Batch API handler
+ * Returns a ZIP with the edited images and a per-file report (batch-report.json)
+ */
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'POST, OPTIONS', 'X-Batch-Succeeded, X-Batch-Failed, X-Batch-Skipped');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use POST.'));
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'edit-exif-batch'))) {
+        return;
+    }
+
+    try {
+        // multipart/form-data: "archive" (ZIP), "manifest" (CSV or JSON) and optional "gpx" parts
+        // JSON: archiveUrl or archiveData (base64) plus manifest (CSV text, JSON text or JSON value) and optional gpx (GPX text)
+        // Archives are far larger than single images, so the body may be as large as the archive limit
+        const { fields: rawFields, files, source } = await parseImageRequest(req, { maxBytes: getLimits().archiveBytes });
+        const fields = validateRequest('EditExifBatchRequest', rawFields, source);
+        const { archiveUrl, archiveData } = fields;
+
+        if (!files.archive && !archiveUrl && !archiveData) {
+            return sendError(req, res, new ApiError('INVALID_REQUEST', 'A ZIP archive is required: upload it (multipart "archive" part), or provide archiveUrl or archiveData (base64)'));
+        }
+
+        // The track and its options apply to the whole batch; manifest rows can still override the options
+        const gpx = files.gpx || fields.gpx;
+        const track = gpx ? parseGpx(gpx) : null;
+        const geotagOptions = {};
+        if (track) {
+            resolveGeotagOptions(fields);
+            for (const key of ['cameraTimezone', 'clockOffset', 'maxGap']) {
+                if (fields[key] !== undefined) geotagOptions[key] = fields[key];
+            }
+        }
+
+        // Without a manifest, a track alone geotags every image of the archive
+        const manifestInput = files.manifest || fields.manifest;
+        const manifest = !manifestInput && track ? { format: 'json', defaults: {}, rows: [] } : parseManifest(manifestInput);
+        console.log(`Manifest parsed: ${manifest.rows.length} rows, defaults: ${manifest.defaults ? 'yes' : 'no'}`);
+
+        const archiveBuffer = await loadImageInput({ file: files.archive, url: archiveUrl, data: archiveData }, 'archive');
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(archiveBuffer);
+        } catch (e) {
+            return sendError(req, res, new ApiError('INVALID_ARCHIVE', `Invalid ZIP archive: ${e.message}`));
+        }
+
+        const entries = listArchiveFiles(zip);
+        if (entries.length === 0) {
+            return sendError(req, res, new ApiError('INVALID_ARCHIVE', 'The archive contains no files'));
+        }
+        if (entries.length > MAX_BATCH_FILES) {
+            return sendError(req, res, new ApiError('INVALID_ARCHIVE', `Too many files in the archive (${entries.length}). The limit is ${MAX_BATCH_FILES}`, { files: entries.length, max: MAX_BATCH_FILES }));
+        }
+
+        // Match manifest rows to archive entries; rows without a file are reported as errors after the files
+        const report = [];
+        const unmatched = [];
+        const rowsByEntry = new Map();
+        for (const row of manifest.rows) {
+            const { entry, error } = findArchiveEntry(entries, row.filename);
+            if (!entry) {
+                unmatched.push({ file: row.filename, status: 'error', code: 'INVALID_MANIFEST', message: error, details: {} });
+            } else if (rowsByEntry.has(entry.name)) {
+                unmatched.push({ file: row.filename, status: 'error', code: 'INVALID_MANIFEST', message: `Another manifest row already targets ${entry.name}`, details: {} });
+            } else {
+                rowsByEntry.set(entry.name, row);
+            }
+        }
+
+        const output = new JSZip();
+        const outputNames = new Set();
+
+        // Rows can name a preset (e.g. one per location); each one is read once per batch
+        const presets = new Map();
+        const loadPreset = name => {
+            if (!presets.has(name)) presets.set(name, getPreset(name));
+            return presets.get(name);
+        };
+
+        // One file at a time: ExifTool and sharp are heavy, and the function has a single CPU
+        for (const entry of entries) {
+            const row = rowsByEntry.get(entry.name);
+            if (!row && !manifest.defaults) {
+                report.push({ file: entry.name, status: 'skipped', reason: 'not in manifest' });
+                continue;
+            }
+
+            // Each file may be as large as a single upload to /api/edit-exif
+            let imageBuffer;
+            try {
+                imageBuffer = await readArchiveEntry(entry, getLimits().bodyBytes);
+            } catch (error) {
+                if (!isKnownError(error)) {
+                    console.error(`Batch: could not read ${entry.name}:`, error);
+                }
+                const { code, message, details } = describeError(error, 'Failed to read the file from the archive');
+                report.push({ file: entry.name, status: 'error', code, message, details });
+                continue;
+            }
+            const originalFormat = detectImageFormat(imageBuffer);
+            if (!row && !originalFormat) {
+                // Defaults only apply to images; text files and the like are left out quietly
+                report.push({ file: entry.name, status: 'skipped', reason: 'not a supported image' });
+                continue;
+            }
+
+            // The row overrides the defaults field by field
+            const body = { ...geotagOptions, ...(manifest.defaults || {}), ...(row ? row.fields : {}) };
+            // The result archive needs the edited images; dry runs are only available on /api/edit-exif
+            delete body.dryRun;
+            console.log(`Batch: editing ${entry.name}`);
+
+            try {
+                // CSV cells are text and are converted like multipart fields; JSON manifest values must have the right types
+                const fileFields = validateRequest('BatchFileFields', body, manifest.format);
+                const preset = fileFields.preset ? await loadPreset(fileFields.preset) : null;
+                const result = await editImageMetadata(imageBuffer, fileFields, preset ? preset.fields : null, track);
+                let name = outputName(entry.name, originalFormat, result.format);
+                if (outputNames.has(name) || name === REPORT_NAME) {
+                    // e.g. photo.png converted to JPEG next to an existing photo.jpg
+                    name = outputName(entry.name.replace(/(\.[^./]*)?$/, '-edited$1'), originalFormat, result.format);
+                }
+                outputNames.add(name);
+                output.file(name, result.buffer);
+
+                const item = {
+                    file: entry.name,
+                    output: name,
+                    status: 'ok',
+                    applied: result.applied,
+                    ignored: result.ignored
+                };
+                if (result.removed) item.removed = result.removed;
+                if (result.geotag) item.geotag = result.geotag;
+                if (result.location) item.location = result.location;
+                if (result.plusCode) item.plusCode = result.plusCode;
+                report.push(item);
+            } catch (error) {
+                if (!isKnownError(error)) {
+                    console.error(`Batch: unexpected error for ${entry.name}:`, error);
+                }
+                // Same code, message and details as an error response of /api/edit-exif
+                const { code, message, details } = describeError(error, 'Failed to edit the image');
+                report.push({ file: entry.name, status: 'error', code, message, details });
+            }
+        }
+
+        report.push(...unmatched);
+        const summary = {
+            total: report.length,
+            succeeded: report.filter(r => r.status === 'ok').length,
+            failed: report.filter(r => r.status === 'error').length,
+            skipped: report.filter(r => r.status === 'skipped').length
+        };
+        if (track) {
+            // Images outside the track are reported, never placed at a guessed position
+            summary.geotagged = report.filter(r => r.geotag && r.geotag.status === 'matched').length;
+            summary.notGeotagged = report.filter(r => r.geotag && r.geotag.status !== 'matched').length;
+        }
+        console.log('Batch summary:', summary);
+
+        if (summary.succeeded === 0) {
+            return sendError(req, res, new ApiError('BATCH_FAILED', 'None of the files could be edited', { summary: summary, files: report }));
+        }
+
+        output.file(REPORT_NAME, JSON.stringify({ summary: summary, files: report }, null, 2));
+        const zipBuffer = await output.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+        res.setHeader('X-Batch-Succeeded', String(summary.succeeded));
+        res.setHeader('X-Batch-Failed', String(summary.failed));
+        res.setHeader('X-Batch-Skipped', String(summary.skipped));
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', 'attachment; filename="edited-images.zip"');
+        return res.status(200).send(zipBuffer);
+
+    } catch (error) {
+        return sendError(req, res, error, 'Failed to process batch');
+    }
+};
@@ -0,0 +1,23 @@
+// Serve the OpenAPI description of the API (lib/openapi.js)
+// Reached as /api/openapi.json through the rewrite in vercel.json; no API key needed, it is documentation
+
+const { spec } = require('../lib/openapi');
+const { applyCors } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'GET, OPTIONS');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use GET.'));
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(spec);
+};
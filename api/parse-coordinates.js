@@ -0,0 +1,52 @@
+// Parse a pasted location into latitude and longitude
+// Accepts decimal degrees, DMS, Google Maps / OpenStreetMap / Apple Maps links, geo: URIs and Plus Codes (lib/coordinates.js)
+
+const { parseCoordinates } = require('../lib/coordinates');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { bodySource, validateRequest } = require('../lib/request-validation');
+
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'GET, POST, OPTIONS');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use GET or POST.'));
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'parse-coordinates'))) {
+        return;
+    }
+
+    try {
+        // ?location=geo:30.4008,-9.5776 (or ?q=) or a JSON body {"location": "..."}
+        const params = {
+            ...validateRequest('ParseCoordinatesParams', req.query, 'query'),
+            ...validateRequest('ParseCoordinatesParams', req.body && typeof req.body === 'object' ? req.body : {}, bodySource(req))
+        };
+        const input = params.location !== undefined ? params.location : params.q;
+        if (input === undefined) {
+            return sendError(req, res, new ApiError('INVALID_COORDINATES', 'location is required. Provide it as ?location=30.4008,-9.5776 or in the request body.'));
+        }
+
+        const result = parseCoordinates(input);
+        console.log(`Parsed location (${result.format})`);
+        return res.status(200).json({
+            input: String(input),
+            latitude: result.latitude,
+            longitude: result.longitude,
+            altitude: result.altitude,
+            formatted: `${result.latitude}, ${result.longitude}`,
+            format: result.format
+        });
+
+    } catch (error) {
+        return sendError(req, res, error, 'Failed to parse location');
+    }
+};
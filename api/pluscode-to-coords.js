@@ -1,24 +1,49 @@
 // Convert Plus Code to Latitude and Longitude
-// Uses Google Maps Geocoding API which supports Plus Codes
+// Plus Codes are decoded offline (Open Location Code); short codes are completed from a reference location
+// given as near=lat,lon or from the locality after the code ("CC2C+8X Agadir")
+// Localities go through the geocoding providers of lib/geocoder.js: offline gazetteer, then Nominatim and Google if configured
+
+const { isValid, isFull } = require('../lib/plus-codes');
+const { geocode, describeShortPlusCode } = require('../lib/geocoder');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { bodySource, validateRequest } = require('../lib/request-validation');
+
+/**
+ * Parse a "lat,lon" reference location
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function parseNear(value) {
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,; ]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+    return { latitude, longitude };
+}
 
 module.exports = async function handler(req, res) {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'GET, POST, OPTIONS');
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'pluscode-to-coords'))) {
+        return;
+    }
+
     try {
-        const plusCode = req.query.pluscode || req.body.pluscode;
+        const query = validateRequest('PlusCodeToCoordsParams', req.query, 'query');
+        const body = validateRequest('PlusCodeToCoordsParams', req.body && typeof req.body === 'object' ? req.body : {}, bodySource(req));
+        const plusCode = query.pluscode || body.pluscode;
+        const near = query.near || body.near;
 
         if (!plusCode) {
-            return res.status(400).json({ 
-                error: 'Plus Code is required. Provide it as ?pluscode=CC2C+8X or in request body.' 
-            });
+            return sendError(req, res, new ApiError('INVALID_PLUS_CODE', 'Plus Code is required. Provide it as ?pluscode=CC2C+8X or in request body.'));
         }
 
         // Extract Plus Code from the input
@@ -26,7 +51,7 @@ module.exports = async function handler(req, res) {
         let cleanCode = plusCode.trim();
         
         // Try to match Plus Code pattern (e.g., CC2C+8X)
-        const codeMatch = cleanCode.match(/([A-Z0-9]{2,}\+[A-Z0-9]{2,})/i);
+        const codeMatch = cleanCode.match(/([A-Z0-9]{2,8}\+[A-Z0-9]*)/i);
         if (codeMatch) {
             cleanCode = codeMatch[1].toUpperCase();
         } else {
@@ -36,148 +61,68 @@ module.exports = async function handler(req, res) {
         
         // Validate the code format
         if (!cleanCode.includes('+')) {
-            return res.status(400).json({ 
-                error: 'Invalid Plus Code format. Must contain a + symbol.',
+            return sendError(req, res, new ApiError('INVALID_PLUS_CODE', 'Invalid Plus Code format. Must contain a + symbol.', {
                 received: plusCode,
                 extracted: cleanCode
-            });
+            }));
         }
         
         const parts = cleanCode.split('+');
-        if (parts.length !== 2 || parts[0].length < 2 || parts[1].length < 2) {
-            return res.status(400).json({ 
-                error: 'Invalid Plus Code format. Expected format: CC2C+8X or similar.',
+        if (parts.length !== 2 || parts[0].length < 2) {
+            return sendError(req, res, new ApiError('INVALID_PLUS_CODE', 'Invalid Plus Code format. Expected format: CC2C+8X or similar.', {
                 received: plusCode,
                 extracted: cleanCode
-            });
+            }));
         }
         
-        // Use Google Maps Geocoding API to fetch coordinates for any Plus Code
-        // This is the only method - no hardcoded codes, always fetch from Google
-        if (!process.env.GOOGLE_MAPS_API_KEY) {
-            return res.status(400).json({ 
-                error: 'GOOGLE_MAPS_API_KEY is required. Please add it to your Vercel environment variables.',
+        // Extract location hint from original input (e.g., "Agadir, Maroc")
+        let locationHint = '';
+        const locationMatch = plusCode.match(/[A-Z0-9]+\+[A-Z0-9]*(?![A-Z0-9])[\s,]*(.+)/i);
+        if (locationMatch) {
+            locationHint = locationMatch[1].trim();
+        }
+
+        if (!isValid(cleanCode)) {
+            return sendError(req, res, new ApiError('INVALID_PLUS_CODE', 'Invalid Plus Code. Use a full code (8C2GCC2C+8X) or a short code with a locality (CC2C+8X Agadir).', {
                 received: plusCode,
-                extracted: cleanCode,
-                suggestion: 'Add GOOGLE_MAPS_API_KEY to Vercel environment variables. Get a free key at: https://console.cloud.google.com/google/maps-apis'
-            });
+                extracted: cleanCode
+            }));
         }
 
-        try {
-            // Extract location hint from original input (e.g., "Agadir, Maroc")
-            let locationHint = '';
-            const locationMatch = plusCode.match(/[A-Z0-9]+\+[A-Z0-9]+\s*(.+)/i);
-            if (locationMatch) {
-                locationHint = locationMatch[1].trim();
+        // near=lat,lon completes a short code directly, without a lookup
+        if (!isFull(cleanCode) && near !== undefined && near !== '') {
+            const position = parseNear(near);
+            if (!position) {
+                return sendError(req, res, new ApiError('INVALID_COORDINATES', 'Invalid near parameter. Use near=lat,lon (e.g. near=30.42,-9.6)', { received: near }));
             }
-            
-            // Google Maps Geocoding API supports Plus Codes in multiple formats
-            // Try different query formats to maximize success rate
-            const queriesToTry = [
-                cleanCode, // Just the code: "9CXG+XG6"
-                cleanCode.replace(/(\d)$/, ''), // Remove trailing digit if present: "9CXG+XG"
-                locationHint ? `${cleanCode}, ${locationHint}` : null, // Code with location: "9CXG+XG6, Agadir, Maroc"
-                locationHint ? `${locationHint}, ${cleanCode}` : null, // Location with code: "Agadir, Maroc, 9CXG+XG6"
-                locationHint ? `${cleanCode.replace(/(\d)$/, '')}, ${locationHint}` : null, // Code without trailing digit + location
-            ].filter(q => q !== null);
-            
-            let lastError = null;
-            let lastStatus = null;
-            
-            for (const query of queriesToTry) {
-                try {
-                    const mapsUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(query)}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-                    console.log(`Trying Google Maps API with query: ${query}`);
-                    
-                    const mapsResponse = await fetch(mapsUrl);
-                    const mapsData = await mapsResponse.json();
-                    
-                    console.log(`Google Maps API response status: ${mapsData.status}`, mapsData);
-                    
-                    if (mapsData.status === 'OK' && mapsData.results && mapsData.results.length > 0) {
-                        const result = mapsData.results[0];
-                        const location = result.geometry.location;
-                        
-                        // Default to Geocoding API coordinates
-                        let finalLat = location.lat;
-                        let finalLng = location.lng;
-                        let source = 'Google Maps Geocoding API';
-                        
-                        // Use Place Details API to get EXACT coordinates that match Google Maps URL
-                        // This is crucial because Geocoding API returns center of Plus Code area,
-                        // but Place Details API returns the exact coordinates shown in Google Maps
-                        if (result.place_id) {
-                            try {
-                                const placeDetailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${result.place_id}&fields=geometry,formatted_address&key=${process.env.GOOGLE_MAPS_API_KEY}`;
-                                console.log(`Fetching Place Details for place_id: ${result.place_id}`);
-                                
-                                const placeResponse = await fetch(placeDetailsUrl);
-                                const placeData = await placeResponse.json();
-                                
-                                if (placeData.status === 'OK' && placeData.result && placeData.result.geometry && placeData.result.geometry.location) {
-                                    finalLat = placeData.result.geometry.location.lat;
-                                    finalLng = placeData.result.geometry.location.lng;
-                                    source = 'Google Maps Place Details API (exact coordinates)';
-                                    console.log(`Using Place Details API exact coordinates: ${finalLat}, ${finalLng}`);
-                                } else {
-                                    console.warn('Place Details API returned:', placeData.status, placeData.error_message || '');
-                                }
-                            } catch (placeError) {
-                                console.warn('Place Details API failed, using Geocoding coordinates:', placeError.message);
-                            }
-                        }
-                        
-                        return res.status(200).json({
-                            plusCode: cleanCode,
-                            latitude: finalLat,
-                            longitude: finalLng,
-                            formatted: `${finalLat}, ${finalLng}`,
-                            address: result.formatted_address,
-                            source: source,
-                            queryUsed: query,
-                            locationType: result.geometry.location_type,
-                            placeId: result.place_id || null
-                        });
-                    }
-                    
-                    // Store last error for debugging
-                    lastStatus = mapsData.status;
-                    if (mapsData.error_message) {
-                        lastError = mapsData.error_message;
-                    }
-                    
-                } catch (fetchError) {
-                    console.error(`Error fetching for query "${query}":`, fetchError);
-                    lastError = fetchError.message;
-                }
-            }
-            
-            // If all queries failed, return detailed error
-            return res.status(400).json({ 
-                error: 'Plus Code not found in Google Maps API',
-                received: plusCode,
-                extracted: cleanCode,
-                googleStatus: lastStatus || 'UNKNOWN',
-                googleError: lastError || 'No results found',
-                queriesTried: queriesToTry,
-                suggestion: 'The Plus Code may be invalid, or Google Maps API may not recognize it. Verify the Plus Code on plus.codes website.'
-            });
-            
-        } catch (mapsError) {
-            console.error('Google Maps API error:', mapsError);
-            return res.status(500).json({ 
-                error: 'Failed to fetch coordinates from Google Maps API',
-                received: plusCode,
-                extracted: cleanCode,
-                message: mapsError.message
-            });
+            const result = describeShortPlusCode(cleanCode, { ...position, source: 'near' });
+            console.log(`Plus Code ${cleanCode} decoded offline: ${result.plusCode} -> ${result.formatted}`);
+            return res.status(200).json({ ...result, provider: 'offline', cached: false });
+        }
+
+        // Otherwise the geocoding providers: offline first (full codes, gazetteer localities), then Nominatim/Google
+        const lookup = await geocode({ text: plusCode, plusCode: cleanCode, locality: locationHint });
+        if (lookup.result) {
+            console.log(`Plus Code ${cleanCode} resolved by ${lookup.provider}${lookup.cached ? ' (cached)' : ''}: ${lookup.result.formatted}`);
+            return res.status(200).json({ ...lookup.result, provider: lookup.provider, cached: lookup.cached });
+        }
+
+        // Nothing found is the client's to fix; failing online providers may answer on a retry
+        const details = {
+            received: plusCode,
+            extracted: cleanCode,
+            providers: lookup.attempts,
+            suggestion: 'Add a known city after the code (CC2C+8X Agadir), pass near=lat,lon, use the full code, or configure NOMINATIM_URL or GOOGLE_MAPS_API_KEY to look the locality up online.'
+        };
+        if (!locationHint) {
+            return sendError(req, res, new ApiError('INVALID_PLUS_CODE', 'A short Plus Code needs a reference location to be decoded.', details));
         }
+        const unavailable = lookup.attempts.some(a => a.unavailable) && !lookup.attempts.some(a => a.reason === 'no result');
+        return sendError(req, res, unavailable
+            ? new ApiError('GEOCODER_UNAVAILABLE', `Locality "${locationHint}" could not be looked up: the geocoding providers are unavailable.`, details)
+            : new ApiError('LOCATION_NOT_FOUND', `Locality "${locationHint}" not found. A short Plus Code needs a reference location to be decoded.`, details));
 
     } catch (error) {
-        console.error('Error converting Plus Code:', error);
-        return res.status(500).json({ 
-            error: 'Failed to convert Plus Code', 
-            message: error.message 
-        });
+        return sendError(req, res, error, 'Failed to convert Plus Code');
     }
 }
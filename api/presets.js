@@ -0,0 +1,59 @@
+// Manage named metadata presets used by /api/edit-exif ("preset": "<name>")
+// GET lists presets (or returns one with ?name=), POST creates, PUT replaces the fields, DELETE removes
+
+const { listPresets, getPreset, createPreset, updatePreset, deletePreset } = require('../lib/preset-store');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { bodySource, validateRequest } = require('../lib/request-validation');
+
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'GET, POST, PUT, DELETE, OPTIONS');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'presets'))) {
+        return;
+    }
+
+    try {
+        const query = validateRequest('PresetParams', req.query, 'query');
+        const body = validateRequest('PresetRequest', req.body && typeof req.body === 'object' ? req.body : {}, bodySource(req));
+        // The name can be given in the query string or in the body
+        const name = query.name || body.name;
+
+        if (req.method === 'GET') {
+            if (name) {
+                return res.status(200).json(await getPreset(name));
+            }
+            return res.status(200).json({ presets: await listPresets() });
+        }
+
+        if (req.method === 'POST') {
+            const preset = await createPreset(name, body.fields);
+            console.log('Preset created:', preset.name);
+            return res.status(201).json(preset);
+        }
+
+        if (req.method === 'PUT') {
+            const preset = await updatePreset(name, body.fields);
+            console.log('Preset updated:', preset.name);
+            return res.status(200).json(preset);
+        }
+
+        if (req.method === 'DELETE') {
+            await deletePreset(name);
+            console.log('Preset deleted:', name);
+            return res.status(200).json({ deleted: name });
+        }
+
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use GET, POST, PUT or DELETE.'));
+
+    } catch (error) {
+        return sendError(req, res, error, 'Failed to manage presets');
+    }
+};
@@ -0,0 +1,54 @@
+// Read image metadata (EXIF, IPTC, XMP) and return it as normalized JSON
+// Uses exifr (ExifTool for WebP) on the server so XMP and IPTC are visible, unlike the browser-side exif-js
+
+const { readMetadata } = require('../lib/metadata-reader');
+const { parseImageRequest, loadImageInput } = require('../lib/image-input');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { validateRequest } = require('../lib/request-validation');
+
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'POST, OPTIONS');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use POST.'));
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'read-metadata'))) {
+        return;
+    }
+
+    try {
+        // The body can be JSON, multipart/form-data (image part) or a raw image
+        const { fields, files, source } = await parseImageRequest(req);
+        const { imageUrl, imageData } = validateRequest('ReadMetadataRequest', fields, source);
+
+        // Validate required fields
+        if (!files.image && !imageUrl && !imageData) {
+            return sendError(req, res, new ApiError('INVALID_REQUEST', 'An image is required: upload it (multipart "image" part or raw body), or provide imageUrl or imageData (base64)'));
+        }
+
+        // Use the uploaded file, or fetch/decode the image
+        const imageBuffer = await loadImageInput({ file: files.image, url: imageUrl, data: imageData });
+
+        const { metadata, raw } = await readMetadata(imageBuffer);
+        console.log('Metadata read, groups found:', Object.keys(raw));
+
+        return res.status(200).json({
+            size: imageBuffer.length,
+            metadata: metadata,
+            raw: raw
+        });
+
+    } catch (error) {
+        return sendError(req, res, error, 'Failed to read metadata');
+    }
+};
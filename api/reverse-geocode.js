@@ -0,0 +1,58 @@
+// Convert coordinates to the nearest city, region and country
+// Works offline from the bundled gazetteer (lib/reverse-geocode.js), no API key needed
+
+const { reverseGeocode } = require('../lib/reverse-geocode');
+const { applyCors, authorizeRequest } = require('../lib/api-access');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { bodySource, validateRequest } = require('../lib/request-validation');
+
+module.exports = async function handler(req, res) {
+    // CORS for the origins in CORS_ALLOWED_ORIGINS (lib/api-access.js)
+    applyCors(req, res, 'GET, POST, OPTIONS');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed. Use GET or POST.'));
+    }
+
+    // API key and rate limit, when API keys are configured
+    if (!(await authorizeRequest(req, res, 'reverse-geocode'))) {
+        return;
+    }
+
+    try {
+        // ?lat=30.42&lon=-9.6&lang=fr or a JSON body; latitude/longitude and lat/lon/lng are both accepted
+        const params = {
+            ...validateRequest('ReverseGeocodeParams', req.query, 'query'),
+            ...validateRequest('ReverseGeocodeParams', req.body && typeof req.body === 'object' ? req.body : {}, bodySource(req))
+        };
+        const latitude = params.latitude !== undefined ? params.latitude : params.lat;
+        const longitude = [params.longitude, params.lon, params.lng].find(v => v !== undefined);
+
+        if (latitude === undefined || longitude === undefined) {
+            return sendError(req, res, new ApiError('INVALID_COORDINATES', 'latitude and longitude are required. Provide them as ?lat=30.42&lon=-9.6 or in the request body.'));
+        }
+
+        const location = reverseGeocode(latitude, longitude, {
+            language: params.lang || params.language,
+            maxDistance: params.maxDistance
+        });
+        if (!location) {
+            return sendError(req, res, new ApiError('LOCATION_NOT_FOUND', 'No known city near these coordinates', { latitude: Number(latitude), longitude: Number(longitude) }));
+        }
+
+        console.log(`Reverse geocoded ${latitude}, ${longitude}: ${location.city}, ${location.countryCode} (${location.distanceKm} km)`);
+        return res.status(200).json({
+            latitude: Number(latitude),
+            longitude: Number(longitude),
+            ...location
+        });
+
+    } catch (error) {
+        return sendError(req, res, error, 'Failed to reverse geocode');
+    }
+};
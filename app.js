@@ -117,6 +117,27 @@ function loadImageFromFile(file) {
     reader.readAsArrayBuffer(file);
 }
 
+// Formats supported natively by /api/edit-exif
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/tiff'];
+
+// Browsers often report an empty MIME type for HEIC files, so also check the name
+function isHeicFile(name) {
+    return typeof name === 'string' && /\.(heic|heif)$/i.test(name);
+}
+
+// File extension for a MIME type (used for download names)
+function extensionForMimeType(mimeType) {
+    const extensions = {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/webp': 'webp',
+        'image/heic': 'heic',
+        'image/heif': 'heic',
+        'image/tiff': 'tif'
+    };
+    return extensions[mimeType] || 'jpg';
+}
+
 // Load image from blob
 function loadImageFromBlob(blob, source) {
     const reader = new FileReader();
@@ -126,8 +147,9 @@ function loadImageFromBlob(blob, source) {
         const mimeType = dataUrl.split(',')[0].split(':')[1].split(';')[0];
         originalImageFormat = mimeType;
         
-        // Convert to JPEG if not already JPEG
-        if (mimeType !== 'image/jpeg') {
+        // The API writes metadata natively into these formats, so keep the original bytes
+        // Anything else (GIF, BMP...) is converted to JPEG first
+        if (!SUPPORTED_IMAGE_TYPES.includes(mimeType) && !isHeicFile(source)) {
             try {
                 // Show conversion message
                 const formatName = mimeType.split('/')[1].toUpperCase();
@@ -196,15 +218,52 @@ function readExifData(imageData) {
     const img = document.getElementById('previewImg');
     img.onload = function() {
         EXIF.getData(img, function() {
-            originalExifData = EXIF.getAllTags(this);
+            originalExifData = { ...EXIF.getAllTags(this), ...readExtraExifTags(imageData) };
             displayExifData(originalExifData);
             populateForm(originalExifData);
             document.getElementById('exifEditor').classList.remove('hidden');
         });
     };
+    img.onerror = function() {
+        // The browser cannot display this format (e.g. HEIC or TIFF outside Safari); editing still works
+        showNotification('Preview not available for this format, metadata can still be edited', 'info');
+        originalExifData = {};
+        displayExifData(originalExifData);
+        document.getElementById('exifEditor').classList.remove('hidden');
+    };
     img.src = imageData;
 }
 
+// Read the tags exif-js does not know, using piexif (JPEG only):
+// the Windows XP tags (XPTitle, XPKeywords...), UCS-2 little-endian text stored as bytes, and GPSHPositioningError
+function readExtraExifTags(imageData) {
+    const tags = {};
+    if (typeof imageData !== 'string' || !imageData.startsWith('data:image/jpeg')) {
+        return tags;
+    }
+    try {
+        const ifd0 = piexif.load(imageData)['0th'] || {};
+        ['XPTitle', 'XPComment', 'XPKeywords', 'XPSubject'].forEach(name => {
+            const bytes = ifd0[piexif.ImageIFD[name]];
+            if (!Array.isArray(bytes)) return;
+            let text = '';
+            for (let i = 0; i + 1 < bytes.length; i += 2) {
+                text += String.fromCharCode(bytes[i] | (bytes[i + 1] << 8));
+            }
+            text = text.replace(/\0+$/, '');
+            if (text) tags[name] = text;
+        });
+        const gps = piexif.load(imageData)['GPS'] || {};
+        const positioningError = gps[piexif.GPSIFD.GPSHPositioningError];
+        if (Array.isArray(positioningError) && positioningError[1]) {
+            tags.GPSHPositioningError = positioningError[0] / positioningError[1];
+        }
+    } catch (error) {
+        console.warn('Could not read extra EXIF tags:', error.message);
+    }
+    return tags;
+}
+
 // Display current EXIF data
 function displayExifData(exifData) {
     const exifDisplay = document.getElementById('currentExif');
@@ -215,24 +274,43 @@ function displayExifData(exifData) {
 
 // Populate form with metadata (EXIF, XMP, IPTC)
 function populateForm(exifData) {
-    // Title (XMP dc:title or IPTC ObjectName)
+    // Images saved before the XP tags were used have the title, or else the keywords, in DocumentName
+    // A comma-separated list is read as keywords, anything else as the title
+    let legacyTitle = '';
+    let legacyKeywords = '';
+    const hasXPTags = exifData.XPTitle || exifData.XPKeywords || exifData.XPSubject || exifData.XPComment;
+    if (exifData.DocumentName && !hasXPTags) {
+        const documentName = Array.isArray(exifData.DocumentName)
+            ? exifData.DocumentName.join(', ')
+            : String(exifData.DocumentName).trim();
+        if (documentName.includes(',')) {
+            legacyKeywords = documentName;
+        } else {
+            legacyTitle = documentName;
+        }
+    }
+
+    // Title (XMP dc:title, IPTC ObjectName, EXIF XPTitle or legacy DocumentName)
     document.getElementById('title').value = 
-        exifData.title || exifData.ObjectName || '';
+        exifData.title || exifData.ObjectName || exifData.XPTitle || legacyTitle;
 
-    // Description (XMP dc:description, IPTC Caption/Abstract, or EXIF ImageDescription)
+    // Description (XMP dc:description, IPTC Caption/Abstract, EXIF XPSubject/XPComment or ImageDescription)
     document.getElementById('description').value = 
-        exifData.description || exifData.CaptionAbstract || exifData.ImageDescription || '';
+        exifData.description || exifData.CaptionAbstract || exifData.XPSubject || exifData.XPComment || exifData.ImageDescription || '';
 
-    // Keywords (XMP dc:subject, IPTC Keywords, or EXIF DocumentName)
+    // Keywords (XMP dc:subject, IPTC Keywords, EXIF XPKeywords separated by ";" or legacy DocumentName)
     let keywords = '';
     if (exifData.keywords && Array.isArray(exifData.keywords)) {
         keywords = exifData.keywords.join(', ');
     } else if (exifData.keywords && typeof exifData.keywords === 'string') {
         keywords = exifData.keywords;
-    } else if (exifData.DocumentName) {
-        keywords = Array.isArray(exifData.DocumentName) 
-            ? exifData.DocumentName.join(', ') 
-            : exifData.DocumentName;
+    } else if (exifData.XPKeywords) {
+        keywords = exifData.XPKeywords.split(';')
+            .map(k => k.trim())
+            .filter(k => k.length > 0)
+            .join(', ');
+    } else {
+        keywords = legacyKeywords;
     }
     document.getElementById('keywords').value = keywords;
     
@@ -240,9 +318,15 @@ function populateForm(exifData) {
     document.getElementById('city').value = 
         exifData.city || exifData.City || '';
     
+    // Region (XMP photoshop:State or IPTC Province-State)
+    document.getElementById('region').value = 
+        exifData.region || exifData.State || '';
+
     // Country (XMP photoshop:Country or IPTC Country)
     document.getElementById('country').value = 
         exifData.country || exifData.Country || '';
+    document.getElementById('countryCode').value = 
+        exifData.countryCode || exifData.CountryCode || '';
 
     // GPS Coordinates
     if (exifData.GPSLatitude && exifData.GPSLongitude) {
@@ -255,6 +339,41 @@ function populateForm(exifData) {
     if (exifData.GPSAltitude) {
         document.getElementById('altitude').value = exifData.GPSAltitude;
     }
+
+    // Extended GPS tags (direction, subject position, UTC timestamp, accuracy, datum)
+    document.getElementById('direction').value =
+        exifData.GPSImgDirection !== undefined ? Number(exifData.GPSImgDirection) : '';
+    document.getElementById('directionRef').value = exifData.GPSImgDirectionRef === 'M' ? 'M' : 'T';
+    if (exifData.GPSDestLatitude && exifData.GPSDestLongitude) {
+        document.getElementById('destLatitude').value =
+            convertDMSToDD(exifData.GPSDestLatitude.map(Number), exifData.GPSDestLatitudeRef);
+        document.getElementById('destLongitude').value =
+            convertDMSToDD(exifData.GPSDestLongitude.map(Number), exifData.GPSDestLongitudeRef);
+    } else {
+        document.getElementById('destLatitude').value = '';
+        document.getElementById('destLongitude').value = '';
+    }
+    if (exifData.GPSDateStamp && Array.isArray(exifData.GPSTimeStamp)) {
+        const time = exifData.GPSTimeStamp.map(n => String(Math.floor(Number(n))).padStart(2, '0')).join(':');
+        document.getElementById('gpsTimestamp').value = String(exifData.GPSDateStamp).replace(/:/g, '-') + 'T' + time;
+    } else {
+        document.getElementById('gpsTimestamp').value = '';
+    }
+    document.getElementById('positioningError').value =
+        exifData.GPSHPositioningError !== undefined ? exifData.GPSHPositioningError : '';
+    document.getElementById('mapDatum').value = exifData.GPSMapDatum ? String(exifData.GPSMapDatum).trim() : '';
+
+    // Rights (EXIF Copyright and Artist; the other rights fields are IPTC/XMP only)
+    document.getElementById('copyright').value = exifData.Copyright || '';
+    document.getElementById('creator').value = exifData.Artist || '';
+    ['creditLine', 'webStatement', 'licensorUrl', 'source', 'instructions', ...Object.values(CONTACT_FORM_FIELDS)].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+
+    // Date fix (applies to the dates already in the image, so it starts empty)
+    document.getElementById('timeShift').value = '';
+    document.getElementById('timezoneOffset').value = '';
+    document.getElementById('datesPreview').classList.add('hidden');
 }
 
 // Convert DMS (Degrees, Minutes, Seconds) to Decimal Degrees
@@ -268,23 +387,32 @@ function convertDMSToDD(dms, ref) {
 
 // Convert Decimal Degrees to DMS (piexif format: [[deg, 1], [min, 1], [sec*100, 100]])
 function convertDDToDMS(dd, isLat) {
-    const abs = Math.abs(dd);
-    const deg = Math.floor(abs);
-    const minFloat = (abs - deg) * 60;
-    const min = Math.floor(minFloat);
-    const sec = (minFloat - min) * 60;
     const ref = isLat 
         ? (dd >= 0 ? "N" : "S")
         : (dd >= 0 ? "E" : "W");
     // piexif expects rational numbers: [[deg, 1], [min, 1], [sec*100, 100]]
-    // All values must be integers - ensure they are
-    const degInt = Math.floor(deg);
-    const minInt = Math.floor(min);
-    const secNumerator = Math.round(sec * 100);
+    // Work in 1/100 seconds, rounded once, so the seconds never round up to 60
+    const total = Math.round(Math.abs(dd) * 360000);
+    const degInt = Math.floor(total / 360000);
+    const minInt = Math.floor((total % 360000) / 6000);
+    const secNumerator = total % 6000;
     // Return format: [[[deg, 1], [min, 1], [sec*100, 100]], ref]
     return [[[degInt, 1], [minInt, 1], [secNumerator, 100]], ref];
 }
 
+// Latitude/longitude inputs take decimal degrees only; anything else is reported instead of being dropped on save
+// Other formats (DMS, map links, geo: URIs) go through the "Paste a location" field
+function coordinateInputError() {
+    for (const [id, label, max] of [['latitude', 'Latitude', 90], ['longitude', 'Longitude', 180]]) {
+        const value = document.getElementById(id).value.trim();
+        if (value && !(/^[+-]?\d+(\.\d+)?$/.test(value) && Math.abs(parseFloat(value)) <= max)) {
+            return `${label} "${value}" is not a decimal number between -${max} and ${max}. ` +
+                'Paste other formats (DMS, Google Maps links, geo: URIs) in the "Paste a location" field.';
+        }
+    }
+    return null;
+}
+
 // Save metadata (EXIF, XMP, IPTC) via API
 document.getElementById('saveBtn').addEventListener('click', async () => {
     if (!currentImageData) {
@@ -299,6 +427,27 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
         alert('Please provide both latitude and longitude for GPS coordinates, or leave both empty.');
         return;
     }
+    const coordinateError = coordinateInputError();
+    if (coordinateError) {
+        alert(coordinateError);
+        return;
+    }
+    const destLatStr = document.getElementById('destLatitude').value.trim();
+    const destLonStr = document.getElementById('destLongitude').value.trim();
+    if ((destLatStr && !destLonStr) || (!destLatStr && destLonStr)) {
+        alert('Please provide both subject latitude and longitude, or leave both empty.');
+        return;
+    }
+
+    // Validate rights URLs - the server ignores anything that is not http(s)
+    const invalidUrl = ['webStatement', 'licensorUrl', 'contactUrl'].find(id => {
+        const value = document.getElementById(id).value.trim();
+        return value && !/^https?:\/\/[^\s/$.?#][^\s]*$/i.test(value);
+    });
+    if (invalidUrl) {
+        alert('Please enter a full http:// or https:// address for ' + document.querySelector(`label[for="${invalidUrl}"]`).textContent.replace(/:$/, '') + '.');
+        return;
+    }
 
     try {
         showNotification('Saving metadata...', 'info');
@@ -334,7 +483,16 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to save metadata');
+            throw new Error(errorData.message || 'Failed to save metadata');
+        }
+
+        const ignoredFields = response.headers.get('X-Metadata-Ignored');
+        if (ignoredFields) {
+            console.warn('Metadata fields ignored by the server:', ignoredFields);
+        }
+        const removedTags = response.headers.get('X-Metadata-Removed');
+        if (removedTags !== null) {
+            console.log('Metadata removed by scrub:', removedTags || '(nothing matched)');
         }
 
         // Get the modified image as blob
@@ -369,7 +527,7 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
             
             if (!watermarkResponse.ok) {
                 const errorData = await watermarkResponse.json();
-                throw new Error(errorData.error || 'Failed to add watermark');
+                throw new Error(errorData.message || 'Failed to add watermark');
             }
             
             blob = await watermarkResponse.blob();
@@ -384,10 +542,16 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
         // Re-read and display updated metadata
         readExifData(imageWithMetadata);
         
-        // Trigger download
-        downloadImage(imageWithMetadata);
+        // Trigger download (the API returns the same format it received)
+        downloadImage(imageWithMetadata, 'edited-image.' + extensionForMimeType(blob.type));
         
-        showNotification('Metadata saved successfully! Image download started.', 'success');
+        const removedCount = removedTags ? removedTags.split(',').length : 0;
+        showNotification(
+            removedTags !== null
+                ? `Metadata saved successfully! ${removedCount} private tag(s) removed. Image download started.`
+                : 'Metadata saved successfully! Image download started.',
+            'success'
+        );
         
     } catch (error) {
         console.error('Error saving metadata:', error);
@@ -397,6 +561,21 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
 });
 
 // Collect form data in new format for API (XMP/IPTC/EXIF)
+// Text fields of the "Rights & Credits" section sent as they are
+const RIGHTS_FORM_FIELDS = ['copyright', 'creditLine', 'webStatement', 'licensorUrl', 'source', 'instructions'];
+
+// creatorContactInfo key -> form input id
+const CONTACT_FORM_FIELDS = {
+    address: 'contactAddress',
+    city: 'contactCity',
+    region: 'contactRegion',
+    postalCode: 'contactPostalCode',
+    country: 'contactCountry',
+    phone: 'contactPhone',
+    email: 'contactEmail',
+    url: 'contactUrl'
+};
+
 function collectFormData() {
     const metadata = {};
     
@@ -435,12 +614,24 @@ function collectFormData() {
         metadata.city = preserveUnicode(city);
     }
     
+    // Region -> XMP photoshop:State and IPTC Province-State
+    const region = document.getElementById('region').value.trim();
+    if (region) {
+        metadata.region = preserveUnicode(region);
+    }
+    
     // Country -> XMP photoshop:Country and IPTC Country
     const country = document.getElementById('country').value.trim();
     if (country) {
         metadata.country = preserveUnicode(country);
     }
 
+    // Country code -> XMP Iptc4xmpCore:CountryCode and IPTC Country-PrimaryLocationCode
+    const countryCode = document.getElementById('countryCode').value.trim();
+    if (countryCode) {
+        metadata.countryCode = countryCode.toUpperCase();
+    }
+
     // GPS Coordinates -> EXIF GPS tags (latitude, longitude, altitude)
     const latStr = document.getElementById('latitude').value.trim();
     const lonStr = document.getElementById('longitude').value.trim();
@@ -459,7 +650,84 @@ function collectFormData() {
             if (!isNaN(altitude) && altitude !== 0) {
                 metadata.altitude = altitude;
             }
+
+            // Plus Code of the coordinates -> XMP Iptc4xmpExt:LocationCreated (computed by the server)
+            if (document.getElementById('embedPlusCode').checked) {
+                metadata.plusCode = true;
+            }
+        }
+    }
+
+    // Extended GPS -> EXIF GPS IFD and XMP exif:GPS* (the timestamp input is in UTC)
+    const direction = document.getElementById('direction').value.trim();
+    if (direction) {
+        metadata.direction = parseFloat(direction);
+        metadata.directionRef = document.getElementById('directionRef').value;
+    }
+    const destLatStr = document.getElementById('destLatitude').value.trim();
+    const destLonStr = document.getElementById('destLongitude').value.trim();
+    if (destLatStr && destLonStr) {
+        metadata.destLatitude = parseFloat(destLatStr);
+        metadata.destLongitude = parseFloat(destLonStr);
+    }
+    const gpsTimestamp = document.getElementById('gpsTimestamp').value;
+    if (gpsTimestamp) {
+        metadata.gpsTimestamp = gpsTimestamp + 'Z';
+    }
+    const positioningError = document.getElementById('positioningError').value.trim();
+    if (positioningError) {
+        metadata.positioningError = parseFloat(positioningError);
+    }
+    const mapDatum = document.getElementById('mapDatum').value.trim();
+    if (mapDatum) {
+        metadata.mapDatum = mapDatum;
+    }
+
+    // Rights and credits -> IPTC/XMP rights fields (creator also goes to EXIF Artist)
+    const creator = document.getElementById('creator').value.split(';')
+        .map(c => preserveUnicode(c.trim()))
+        .filter(c => c.length > 0);
+    if (creator.length > 0) {
+        metadata.creator = creator;
+    }
+    RIGHTS_FORM_FIELDS.forEach(field => {
+        const value = document.getElementById(field).value.trim();
+        if (value) {
+            metadata[field] = preserveUnicode(value);
+        }
+    });
+
+    // Creator contact info -> XMP Iptc4xmpCore:CreatorContactInfo
+    const contact = {};
+    Object.entries(CONTACT_FORM_FIELDS).forEach(([key, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) {
+            contact[key] = preserveUnicode(value);
         }
+    });
+    if (Object.keys(contact).length > 0) {
+        metadata.creatorContactInfo = contact;
+    }
+
+    // Date fix -> shifts the existing capture dates and sets the EXIF OffsetTime tags
+    const timeShift = document.getElementById('timeShift').value.trim();
+    if (timeShift) {
+        metadata.timeShift = timeShift;
+    }
+    const timezoneOffset = document.getElementById('timezoneOffset').value.trim();
+    if (timezoneOffset) {
+        metadata.timezoneOffset = timezoneOffset;
+    }
+
+    // Privacy scrub -> removes metadata before the fields above are written
+    if (document.getElementById('scrubMetadata').checked) {
+        metadata.scrub = document.getElementById('scrubPreset').value;
+    }
+
+    // Named preset -> the server fills the fields the form leaves empty (make, model, datetime...)
+    const presetName = document.getElementById('presetSelect').value;
+    if (presetName) {
+        metadata.preset = presetName;
     }
 
     return metadata;
@@ -676,6 +944,10 @@ document.getElementById('resetBtn').addEventListener('click', () => {
     document.getElementById('logoFile').value = '';
     document.getElementById('logoPreview').classList.add('hidden');
     document.getElementById('addWatermark').checked = false;
+    document.getElementById('scrubMetadata').checked = false;
+    document.getElementById('embedPlusCode').checked = false;
+    document.getElementById('pasteLocation').value = '';
+    document.getElementById('presetSelect').value = '';
     if (originalExifData) {
         populateForm(originalExifData);
     } else {
@@ -687,6 +959,8 @@ document.getElementById('resetBtn').addEventListener('click', () => {
 
 // Check for image URL in query parameters on page load
 window.addEventListener('DOMContentLoaded', () => {
+    loadPresets();
+
     const urlParams = new URLSearchParams(window.location.search);
     const imageUrl = urlParams.get('image');
     
@@ -701,6 +975,277 @@ window.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+// ========== PASTE LOCATION ==========
+
+// Read a pasted location (DMS, Google Maps link, geo: URI, Plus Code...) on the server and fill the GPS inputs
+async function usePastedLocation() {
+    const text = document.getElementById('pasteLocation').value.trim();
+    if (!text) {
+        alert('Paste a location first, e.g. 30°24\'02.9"N 9°34\'39.4"W or a Google Maps link');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/parse-coordinates', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ location: text })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to read the location');
+        }
+
+        document.getElementById('latitude').value = data.latitude;
+        document.getElementById('longitude').value = data.longitude;
+        if (data.altitude !== null) {
+            document.getElementById('altitude').value = data.altitude;
+        }
+        showNotification(`Coordinates: ${data.formatted} (${data.format})`, 'success');
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+        console.error('Location parsing error:', error);
+    }
+}
+
+document.getElementById('parseLocationBtn').addEventListener('click', usePastedLocation);
+document.getElementById('pasteLocation').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        usePastedLocation();
+    }
+});
+
+// ========== LOCATION FROM COORDINATES ==========
+
+// Fill city, region and country from the GPS inputs with the offline reverse geocoder
+document.getElementById('fillLocationBtn').addEventListener('click', async () => {
+    const latStr = document.getElementById('latitude').value.trim();
+    const lonStr = document.getElementById('longitude').value.trim();
+    if (!latStr || !lonStr) {
+        alert('Enter the latitude and longitude first (GPS Coordinates section)');
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({
+            lat: latStr,
+            lon: lonStr,
+            lang: document.getElementById('locationLanguage').value
+        });
+        const response = await fetch('/api/reverse-geocode?' + params.toString());
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to find the location');
+        }
+
+        document.getElementById('city').value = data.city;
+        document.getElementById('region').value = data.region || '';
+        document.getElementById('country').value = data.country;
+        document.getElementById('countryCode').value = data.countryCode;
+        showNotification(`Location: ${data.city}, ${data.country} (${data.distanceKm} km away)`, 'success');
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+        console.error('Reverse geocoding error:', error);
+    }
+});
+
+// ========== FIX DATES ==========
+
+// Preview the date shift with a dry run: the server reads the image dates and reports before/after values
+document.getElementById('previewDatesBtn').addEventListener('click', async () => {
+    if (!currentImageData) {
+        alert('Please load an image first');
+        return;
+    }
+    const timeShift = document.getElementById('timeShift').value.trim();
+    const timezoneOffset = document.getElementById('timezoneOffset').value.trim();
+    if (!timeShift && !timezoneOffset) {
+        alert('Enter a shift (e.g. +01:00:00 or -1 day) and/or a timezone (e.g. +02:00)');
+        return;
+    }
+
+    const requestBody = { dryRun: true };
+    if (timeShift) requestBody.timeShift = timeShift;
+    if (timezoneOffset) requestBody.timezoneOffset = timezoneOffset;
+    if (currentImageData.startsWith('data:')) {
+        requestBody.imageData = currentImageData;
+    } else {
+        requestBody.imageUrl = document.getElementById('imageUrl').value.trim();
+    }
+
+    const preview = document.getElementById('datesPreview');
+    try {
+        const response = await fetch('/api/edit-exif', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(requestBody)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            const reason = ((result.details && result.details.ignored) || []).map(i => `${i.field}: ${i.reason}`).join('; ');
+            throw new Error(reason || result.message || 'Failed to preview dates');
+        }
+
+        const rows = result.changes.filter(change => /Date|Time/.test(change.tag) && !/GPS/.test(change.tag));
+        preview.innerHTML = '';
+        if (rows.length === 0) {
+            preview.textContent = 'No dates would change.';
+        } else {
+            const table = document.createElement('table');
+            table.innerHTML = '<thead><tr><th>Tag</th><th>Original</th><th>Shifted</th></tr></thead>';
+            const tbody = document.createElement('tbody');
+            rows.forEach(change => {
+                const tr = document.createElement('tr');
+                [change.tag, change.before, change.after].forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = value === null || value === undefined ? '(none)' : value;
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+            table.appendChild(tbody);
+            preview.appendChild(table);
+        }
+        result.ignored.forEach(i => console.warn(`Date fix: ${i.field} ignored (${i.reason})`));
+        preview.classList.remove('hidden');
+    } catch (error) {
+        preview.classList.add('hidden');
+        showNotification('Error: ' + error.message, 'error');
+        console.error('Date preview error:', error);
+    }
+});
+
+// ========== METADATA PRESETS ==========
+
+let metadataPresets = [];
+
+// Form fields a preset can fill; other preset fields (make, model...) are applied by the server
+const PRESET_FORM_FIELDS = ['title', 'description', 'keywords', 'city', 'region', 'country', 'countryCode', 'latitude', 'longitude', 'altitude',
+    'direction', 'directionRef', 'destLatitude', 'destLongitude', 'positioningError', 'mapDatum', 'timeShift', 'timezoneOffset',
+    'creator', 'creatorContactInfo', ...RIGHTS_FORM_FIELDS];
+
+// Load the saved presets into the dropdown
+async function loadPresets(selectedName = '') {
+    try {
+        const response = await fetch('/api/presets');
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Failed to load presets');
+        }
+        const data = await response.json();
+        metadataPresets = data.presets || [];
+    } catch (error) {
+        console.warn('Presets not available:', error.message);
+        metadataPresets = [];
+    }
+
+    const select = document.getElementById('presetSelect');
+    select.innerHTML = '<option value="">No preset</option>';
+    metadataPresets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.name;
+        select.appendChild(option);
+    });
+    select.value = metadataPresets.some(p => p.name === selectedName) ? selectedName : '';
+}
+
+// Fill the form with the fields of a preset (fields the preset does not have are left as they are)
+function applyPresetToForm(preset) {
+    PRESET_FORM_FIELDS.forEach(field => {
+        let value = preset.fields[field];
+        if (value === undefined || value === null) return;
+        if (field === 'creatorContactInfo') {
+            if (typeof value === 'string') {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    return;
+                }
+            }
+            Object.entries(CONTACT_FORM_FIELDS).forEach(([key, id]) => {
+                if (value[key] !== undefined) document.getElementById(id).value = value[key];
+            });
+            return;
+        }
+        const separator = field === 'creator' ? '; ' : ', ';
+        document.getElementById(field).value = Array.isArray(value) ? value.join(separator) : value;
+    });
+    if (preset.fields.plusCode !== undefined) {
+        document.getElementById('embedPlusCode').checked = preset.fields.plusCode !== false;
+    }
+}
+
+document.getElementById('presetSelect').addEventListener('change', (e) => {
+    const preset = metadataPresets.find(p => p.name === e.target.value);
+    if (preset) {
+        applyPresetToForm(preset);
+        showNotification(`Preset "${preset.name}" applied`, 'info');
+    }
+});
+
+document.getElementById('savePresetBtn').addEventListener('click', async () => {
+    const coordinateError = coordinateInputError();
+    if (coordinateError) {
+        alert(coordinateError);
+        return;
+    }
+    const formFields = collectFormData();
+    delete formFields.scrub;
+    delete formFields.preset;
+    if (Object.keys(formFields).length === 0) {
+        alert('Fill in at least one field before saving a preset');
+        return;
+    }
+
+    const name = prompt('Preset name:', document.getElementById('presetSelect').value);
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    try {
+        let response = await fetch('/api/presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim(), fields: formFields })
+        });
+
+        if (response.status === 409) {
+            if (!confirm(`Preset "${name.trim()}" already exists. Replace it?`)) {
+                return;
+            }
+            // Keep the preset fields the form cannot show (make, model...); the Plus Code checkbox shows plusCode
+            const existing = metadataPresets.find(p => p.name === name.trim());
+            const kept = {};
+            if (existing) {
+                Object.entries(existing.fields).forEach(([field, value]) => {
+                    if (!PRESET_FORM_FIELDS.includes(field) && field !== 'plusCode') kept[field] = value;
+                });
+            }
+            response = await fetch('/api/presets', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim(), fields: { ...kept, ...formFields } })
+            });
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Failed to save preset');
+        }
+
+        const saved = await response.json();
+        await loadPresets(saved.name);
+        showNotification(`Preset "${saved.name}" saved`, 'success');
+    } catch (error) {
+        console.error('Error saving preset:', error);
+        showNotification('Error saving preset: ' + error.message, 'error');
+    }
+});
+
 // ========== CROP IMAGE FUNCTIONALITY ==========
 
 // Get current image URL (from input or convert data URL to blob URL)
@@ -786,7 +1331,7 @@ document.getElementById('cropBtn').addEventListener('click', async () => {
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to crop image');
+            throw new Error(errorData.message || 'Failed to crop image');
         }
 
         // Get the cropped image as blob
@@ -0,0 +1,234 @@
+// Local development server: serves the web interface and runs the api/ handlers like Vercel does
+// node dev-server.js (npm start), then open http://localhost:3000; PORT and HOST change the address
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { getLimits, checkBytes } = require('./lib/image-limits');
+const { ApiError, sendError } = require('./lib/api-errors');
+
+const ROOT = __dirname;
+const API_DIR = path.join(ROOT, 'api');
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const HOST = process.env.HOST || 'localhost';
+
+// Static files are served from the project root only, by extension (no lib/, api/ or data/ sources)
+// No .json: package.json, vercel.json and the like are not public
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+// The other scripts of the root run on the server (dev-server.js, test scripts)
+const PUBLIC_SCRIPTS = ['app.js'];
+
+// Handlers are loaded on first use, so a broken module only breaks its own route
+const handlers = new Map();
+
+/**
+ * Rewrites from vercel.json (exact paths only, e.g. /api/openapi.json -> /api/openapi)
+ */
+function loadRewrites() {
+    try {
+        const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+        return new Map((config.rewrites || []).map(rule => [rule.source, rule.destination]));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('Could not read vercel.json:', e.message);
+        return new Map();
+    }
+}
+
+/**
+ * Query string as Vercel gives it: repeated keys become arrays
+ */
+function parseQuery(searchParams) {
+    const query = {};
+    for (const [key, value] of searchParams) {
+        if (query[key] === undefined) {
+            query[key] = value;
+        } else {
+            query[key] = [].concat(query[key], value);
+        }
+    }
+    return query;
+}
+
+/**
+ * Read the whole body, refusing more than maxBytes
+ * @throws {ImageLimitError}
+ */
+async function readBody(req, maxBytes) {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (!isNaN(declared)) {
+        checkBytes('The request body', declared, 'bodyBytes', maxBytes);
+    }
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of req) {
+        received += chunk.length;
+        checkBytes('The request body', received, 'bodyBytes', maxBytes);
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Parse the body the way Vercel does: JSON and form bodies become objects, text a string
+ * Other types (multipart, images, ZIP archives) are left on the stream for lib/image-input.js
+ * @throws {ApiError} INVALID_REQUEST for malformed JSON
+ */
+async function parseBody(req, maxBytes) {
+    const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType === 'application/json') {
+        const text = (await readBody(req, maxBytes)).toString('utf8');
+        if (!text) return undefined;
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new ApiError('INVALID_REQUEST', `Invalid JSON body: ${e.message}`);
+        }
+    }
+    if (contentType === 'application/x-www-form-urlencoded') {
+        return parseQuery(new URLSearchParams((await readBody(req, maxBytes)).toString('utf8')));
+    }
+    if (contentType === 'text/plain') {
+        return (await readBody(req, maxBytes)).toString('utf8');
+    }
+    return undefined;
+}
+
+/**
+ * Add the Vercel response helpers: res.status(), res.json(), res.send() and res.redirect()
+ */
+function extendResponse(res) {
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = value => {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(value));
+        return res;
+    };
+    res.send = body => {
+        if (body === undefined || body === null) {
+            res.end();
+        } else if (Buffer.isBuffer(body)) {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+            res.end(body);
+        } else if (typeof body === 'object') {
+            return res.json(body);
+        } else {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.end(String(body));
+        }
+        return res;
+    };
+    res.redirect = (statusOrUrl, url) => {
+        res.statusCode = url === undefined ? 307 : statusOrUrl;
+        res.setHeader('Location', url === undefined ? statusOrUrl : url);
+        res.end();
+        return res;
+    };
+    return res;
+}
+
+/**
+ * Run api/<name>.js with a Vercel-like request and response
+ */
+async function runHandler(name, req, res, url) {
+    extendResponse(res);
+    req.query = parseQuery(url.searchParams);
+    try {
+        let handler = handlers.get(name);
+        if (!handler) {
+            handler = require(path.join(API_DIR, `${name}.js`));
+            handlers.set(name, handler);
+        }
+        // Batch archives may be as large as the archive limit, every other body as large as the body limit
+        const limits = getLimits();
+        req.body = await parseBody(req, name === 'edit-exif-batch' ? limits.archiveBytes : limits.bodyBytes);
+        await handler(req, res);
+    } catch (error) {
+        if (res.headersSent) {
+            console.error(`api/${name}.js failed after responding:`, error);
+            res.end();
+            return;
+        }
+        sendError(req, res, error, `Unhandled error in api/${name}.js`);
+    }
+}
+
+/**
+ * Serve a file of the project root; "/" is index.html
+ */
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD' });
+        return res.end('Method not allowed');
+    }
+    let name;
+    try {
+        name = pathname === '/' ? 'index.html' : decodeURIComponent(pathname.slice(1));
+    } catch (e) {
+        name = '';
+    }
+    const type = MIME_TYPES[path.extname(name).toLowerCase()];
+    // Only plain file names: no sub-directories, no dotfiles, no server-side scripts
+    if (!type || name.includes('/') || name.includes('\\') || name.startsWith('.') ||
+        (path.extname(name).toLowerCase() === '.js' && !PUBLIC_SCRIPTS.includes(name))) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+    }
+    const file = path.join(ROOT, name);
+    fs.stat(file, (error, stats) => {
+        if (error || !stats.isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': type, 'Content-Length': stats.size, 'Cache-Control': 'no-cache' });
+        if (req.method === 'HEAD') return res.end();
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+const rewrites = loadRewrites();
+const apiRoutes = new Set(fs.readdirSync(API_DIR).filter(f => f.endsWith('.js')).map(f => f.slice(0, -3)));
+
+const server = http.createServer((req, res) => {
+    const started = Date.now();
+    // A fixed base: the Host header is not trusted, a malformed one must not end the server
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (e) {
+        console.log(`${req.method} (invalid URL) -> 400`);
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end('Bad request');
+    }
+    const pathname = rewrites.get(url.pathname) || url.pathname;
+    // The query string is left out of the log, it may hold an apiKey
+    res.on('finish', () => {
+        console.log(`${req.method} ${url.pathname} -> ${res.statusCode} (${Date.now() - started} ms)`);
+    });
+
+    const match = pathname.match(/^\/api\/([\w-]+)\/?$/);
+    if (match && apiRoutes.has(match[1])) {
+        runHandler(match[1], req, res, url);
+    } else {
+        serveStatic(req, res, pathname);
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`EXIF editor running at http://${HOST}:${PORT}`);
+    console.log(`API routes: ${[...apiRoutes].map(r => `/api/${r}`).join(', ')}`);
+});
@@ -0,0 +1,290 @@
+// Access control for the API endpoints: CORS origin allowlist, optional API keys and per-key rate limits
+// Keys come from API_KEYS (JSON) or API_KEYS_FILE; without either, the API stays open as before
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { consume } = require('./rate-limit');
+const { ApiError, sendError } = require('./api-errors');
+
+// Used for keys (and the bundled UI) without their own rateLimit
+const DEFAULT_RATE_LIMIT = { requests: 60, windowSeconds: 60 };
+
+const ALLOW_HEADERS = 'Content-Type, X-API-Key, Authorization';
+// Readable by browsers on every endpoint, besides each endpoint's own headers
+const EXPOSE_HEADERS = 'X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After';
+
+class ApiAccessError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'ApiAccessError';
+        this.status = status;
+        this.code = 'CONFIGURATION_ERROR';
+    }
+}
+
+let cachedSource = null;
+let cachedConfig = null;
+
+/**
+ * Check a rateLimit setting: {requests, windowSeconds}, or false for no limit
+ * @returns {{requests: number, windowSeconds: number}|null}
+ */
+function normalizeRateLimit(value, fallback, where) {
+    if (value === undefined) return fallback;
+    if (value === false || value === null) return null;
+    const requests = Number(value && value.requests);
+    const windowSeconds = Number(value && value.windowSeconds);
+    if (!Number.isInteger(requests) || requests <= 0 || !(windowSeconds > 0)) {
+        throw new ApiAccessError(`Invalid rateLimit for ${where}: use {"requests": 60, "windowSeconds": 60} or false`);
+    }
+    return { requests, windowSeconds };
+}
+
+/**
+ * Endpoint names without the /api/ prefix ("/api/crop-image" -> "crop-image"); "*" allows every endpoint
+ */
+function normalizeEndpoints(value, where) {
+    if (value === undefined) return ['*'];
+    if (!Array.isArray(value) || value.some(e => typeof e !== 'string')) {
+        throw new ApiAccessError(`Invalid endpoints for ${where}: use a list such as ["edit-exif", "crop-image"] or ["*"]`);
+    }
+    return value.map(e => e.trim().replace(/^\/?api\//, '').replace(/\.js$/, ''));
+}
+
+/**
+ * Validate the access configuration
+ * Keys are kept as SHA-256 digests, so lookups don't compare the secrets themselves
+ */
+function parseConfig(raw) {
+    const config = Array.isArray(raw) ? { keys: raw } : raw;
+    if (!config || typeof config !== 'object' || !Array.isArray(config.keys)) {
+        throw new ApiAccessError('The API key configuration must be a JSON object with a "keys" list');
+    }
+    const rateLimit = normalizeRateLimit(config.rateLimit, DEFAULT_RATE_LIMIT, 'the default');
+    const keys = new Map();
+    config.keys.forEach((entry, index) => {
+        if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+            throw new ApiAccessError(`API key #${index + 1} needs a "key" of at least 16 characters`);
+        }
+        const name = typeof entry.name === 'string' && entry.name ? entry.name : `key-${index + 1}`;
+        keys.set(hashKey(entry.key), {
+            name: name,
+            endpoints: normalizeEndpoints(entry.endpoints, `key "${name}"`),
+            rateLimit: normalizeRateLimit(entry.rateLimit, rateLimit, `key "${name}"`)
+        });
+    });
+    // The bundled web interface calls the API from the same origin and has no key; it is limited per client address
+    // Opt-in only: the headers that tell a same-origin request apart can be sent by any client
+    const sameOrigin = config.sameOrigin || {};
+    return {
+        keys: keys,
+        sameOrigin: {
+            allowed: sameOrigin.allowed === true,
+            endpoints: normalizeEndpoints(sameOrigin.endpoints, 'sameOrigin'),
+            rateLimit: normalizeRateLimit(sameOrigin.rateLimit, rateLimit, 'sameOrigin')
+        }
+    };
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Load the configuration from API_KEYS or API_KEYS_FILE, cached until either variable changes
+ * @returns {Promise<Object|null>} null when API keys are not configured
+ */
+async function getConfig() {
+    const inline = process.env.API_KEYS;
+    const file = process.env.API_KEYS_FILE;
+    const source = `${inline || ''}\0${file || ''}`;
+    if (source === cachedSource) return cachedConfig;
+
+    let config = null;
+    if (inline || file) {
+        let text;
+        if (inline) {
+            text = inline;
+        } else {
+            try {
+                text = await fs.readFile(file, 'utf8');
+            } catch (e) {
+                throw new ApiAccessError(`Cannot read API_KEYS_FILE: ${e.message}`);
+            }
+        }
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (e) {
+            throw new ApiAccessError(`The API key configuration is not valid JSON: ${e.message}`);
+        }
+        config = parseConfig(raw);
+        console.log(`API keys enabled: ${config.keys.size} key(s), same-origin UI ${config.sameOrigin.allowed ? 'allowed' : 'refused'}`);
+        if (!config.sameOrigin.allowed) {
+            console.warn('The bundled web interface sends no API key and will get 401 errors; set "sameOrigin": { "allowed": true } to keep it working');
+        }
+    }
+    cachedSource = source;
+    cachedConfig = config;
+    return config;
+}
+
+/**
+ * Check an Origin against CORS_ALLOWED_ORIGINS ("https://app.example.com, https://admin.example.com", or "*")
+ */
+function isAllowedOrigin(origin) {
+    const list = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '').toLowerCase()).filter(Boolean);
+    return list.includes('*') || list.includes(origin.toLowerCase());
+}
+
+/**
+ * Set the CORS headers; other origins get none, so browsers only allow the same origin
+ * @param {string} methods - Allowed methods ("POST, OPTIONS")
+ * @param {string} [exposeHeaders] - Response headers the browser may read, besides the request id and rate limit headers
+ */
+function applyCors(req, res, methods, exposeHeaders) {
+    const origin = req.headers && req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (!origin || !isAllowedOrigin(origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', ALLOW_HEADERS);
+    res.setHeader('Access-Control-Expose-Headers', exposeHeaders ? `${exposeHeaders}, ${EXPOSE_HEADERS}` : EXPOSE_HEADERS);
+}
+
+/**
+ * Number of reverse proxies in front of the server whose X-Forwarded-* headers are trusted (TRUST_PROXY)
+ * "true" counts as one proxy (Vercel); unset, "false" or 0 trusts none
+ */
+function getTrustedProxies() {
+    const value = String(process.env.TRUST_PROXY || '').trim().toLowerCase();
+    if (value === 'true') return 1;
+    const count = parseInt(value, 10);
+    return count > 0 ? count : 0;
+}
+
+/**
+ * Whether the request says it comes from a page on this deployment (the bundled UI)
+ * Browsers send Sec-Fetch-Site; Origin or Referer is compared with Host for older ones.
+ * Any client can send these headers, so this is no authentication: it only applies when sameOrigin is allowed.
+ */
+function isSameOrigin(req) {
+    const headers = req.headers || {};
+    if (headers['sec-fetch-site']) {
+        return headers['sec-fetch-site'] === 'same-origin';
+    }
+    const host = (getTrustedProxies() > 0 && headers['x-forwarded-host']) || headers.host;
+    const from = headers.origin || headers.referer;
+    if (!host || !from) return false;
+    try {
+        return new URL(from).host.toLowerCase() === String(host).split(',')[0].trim().toLowerCase();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Client address, for limits that are not tied to a key
+ * X-Forwarded-For is only read behind trusted proxies: each one appends the address it received the
+ * request from, so the client is the entry added by the outermost one and anything left of it is client-supplied
+ */
+function clientAddress(req) {
+    const proxies = getTrustedProxies();
+    const forwarded = req.headers && req.headers['x-forwarded-for'];
+    if (proxies > 0 && forwarded) {
+        const chain = String(forwarded).split(',').map(address => address.trim()).filter(Boolean);
+        if (chain.length > 0) return chain[Math.max(0, chain.length - proxies)];
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Read the key from X-API-Key, "Authorization: Bearer <key>" or the apiKey (api_key) query parameter
+ * The query parameter is removed, so it does not end up among the request fields
+ */
+function extractApiKey(req) {
+    const headers = req.headers || {};
+    if (headers['x-api-key']) return String(headers['x-api-key']).trim();
+    const authorization = String(headers.authorization || '');
+    if (/^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+    const query = req.query || {};
+    for (const name of ['apiKey', 'api_key']) {
+        if (query[name] !== undefined) {
+            const key = String(query[name]).trim();
+            delete query[name];
+            return key;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check the API key and the rate limit of a request
+ * Sends the 401/403/429 (or 500 for a broken configuration) error response itself
+ * @param {string} endpoint - Endpoint name as used in the "endpoints" lists ("crop-image")
+ * @returns {Promise<boolean>} true when the handler may continue
+ */
+async function authorizeRequest(req, res, endpoint) {
+    let config;
+    try {
+        config = await getConfig();
+    } catch (error) {
+        // Refuse rather than fall back to an open API
+        console.error('API key configuration error:', error.message);
+        sendError(req, res, new ApiError('CONFIGURATION_ERROR', 'API access is misconfigured on the server'));
+        return false;
+    }
+    if (!config) return true;
+
+    const apiKey = extractApiKey(req);
+    let client;
+    let rateKey;
+    if (apiKey) {
+        client = config.keys.get(hashKey(apiKey));
+        if (!client) {
+            sendError(req, res, new ApiError('INVALID_API_KEY', 'Invalid API key'));
+            return false;
+        }
+        rateKey = `key:${client.name}`;
+    } else if (config.sameOrigin.allowed && isSameOrigin(req)) {
+        client = { name: 'same-origin', endpoints: config.sameOrigin.endpoints, rateLimit: config.sameOrigin.rateLimit };
+        rateKey = `ip:${clientAddress(req)}`;
+    } else if (isSameOrigin(req)) {
+        // Most likely the bundled web interface: say how to let it through, it shows this message
+        sendError(req, res, new ApiError('API_KEY_REQUIRED', 'An API key is required. API keys are enabled on this server and requests from the web interface are refused: add "sameOrigin": { "allowed": true } to the API key configuration to allow them.'));
+        return false;
+    } else {
+        sendError(req, res, new ApiError('API_KEY_REQUIRED', 'An API key is required. Send it in the X-API-Key header or the apiKey query parameter.'));
+        return false;
+    }
+
+    if (!client.endpoints.includes('*') && !client.endpoints.includes(endpoint)) {
+        sendError(req, res, new ApiError('ENDPOINT_NOT_ALLOWED', `This API key is not allowed to use /api/${endpoint}`, { endpoint: endpoint }));
+        return false;
+    }
+
+    if (client.rateLimit) {
+        const usage = consume(rateKey, client.rateLimit);
+        res.setHeader('X-RateLimit-Limit', String(usage.limit));
+        res.setHeader('X-RateLimit-Remaining', String(usage.remaining));
+        res.setHeader('X-RateLimit-Reset', String(Math.ceil(usage.resetAt / 1000)));
+        if (!usage.allowed) {
+            const retryAfter = Math.max(1, Math.ceil((usage.resetAt - Date.now()) / 1000));
+            console.log(`Rate limit exceeded for ${client.name} on /api/${endpoint}`);
+            res.setHeader('Retry-After', String(retryAfter));
+            sendError(req, res, new ApiError('RATE_LIMITED', `Rate limit exceeded: ${usage.limit} requests per ${client.rateLimit.windowSeconds} seconds`, {
+                limit: usage.limit,
+                windowSeconds: client.rateLimit.windowSeconds,
+                retryAfter: retryAfter
+            }));
+            return false;
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    ApiAccessError,
+    applyCors,
+    authorizeRequest
+};
@@ -0,0 +1,115 @@
+// Error responses shared by every endpoint: { code, message, details, requestId }
+// Library errors carry a stable code and an HTTP status; anything else is reported as INTERNAL_ERROR without its internals
+
+const crypto = require('crypto');
+
+// Stable error codes with their usual HTTP status; clients should switch on the code, not on the message
+const ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, description: 'The request body or a parameter is missing or invalid' },
+    INVALID_METADATA: { status: 400, description: 'A metadata field, scrub or geotag option is invalid, or no field could be applied' },
+    INVALID_CROP: { status: 400, description: 'The crop values are missing or fall outside the image' },
+    INVALID_COORDINATES: { status: 400, description: 'Latitude/longitude or a pasted location could not be used' },
+    INVALID_PLUS_CODE: { status: 400, description: 'The Plus Code is not valid' },
+    INVALID_GEOTAG: { status: 400, description: 'The GPX track or a geotagging option is invalid' },
+    INVALID_MANIFEST: { status: 400, description: 'The batch manifest is invalid' },
+    INVALID_ARCHIVE: { status: 400, description: 'The batch archive is not a usable ZIP' },
+    INVALID_PRESET: { status: 400, description: 'The preset name or fields are invalid' },
+    INVALID_URL: { status: 400, description: 'A URL could not be parsed' },
+    URL_NOT_ALLOWED: { status: 400, description: 'A URL points to a refused protocol, address or host' },
+    API_KEY_REQUIRED: { status: 401, description: 'API keys are enabled and none was sent' },
+    INVALID_API_KEY: { status: 401, description: 'The API key is unknown' },
+    ENDPOINT_NOT_ALLOWED: { status: 403, description: 'The API key may not use this endpoint' },
+    PRESET_NOT_FOUND: { status: 404, description: 'No preset has this name' },
+    LOCATION_NOT_FOUND: { status: 404, description: 'No place matched the query' },
+    METHOD_NOT_ALLOWED: { status: 405, description: 'The HTTP method is not supported by the endpoint' },
+    PRESET_EXISTS: { status: 409, description: 'A preset with this name already exists' },
+    PAYLOAD_TOO_LARGE: { status: 413, description: 'A body, file or download exceeds a size limit' },
+    UNSUPPORTED_FORMAT: { status: 415, description: 'The image (or downloaded file) is not in a supported format' },
+    IMAGE_TOO_LARGE: { status: 422, description: 'The image has more pixels or a larger side than allowed' },
+    CONVERSION_FAILED: { status: 422, description: 'The image could not be converted to the requested format' },
+    BATCH_FAILED: { status: 422, description: 'None of the files of a batch could be edited' },
+    RATE_LIMITED: { status: 429, description: 'Too many requests for this API key or client' },
+    INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' },
+    EXIFTOOL_FAILED: { status: 500, description: 'ExifTool could not read, write or remove metadata' },
+    CONFIGURATION_ERROR: { status: 500, description: 'The server configuration is invalid' },
+    FETCH_FAILED: { status: 502, description: 'A remote URL could not be downloaded' },
+    GEOCODER_UNAVAILABLE: { status: 503, description: 'No geocoding provider could answer' },
+    FETCH_TIMEOUT: { status: 504, description: 'A remote URL took too long to download' }
+};
+
+class ApiError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Error returned to the client
+     * @param {Object} [details] - Machine-readable context (field names, limits...)
+     * @param {number} [status] - HTTP status, when it differs from the usual one for the code
+     */
+    constructor(code, message, details = {}, status = ERROR_CODES[code].status) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Request id for logs and error responses: a sane incoming X-Request-Id, the Vercel id, or a new UUID
+ */
+function getRequestId(req) {
+    if (req.requestId) return req.requestId;
+    const headers = req.headers || {};
+    const incoming = String(headers['x-request-id'] || headers['x-vercel-id'] || '');
+    req.requestId = /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    return req.requestId;
+}
+
+/**
+ * Whether an error carries a code from ERROR_CODES and an HTTP status (ApiError and the library errors)
+ */
+function isKnownError(error) {
+    return Boolean(error) && Object.hasOwn(ERROR_CODES, error.code) && Number.isInteger(error.status);
+}
+
+/**
+ * Status and body fields for an error
+ * Unknown errors become INTERNAL_ERROR, with their message and stack only when NODE_ENV=development
+ * @param {Error} error
+ * @param {string} fallbackMessage - Message for unknown errors
+ * @returns {{status: number, code: string, message: string, details: Object}}
+ */
+function describeError(error, fallbackMessage) {
+    if (isKnownError(error)) {
+        return { status: error.status, code: error.code, message: error.message, details: error.details || {} };
+    }
+    const details = process.env.NODE_ENV === 'development' && error
+        ? { message: error.message, stack: error.stack }
+        : {};
+    return { status: 500, code: 'INTERNAL_ERROR', message: fallbackMessage, details: details };
+}
+
+/**
+ * Send an error response; unknown errors are logged with the request id
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Error} error
+ * @param {string} [fallbackMessage] - Message for unknown errors ("Failed to crop image")
+ */
+function sendError(req, res, error, fallbackMessage = 'Internal server error') {
+    const requestId = getRequestId(req);
+    if (!isKnownError(error)) {
+        console.error(`${fallbackMessage} [${requestId}]:`, error);
+    }
+    const { status, code, message, details } = describeError(error, fallbackMessage);
+    res.setHeader('X-Request-Id', requestId);
+    return res.status(status).json({ code, message, details, requestId });
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    getRequestId,
+    isKnownError,
+    describeError,
+    sendError
+};
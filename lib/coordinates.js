@@ -0,0 +1,284 @@
+// Coordinate parser for locations pasted in any common form
+// Decimal degrees, DMS, Google Maps / OpenStreetMap / Apple Maps URLs, geo: URIs and Plus Codes
+
+const { isValid: isValidPlusCode, isFull, decode, recoverNearest } = require('./plus-codes');
+const { findPlace } = require('./gazetteer');
+
+const EXAMPLES = 'decimal degrees (30.4008, -9.5776), DMS (30°24\'02.9"N 9°34\'39.4"W), a Google Maps link, a geo: URI or a Plus Code';
+
+class CoordinateParseError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'INVALID_COORDINATES') {
+        super(message);
+        this.name = 'CoordinateParseError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Replace typographic symbols with plain ones: ′ ’ -> ', ″ ” -> ", º -> °, − -> -
+ */
+function normalizeSymbols(text) {
+    return String(text)
+        .replace(/[′’‘´`]/g, '\'')
+        .replace(/[″”“]/g, '"')
+        .replace(/''/g, '"')
+        .replace(/[º˚]/g, '°')
+        .replace(/[−–]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse one coordinate: "30.4008", "-9.5776", "30°24'02.9\"N", "N 30 24.048", "9°34'39.4\" W"
+ * @returns {{value: number, hemisphere: string|null, dms: boolean}|null}
+ */
+function parseComponent(text) {
+    const match = text.trim().toUpperCase().match(/^([NSEW])?\s*([+-])?\s*([\d.\s°'"]+?)\s*([NSEW])?$/);
+    if (!match) return null;
+    const [, leading, sign, body, trailing] = match;
+    // Numbers separated by spaces or symbols only: a stray "." or a fourth number is not a coordinate
+    const numbers = body.match(/\d+(?:\.\d+)?/g);
+    if (!numbers || numbers.length > 3 || (leading && trailing) || !/^[\s°'"]*$/.test(body.replace(/\d+(?:\.\d+)?/g, ''))) {
+        return null;
+    }
+    const hemisphere = leading || trailing || null;
+    if (hemisphere && sign === '-') {
+        throw new CoordinateParseError(`"${text.trim()}" has both a minus sign and a hemisphere letter`);
+    }
+    if (numbers.slice(0, -1).some(n => n.includes('.'))) {
+        throw new CoordinateParseError(`"${text.trim()}": only the last part of a DMS coordinate can have decimals`);
+    }
+    const [degrees, minutes = 0, seconds = 0] = numbers.map(parseFloat);
+    if (minutes >= 60 || seconds >= 60) {
+        throw new CoordinateParseError(`"${text.trim()}": minutes and seconds must be under 60`);
+    }
+    let value = degrees + minutes / 60 + seconds / 3600;
+    if (sign === '-' || hemisphere === 'S' || hemisphere === 'W') value = -value;
+    return { value, hemisphere, dms: numbers.length > 1 };
+}
+
+/**
+ * Split a latitude/longitude pair written as text into its two coordinates
+ * @returns {Array<string>|null}
+ */
+function splitPair(text) {
+    // "30.4008, -9.5776" or "30°24'02.9\"N; 9°34'39.4\"W"
+    const parts = text.split(/\s*[,;]\s*/).filter(Boolean);
+    if (parts.length === 2) return parts;
+    if (parts.length !== 1) return null;
+
+    // Hemisphere letters mark the boundary: "30 24 02.9 N 9 34 39.4 W" or "N30.4008 W9.5776"
+    const upper = text.toUpperCase();
+    if (/[NSEW]/.test(upper)) {
+        const pieces = /^[NSEW]/.test(upper)
+            ? upper.split(/(?=[NSEW])/)
+            : upper.split(/(?<=[NSEW])/);
+        const cleaned = pieces.map(p => p.trim()).filter(Boolean);
+        return cleaned.length === 2 ? cleaned : null;
+    }
+
+    // Degree signs start each coordinate: "30°24'02.9\" -9°34'39.4\""
+    const degreeStarts = text.split(/\s+(?=[+-]?\d+(?:\.\d+)?\s*°)/);
+    if (degreeStarts.length === 2) return degreeStarts;
+
+    // Two plain numbers: "30.4008 -9.5776"
+    const numbers = text.split(' ');
+    return numbers.length === 2 ? numbers : null;
+}
+
+/**
+ * Parse a coordinate pair written as text (decimal or DMS, with or without hemisphere letters)
+ * @returns {{latitude: number, longitude: number, format: string}|null} null if the text is not a coordinate pair
+ */
+function parseTextPair(text) {
+    // "lat: 30.4008, lng: -9.5776" -> "30.4008, -9.5776"
+    const cleaned = normalizeSymbols(text).replace(/\b(?:latitude|longitude|lat|long|lng|lon)\b\s*[:=]?\s*/gi, '');
+    const parts = splitPair(cleaned);
+    if (!parts) return null;
+    const first = parseComponent(parts[0]);
+    const second = parseComponent(parts[1]);
+    if (!first || !second) return null;
+
+    let latitude = first;
+    let longitude = second;
+    const isLongitude = c => c.hemisphere === 'E' || c.hemisphere === 'W';
+    const isLatitude = c => c.hemisphere === 'N' || c.hemisphere === 'S';
+    if (isLongitude(first) || isLatitude(second)) {
+        // Written longitude first: "9°34'39.4\"W 30°24'02.9\"N"
+        latitude = second;
+        longitude = first;
+    }
+    if (isLongitude(latitude) || isLatitude(longitude)) {
+        throw new CoordinateParseError(`"${text}" has two ${isLatitude(first) ? 'latitudes (N/S)' : 'longitudes (E/W)'}`);
+    }
+    return {
+        latitude: latitude.value,
+        longitude: longitude.value,
+        format: first.dms || second.dms ? 'dms' : 'decimal'
+    };
+}
+
+/**
+ * Parse a geo: URI (RFC 5870): "geo:30.4008,-9.5776", "geo:30.4008,-9.5776,59;u=10", "geo:0,0?q=30.4008,-9.5776(Shop)"
+ */
+function parseGeoUri(text) {
+    const match = text.match(/^geo:\s*([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)(?:\s*,\s*([+-]?\d+(?:\.\d+)?))?([^?]*)(?:\?(.*))?$/i);
+    if (!match) {
+        throw new CoordinateParseError(`Invalid geo: URI "${text}". Expected geo:latitude,longitude (e.g. geo:30.4008,-9.5776)`);
+    }
+    const [, lat, lon, alt, params, query] = match;
+    const crs = (params || '').match(/;\s*crs=([^;]+)/i);
+    if (crs && crs[1].toLowerCase() !== 'wgs84') {
+        throw new CoordinateParseError(`Unsupported geo: URI coordinate system "${crs[1]}", only wgs84 is supported`);
+    }
+    // Android map intents put the position in q= and 0,0 in the path
+    if (parseFloat(lat) === 0 && parseFloat(lon) === 0 && query) {
+        const q = new URLSearchParams(query).get('q');
+        const fromQuery = q ? parseTextPair(q.replace(/\(.*\)\s*$/, '')) : null;
+        if (fromQuery) return { ...fromQuery, altitude: null, format: 'geo-uri' };
+    }
+    return {
+        latitude: parseFloat(lat),
+        longitude: parseFloat(lon),
+        altitude: alt !== undefined ? parseFloat(alt) : null,
+        format: 'geo-uri'
+    };
+}
+
+/**
+ * Find the coordinates in a map URL
+ * Google Maps: the place pin (!3d...!4d...), then q=/query=/ll=/destination=, then /place/..., then the viewport (@lat,lon,17z)
+ * OpenStreetMap: mlat/mlon (marker) or #map=zoom/lat/lon; Apple Maps: ll= or q=
+ */
+function parseMapUrl(text) {
+    let url;
+    try {
+        url = new URL(text);
+    } catch (e) {
+        throw new CoordinateParseError(`Invalid URL "${text}"`);
+    }
+    const host = url.hostname.toLowerCase();
+    const format = /(^|\.)google\.|(^|\.)goo\.gl$/.test(host) ? 'google-maps-url'
+        : /openstreetmap\.org$/.test(host) ? 'openstreetmap-url'
+            : /(^|\.)apple\.com$/.test(host) ? 'apple-maps-url' : 'url';
+
+    if (host === 'maps.app.goo.gl' || host === 'goo.gl') {
+        throw new CoordinateParseError('Short Google Maps links do not contain the coordinates. Open the link and paste the full address from the browser');
+    }
+
+    let path = url.pathname;
+    try {
+        path = decodeURIComponent(path);
+    } catch (e) {
+        // Malformed escapes: search the raw path
+    }
+    path = path.replace(/\+/g, ' ');
+    const pin = path.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    if (pin) {
+        return { latitude: parseFloat(pin[1]), longitude: parseFloat(pin[2]), format };
+    }
+    const marker = [url.searchParams.get('mlat'), url.searchParams.get('mlon')];
+    if (marker[0] !== null && marker[1] !== null) {
+        const pair = parseTextPair(`${marker[0]}, ${marker[1]}`);
+        if (pair) return { ...pair, format };
+    }
+    for (const name of ['q', 'query', 'll', 'destination', 'daddr', 'center']) {
+        const value = url.searchParams.get(name);
+        const pair = value ? parseTextPair(value) : null;
+        if (pair) return { ...pair, format };
+    }
+    // /maps/place/30°24'02.9"N 9°34'39.4"W/@30.40,-9.57,17z or /maps/search/30.4008, -9.5776
+    for (const segment of path.split('/')) {
+        if (!/\d/.test(segment) || segment.startsWith('@')) continue;
+        let pair = null;
+        try {
+            pair = parseTextPair(segment);
+        } catch (e) {
+            // Not a coordinate segment (place names can contain digits)
+        }
+        if (pair) return { ...pair, format };
+    }
+    const viewport = path.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+    if (viewport) {
+        return { latitude: parseFloat(viewport[1]), longitude: parseFloat(viewport[2]), format };
+    }
+    const osmMap = url.hash.match(/map=\d+(?:\.\d+)?\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/);
+    if (osmMap) {
+        return { latitude: parseFloat(osmMap[1]), longitude: parseFloat(osmMap[2]), format };
+    }
+    throw new CoordinateParseError('No coordinates found in this URL. Links to a named place (e.g. a business) only contain its coordinates once the map has been opened; copy the address after the page has loaded');
+}
+
+/**
+ * Decode a Plus Code: full codes directly, short codes from the locality after them ("CC2C+8X Agadir")
+ */
+function parsePlusCode(text) {
+    const match = text.match(/^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/i);
+    if (!match || !isValidPlusCode(match[1].toUpperCase())) return null;
+    const code = match[1].toUpperCase();
+    let fullCode = code;
+    if (!isFull(code)) {
+        const place = match[2] ? findPlace(match[2]) : null;
+        if (!place) {
+            throw new CoordinateParseError(match[2]
+                ? `Locality "${match[2]}" not found for the short Plus Code ${code}. Use the full code (e.g. 8C2GCC2C+8X)`
+                : `The short Plus Code ${code} needs a locality (e.g. ${code} Agadir) or use the full code`);
+        }
+        fullCode = recoverNearest(code, place.latitude, place.longitude);
+    }
+    const area = decode(fullCode);
+    return { latitude: area.latitude, longitude: area.longitude, format: 'plus-code' };
+}
+
+/**
+ * Parse a location in any supported format
+ * @param {string} input - Pasted text, e.g. `30°24'02.9"N 9°34'39.4"W`, `https://www.google.com/maps/@30.40,-9.57,17z` or `geo:30.4008,-9.5776`
+ * @returns {{latitude: number, longitude: number, altitude: number|null, format: string}} Decimal degrees rounded to 7 places;
+ *   format is decimal, dms, google-maps-url, openstreetmap-url, apple-maps-url, url, geo-uri or plus-code
+ * @throws {CoordinateParseError} If no coordinates can be read or they are out of range
+ */
+function parseCoordinates(input) {
+    if (typeof input !== 'string' && typeof input !== 'number') {
+        throw new CoordinateParseError(`The location must be a string: ${EXAMPLES}`);
+    }
+    const text = String(input).trim();
+    if (!text) {
+        throw new CoordinateParseError(`The location is empty. Use ${EXAMPLES}`);
+    }
+
+    let result;
+    if (/^geo:/i.test(text)) {
+        result = parseGeoUri(text);
+    } else if (/^https?:\/\//i.test(text)) {
+        result = parseMapUrl(text);
+    } else {
+        result = parseTextPair(text) || parsePlusCode(text);
+    }
+    if (!result) {
+        throw new CoordinateParseError(`Could not read coordinates from "${text}". Use ${EXAMPLES}`);
+    }
+
+    if (isNaN(result.latitude) || result.latitude < -90 || result.latitude > 90) {
+        throw new CoordinateParseError(`Latitude ${result.latitude} is out of range (-90 to 90) in "${text}"`);
+    }
+    if (isNaN(result.longitude) || result.longitude < -180 || result.longitude > 180) {
+        throw new CoordinateParseError(`Longitude ${result.longitude} is out of range (-180 to 180) in "${text}"`);
+    }
+    return {
+        latitude: Math.round(result.latitude * 1e7) / 1e7,
+        longitude: Math.round(result.longitude * 1e7) / 1e7,
+        altitude: result.altitude !== undefined ? result.altitude : null,
+        format: result.format
+    };
+}
+
+module.exports = {
+    CoordinateParseError,
+    parseCoordinates
+};
@@ -0,0 +1,1222 @@
+// Core of /api/edit-exif: validates the requested fields and writes them to an image
+// Shared with /api/edit-exif-batch so every file in a batch goes through the same logic
+
+const piexif = require('piexifjs');
+const { FORMATS, detectImageFormat, resolveFormatName } = require('./image-format');
+const { ScrubOptionError, resolveScrubRules, scrubExifObject, planExifToolScrub, listTags } = require('./scrub');
+const { writeWithExifTool } = require('./exiftool-pool');
+const { diffMetadata, findConflicts, listExifObjectTags } = require('./metadata-diff');
+const { xpText, readMetadata } = require('./metadata-reader');
+const { GeotagError, resolveGeotagOptions, geotagImage } = require('./geotag');
+const { ReverseGeocodeError, reverseGeocode, countryName } = require('./reverse-geocode');
+const { PlusCodeError, encode: encodePlusCode } = require('./plus-codes');
+const { CoordinateParseError, parseCoordinates } = require('./coordinates');
+const { ImageLimitError, inspectImage, openImage, checkOutputSize } = require('./image-limits');
+const { XMP_DATE_TAGS, parseTimeShift, parseUtcOffset, shiftExifDateTime, shiftXmpDate, shiftIptcDateTime } = require('./time-shift');
+
+// Metadata fields accepted at the top level (new format) and inside exifData (legacy format)
+const METADATA_FIELDS = [
+    'title', 'description', 'keywords', 'city', 'region', 'country', 'countryCode',
+    'location', 'latitude', 'longitude', 'altitude',
+    'direction', 'directionRef', 'destLatitude', 'destLongitude', 'gpsTimestamp', 'positioningError', 'mapDatum',
+    'make', 'model', 'copyright', 'datetime', 'timeShift', 'timezoneOffset',
+    'creator', 'creditLine', 'webStatement', 'licensorUrl', 'creatorContactInfo', 'source', 'instructions'
+];
+
+// Fields a preset can hold: the metadata fields and the plusCode option ("Embed Plus Code" in the web interface)
+const PRESET_FIELDS = METADATA_FIELDS.concat('plusCode');
+
+// creatorContactInfo keys -> ExifTool tags of the IPTC Core CreatorContactInfo structure (XMP only, no IPTC-IIM equivalent)
+const CONTACT_INFO_TAGS = {
+    address: 'XMP-iptcCore:CreatorAddress',
+    city: 'XMP-iptcCore:CreatorCity',
+    region: 'XMP-iptcCore:CreatorRegion',
+    postalCode: 'XMP-iptcCore:CreatorPostalCode',
+    country: 'XMP-iptcCore:CreatorCountry',
+    phone: 'XMP-iptcCore:CreatorWorkTelephone',
+    email: 'XMP-iptcCore:CreatorWorkEmail',
+    url: 'XMP-iptcCore:CreatorWorkURL'
+};
+
+// Request keys that are not metadata fields
+const REQUEST_KEYS = ['imageUrl', 'imageData', 'exifData', 'outputFormat', 'scrub', 'dryRun', 'preset', 'autoLocation', 'locationLanguage', 'plusCode'];
+
+// Options of the GPX geotag mode (only valid together with a track)
+const GEOTAG_KEYS = ['gpx', 'cameraTimezone', 'clockOffset', 'maxGap'];
+
+// autoLocation writes the city into the file unseen, so it only takes a city this close (km); the bundled gazetteer is
+// sparse outside Morocco, and at the 100 km of /api/reverse-geocode a village would get the name of a distant city
+const AUTO_LOCATION_MAX_DISTANCE_KM = 25;
+
+/**
+ * Convert Decimal Degrees to DMS (Degrees, Minutes, Seconds) for EXIF GPS
+ * Uses high precision (10000 denominator) to minimize rounding errors
+ * @param {number} dd - Decimal degrees
+ * @param {boolean} isLat - True for latitude, false for longitude
+ * @returns {Array} [[[deg, 1], [min, 1], [sec*10000, 10000]], ref]
+ */
+function convertDDToDMS(dd, isLat) {
+    const ref = isLat 
+        ? (dd >= 0 ? "N" : "S")
+        : (dd >= 0 ? "E" : "W");
+
+    // Use high precision: work in 1/10000 seconds, rounded once, so the seconds never round up to 60
+    const secDenominator = 10000;
+    const total = Math.round(Math.abs(dd) * 3600 * secDenominator);
+    const deg = Math.floor(total / (3600 * secDenominator));
+    const min = Math.floor((total % (3600 * secDenominator)) / (60 * secDenominator));
+    const secNumerator = total % (60 * secDenominator);
+
+    return [[[deg, 1], [min, 1], [secNumerator, secDenominator]], ref];
+}
+
+/**
+ * Check whether a request value carries data (empty strings and arrays count as missing)
+ */
+function isProvided(value) {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
+
+/**
+ * Normalize keywords given as an array or a comma-separated string
+ * @returns {Array<string>} Trimmed, non-empty keywords
+ */
+function normalizeKeywords(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords).split(',');
+    return list.map(k => String(k).trim()).filter(k => k.length > 0);
+}
+
+/**
+ * Encode text for a Windows XP tag (XPTitle, XPKeywords...): UCS-2 little-endian with a NUL terminator
+ * piexifjs stores these BYTE tags as arrays of numbers
+ * @returns {Array<number>}
+ */
+function toXpBytes(text) {
+    return Array.from(Buffer.from(`${text}\0`, 'utf16le'));
+}
+
+/**
+ * Check that a value is an absolute http(s) URL
+ */
+function isValidUrl(value) {
+    try {
+        const url = new URL(String(value).trim());
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check that a value looks like an e-mail address
+ */
+function isValidEmail(value) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim());
+}
+
+/**
+ * Parse a date/time for EXIF, XMP and IPTC
+ * Accepts ISO 8601 ("2025-02-02T14:30:00", optionally with "Z" or "+01:00") and EXIF format ("2025:02:02 14:30:00")
+ * The wall-clock time is kept exactly as given, it is never converted to another timezone
+ * @param {string} value - Date/time string
+ * @returns {{exif: string, date: string, time: string, offset: string|null}|null} null if the value is not a valid date
+ */
+function parseDateTime(value) {
+    const match = String(value).trim().match(
+        /^(\d{4})[-:](\d{2})[-:](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+    );
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', zone] = match;
+    const check = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+    if (check.getUTCMonth() !== +month - 1 || check.getUTCDate() !== +day ||
+        +hour > 23 || +minute > 59 || +second > 59) {
+        return null;
+    }
+
+    let offset = null;
+    if (zone) {
+        offset = zone.toUpperCase() === 'Z' ? '+00:00' : zone.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    }
+
+    return {
+        exif: `${year}:${month}:${day} ${hour}:${minute}:${second}`,
+        date: `${year}:${month}:${day}`,
+        time: `${hour}:${minute}:${second}`,
+        offset: offset
+    };
+}
+
+/**
+ * Parse a date/time for the GPS timestamp, which EXIF stores in UTC
+ * A date/time without an offset is taken as UTC already
+ * @returns {{date: string, time: Array<number>, xmp: string}|null} null if invalid
+ */
+function parseGpsDateTime(value) {
+    const parsed = parseDateTime(value);
+    if (!parsed) return null;
+    const [year, month, day] = parsed.date.split(':').map(Number);
+    const [hour, minute, second] = parsed.time.split(':').map(Number);
+    let utc = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (parsed.offset) {
+        const [, sign, offsetHours, offsetMinutes] = parsed.offset.match(/^([+-])(\d{2}):(\d{2})$/);
+        utc -= (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000;
+    }
+    const iso = new Date(utc).toISOString();
+    const date = iso.slice(0, 10).replace(/-/g, ':');
+    return {
+        date: date,
+        time: [Number(iso.slice(11, 13)), Number(iso.slice(14, 16)), Number(iso.slice(17, 19))],
+        xmp: `${date} ${iso.slice(11, 19)}Z`
+    };
+}
+
+/**
+ * Normalize the image direction reference: "T" (true north) or "M" (magnetic north)
+ * @returns {string|null} null if invalid
+ */
+function parseDirectionRef(value) {
+    const ref = String(value).trim().toUpperCase();
+    if (ref === 'T' || ref === 'TRUE' || ref === 'TRUE NORTH') return 'T';
+    if (ref === 'M' || ref === 'MAGNETIC' || ref === 'MAGNETIC NORTH') return 'M';
+    return null;
+}
+
+/**
+ * Merge top-level fields with the legacy exifData object
+ * Top-level fields win; a legacy field that is overridden or unknown is reported as ignored
+ * @param {Object} body - Request body
+ * @returns {{fields: Object, ignored: Array<{field: string, reason: string}>}}
+ */
+function collectMetadataFields(body) {
+    const exifData = body.exifData && typeof body.exifData === 'object' ? body.exifData : {};
+    const fields = {};
+    const ignored = [];
+
+    for (const name of METADATA_FIELDS) {
+        if (isProvided(body[name])) {
+            fields[name] = body[name];
+            if (isProvided(exifData[name])) {
+                ignored.push({ field: `exifData.${name}`, reason: `overridden by ${name}` });
+            }
+        } else if (isProvided(exifData[name])) {
+            fields[name] = exifData[name];
+        }
+    }
+
+    for (const key of Object.keys(body)) {
+        if (!METADATA_FIELDS.includes(key) && !REQUEST_KEYS.includes(key) && !GEOTAG_KEYS.includes(key)) {
+            ignored.push({ field: key, reason: 'unknown field' });
+        }
+    }
+    for (const key of Object.keys(exifData)) {
+        if (!METADATA_FIELDS.includes(key)) {
+            ignored.push({ field: `exifData.${key}`, reason: 'unknown field' });
+        }
+    }
+
+    return { fields, ignored };
+}
+
+/**
+ * Replace a pasted location (DMS, map link, geo: URI...) with latitude and longitude, and altitude if it has one
+ * Explicit latitude and longitude win over it
+ * @throws {MetadataEditError} If the location cannot be parsed
+ */
+function resolveLocationField(fields, ignored) {
+    if (fields.location === undefined) return;
+    const location = fields.location;
+    delete fields.location;
+    if (fields.latitude !== undefined || fields.longitude !== undefined) {
+        ignored.push({ field: 'location', reason: 'overridden by latitude and longitude' });
+        return;
+    }
+    let parsed;
+    try {
+        parsed = parseCoordinates(location);
+    } catch (e) {
+        if (e instanceof CoordinateParseError) {
+            throw new MetadataEditError(`Invalid location: ${e.message}`, 400, { ignored: ignored });
+        }
+        throw e;
+    }
+    console.log(`Location parsed (${parsed.format})`);
+    fields.latitude = parsed.latitude;
+    fields.longitude = parsed.longitude;
+    if (parsed.altitude !== null && fields.altitude === undefined) {
+        fields.altitude = parsed.altitude;
+    }
+}
+
+/**
+ * Format field names for a response header (header values must be printable ASCII)
+ */
+function toHeaderList(names) {
+    return names.map(name => String(name).replace(/[^\x20-\x7e]/g, '?').replace(/,/g, ' ')).join(', ');
+}
+
+/**
+ * Translate the EXIF values collected for piexifjs into ExifTool tags
+ * Used for containers piexifjs cannot write (PNG, WebP, HEIC, TIFF)
+ * @param {Object} exifObj - piexifjs EXIF object
+ * @returns {Object} ExifTool tags such as { 'EXIF:Make': 'Canon', 'EXIF:GPSLatitude': 30.4008 }
+ */
+function exifObjToExifToolTags(exifObj) {
+    // piexifjs uses the EXIF spec names; ExifTool renames a few of them
+    const renamed = { DateTime: 'ModifyDate', DateTimeDigitized: 'CreateDate' };
+    const tagTables = { '0th': piexif.TAGS.Image, 'Exif': piexif.TAGS.Exif, 'GPS': piexif.TAGS.GPS };
+    const toNumber = r => Array.isArray(r) ? r[0] / r[1] : r;
+    const tags = {};
+
+    for (const [ifd, table] of Object.entries(tagTables)) {
+        for (const [id, value] of Object.entries(exifObj[ifd] || {})) {
+            const info = table[id];
+            if (!info) continue;
+            const name = renamed[info.name] || info.name;
+
+            if (name.startsWith('XP') && Array.isArray(value)) {
+                // ExifTool encodes the text to UCS-2 itself
+                tags[`EXIF:${name}`] = xpText(value);
+            } else if (name === 'UserComment') {
+                // Drop the 2-byte encoding marker added for piexifjs; ExifTool handles the encoding itself
+                tags['EXIF:UserComment'] = Buffer.from(value, 'binary').slice(2).toString('utf8');
+            } else if (name === 'GPSTimeStamp' && Array.isArray(value)) {
+                // "HH:MM:SS" (UTC)
+                tags['EXIF:GPSTimeStamp'] = value.map(r => String(Math.floor(toNumber(r))).padStart(2, '0')).join(':');
+            } else if (Array.isArray(value) && Array.isArray(value[0])) {
+                // DMS rationals -> "deg min sec"
+                tags[`EXIF:${name}`] = value.map(toNumber).join(' ');
+            } else if (Array.isArray(value)) {
+                tags[`EXIF:${name}`] = toNumber(value);
+            } else if (typeof value === 'number') {
+                // Enumerated values (e.g. GPSAltitudeRef) are passed as raw numbers with the "#" suffix
+                tags[`EXIF:${name}#`] = value;
+            } else {
+                tags[`EXIF:${name}`] = value;
+            }
+        }
+    }
+    return tags;
+}
+
+/**
+ * Collect every tag ExifTool has to write
+ * JPEG EXIF is already handled by piexifjs; other containers get their EXIF through ExifTool too
+ * Deletions go first so ExifTool applies them before the new values
+ * @returns {Object} ExifTool tags (null = delete)
+ */
+function buildExifToolTags(format, exifObj, scrubTags, exifToolTags) {
+    if (format === 'jpeg') {
+        return { ...scrubTags, ...exifToolTags };
+    }
+    const allTags = { ...scrubTags, ...exifObjToExifToolTags(exifObj), ...exifToolTags };
+    if (!FORMATS[format].iptc) {
+        // No native IPTC-IIM in this container; the same values are written to XMP
+        for (const tag of Object.keys(allTags)) {
+            if (tag.startsWith('IPTC:')) delete allTags[tag];
+        }
+    }
+    return allTags;
+}
+
+class MetadataEditError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {Object} [details] - Machine-readable context returned as the error details (e.g. ignored, notRemoved)
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, details = {}, code = 'INVALID_METADATA') {
+        super(message);
+        this.name = 'MetadataEditError';
+        this.status = status;
+        this.details = details;
+        this.code = code;
+    }
+}
+
+/**
+ * Validate an edit request before the image is loaded
+ * @param {Object} body - Request fields (top-level fields, legacy exifData, outputFormat, scrub)
+ * @param {Object} [presetFields] - Fields of the named preset; any field given in the request wins
+ * @param {Array} [track] - GPX track (lib/geotag.js parseGpx) to geotag the image from its capture time
+ * @returns {{fields: Object, ignored: Array, scrubRules: Object|null, outputFormat: string|undefined, dryRun: boolean,
+ *   geotag: {track: Array, options: Object}|null, autoLocation: {language: string}|null, plusCode: {codeLength: number}|null}}
+ * @throws {MetadataEditError} If the scrub, geotag, autoLocation or plusCode options are invalid or there is nothing to write
+ */
+function prepareMetadataEdit(body, presetFields = null, track = null) {
+    // Merge both formats into one set of fields (top-level fields take priority)
+    const { fields, ignored } = collectMetadataFields(body);
+    resolveLocationField(fields, ignored);
+
+    // The preset only fills the fields the request left out
+    if (presetFields) {
+        for (const name of METADATA_FIELDS) {
+            if (fields[name] === undefined && isProvided(presetFields[name])) {
+                fields[name] = presetFields[name];
+            }
+        }
+        resolveLocationField(fields, ignored);
+    }
+
+    // Optional scrub mode removes metadata (presets and/or allow/deny lists) before new fields are written
+    let scrubRules = null;
+    const scrub = body.scrub;
+    if (scrub !== undefined && scrub !== null && scrub !== false) {
+        try {
+            scrubRules = resolveScrubRules(scrub);
+        } catch (e) {
+            if (e instanceof ScrubOptionError) {
+                throw new MetadataEditError(e.message);
+            }
+            throw e;
+        }
+    }
+
+    // Optional geotag mode: latitude, longitude, altitude and GPS time come from the track
+    let geotag = null;
+    if (track) {
+        try {
+            geotag = { track: track, options: resolveGeotagOptions(body) };
+        } catch (e) {
+            if (e instanceof GeotagError) {
+                throw new MetadataEditError(e.message, 400, {}, 'INVALID_GEOTAG');
+            }
+            throw e;
+        }
+    } else {
+        for (const key of GEOTAG_KEYS.slice(1)) {
+            if (isProvided(body[key])) ignored.push({ field: key, reason: 'requires a GPX track' });
+        }
+    }
+
+    // Optional autoLocation mode: city, region and country come from the coordinates (offline gazetteer)
+    let autoLocation = null;
+    if (body.autoLocation === true || body.autoLocation === 'true') {
+        autoLocation = { language: body.locationLanguage ? String(body.locationLanguage) : 'en' };
+        try {
+            countryName('MA', autoLocation.language);
+        } catch (e) {
+            if (e instanceof ReverseGeocodeError) {
+                throw new MetadataEditError(e.message.replace('language', 'locationLanguage'));
+            }
+            throw e;
+        }
+    } else if (isProvided(body.locationLanguage)) {
+        ignored.push({ field: 'locationLanguage', reason: 'requires autoLocation' });
+    }
+
+    // Optional Plus Code of the written coordinates: true for the usual 10 digits, or a code length
+    // The preset's choice applies when the request does not make one
+    const plusCodeOption = body.plusCode !== undefined ? body.plusCode : (presetFields ? presetFields.plusCode : undefined);
+    let plusCode = null;
+    if (plusCodeOption === true || plusCodeOption === 'true') {
+        plusCode = { codeLength: 10 };
+    } else if (isProvided(plusCodeOption) && plusCodeOption !== false && plusCodeOption !== 'false') {
+        const codeLength = Number(plusCodeOption);
+        try {
+            // Padded codes (under 8 digits) cover whole regions, they would not locate the photo
+            if (codeLength < 8) throw new PlusCodeError('too short');
+            encodePlusCode(0, 0, codeLength);
+        } catch (e) {
+            if (e instanceof PlusCodeError) {
+                throw new MetadataEditError(`Invalid plusCode "${plusCodeOption}". Use true or a code length of 8 or 10 to 15`);
+            }
+            throw e;
+        }
+        plusCode = { codeLength: codeLength };
+    }
+
+    // Check if we have any metadata to write (or remove)
+    if (Object.keys(fields).length === 0 && !scrubRules && !geotag && !autoLocation) {
+        throw new MetadataEditError('At least one metadata field (or scrub) is required', 400, { ignored: ignored });
+    }
+
+    // Dry runs report the changes instead of writing them (multipart and query fields arrive as strings)
+    const dryRun = body.dryRun === true || body.dryRun === 'true';
+
+    return { fields, ignored, scrubRules, outputFormat: body.outputFormat, dryRun, geotag, autoLocation, plusCode };
+}
+
+/**
+ * Write the prepared fields to an image (and scrub it if requested)
+ * JPEG EXIF is written with piexifjs, XMP/IPTC and every other container with ExifTool
+ * @param {Buffer} imageBuffer - Original image
+ * @param {Object} edit - Result of prepareMetadataEdit
+ * @returns {Promise<{buffer: Buffer, format: string, applied: Array<string>, ignored: Array, removed: Array<string>|null}>}
+ *   removed is null when no scrub was requested. Dry runs return {dryRun, format, applied, ignored, removed, changes, conflicts}
+ *   instead, without touching the image. Both also have a geotag report in geotag mode, the place found in autoLocation mode
+ *   and the plusCode written in plusCode mode
+ * @throws {MetadataEditError} If the image cannot be edited (unsupported format, conversion or ExifTool failure)
+ */
+async function applyMetadataEdit(imageBuffer, edit) {
+    const { scrubRules, outputFormat } = edit;
+    const ignored = edit.ignored.slice();
+    const applied = [];
+
+    // Geotag mode: position at the capture time from the GPX track
+    // Coordinates given in the request win over the track; an image outside the track is reported, not guessed
+    let fields = edit.fields;
+    let geotag = null;
+    if (edit.geotag) {
+        geotag = await geotagImage(imageBuffer, edit.geotag.track, edit.geotag.options);
+        if (geotag.status === 'matched') {
+            const trackFields = {};
+            if (fields.latitude === undefined && fields.longitude === undefined) {
+                trackFields.latitude = Math.round(geotag.latitude * 1e7) / 1e7;
+                trackFields.longitude = Math.round(geotag.longitude * 1e7) / 1e7;
+                if (geotag.altitude !== null && fields.altitude === undefined) {
+                    trackFields.altitude = Math.round(geotag.altitude * 10) / 10;
+                }
+            }
+            if (fields.gpsTimestamp === undefined) {
+                trackFields.gpsTimestamp = geotag.utcTime;
+            }
+            fields = { ...fields, ...trackFields };
+            console.log('Geotag from GPX track:', JSON.stringify(geotag));
+        } else {
+            ignored.push({ field: 'gpx', reason: geotag.reason });
+            console.log('Geotag from GPX track failed:', JSON.stringify(geotag));
+        }
+    }
+
+    // autoLocation mode: nearest city to the coordinates (request, preset, track, or else the image's own GPS)
+    // Location fields given in the request win over the gazetteer
+    let location = null;
+    if (edit.autoLocation) {
+        let latitude = fields.latitude;
+        let longitude = fields.longitude;
+        if (latitude === undefined || longitude === undefined) {
+            // Throws EXIFTOOL_FAILED when a WebP (or other image exifr cannot parse) cannot be read
+            const { metadata } = await readMetadata(imageBuffer);
+            if (metadata.gps && metadata.gps.latitude !== null) {
+                latitude = metadata.gps.latitude;
+                longitude = metadata.gps.longitude;
+            }
+        }
+        if (latitude === undefined || longitude === undefined) {
+            ignored.push({ field: 'autoLocation', reason: 'no coordinates in the request or the image' });
+        } else {
+            let nearest = null;
+            try {
+                nearest = reverseGeocode(latitude, longitude, { language: edit.autoLocation.language, maxDistance: Infinity });
+            } catch (e) {
+                if (!(e instanceof ReverseGeocodeError)) throw e;
+                ignored.push({ field: 'autoLocation', reason: e.message });
+            }
+            if (nearest && nearest.distanceKm > AUTO_LOCATION_MAX_DISTANCE_KM) {
+                // Too weak a match: nothing is written, the reason says how far the nearest city is
+                ignored.push({
+                    field: 'autoLocation',
+                    reason: `no known city within ${AUTO_LOCATION_MAX_DISTANCE_KM} km (nearest: ${nearest.city}, ${nearest.distanceKm} km)`
+                });
+            } else {
+                location = nearest;
+            }
+            if (location) {
+                const placeFields = {};
+                for (const name of ['city', 'region', 'country', 'countryCode']) {
+                    if (fields[name] === undefined && location[name] !== null) placeFields[name] = location[name];
+                }
+                fields = { ...fields, ...placeFields };
+                console.log('Location from coordinates:', JSON.stringify(location));
+            } else if (!ignored.some(i => i.field === 'autoLocation')) {
+                ignored.push({ field: 'autoLocation', reason: 'no known city near the coordinates' });
+            }
+        }
+    }
+
+    // Plus Code of the coordinates being written (request, preset or track), not of the image's existing GPS
+    let plusCode = null;
+    if (edit.plusCode) {
+        const latitude = parseFloat(fields.latitude);
+        const longitude = parseFloat(fields.longitude);
+        if (fields.latitude === undefined || fields.longitude === undefined) {
+            ignored.push({ field: 'plusCode', reason: 'requires latitude and longitude' });
+        } else if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            ignored.push({ field: 'plusCode', reason: 'invalid coordinates' });
+        } else {
+            plusCode = encodePlusCode(latitude, longitude, edit.plusCode.codeLength);
+            console.log('Plus Code of the coordinates:', plusCode);
+        }
+    }
+
+    // Detect the container; metadata is written natively and the same format is returned
+    let format = detectImageFormat(imageBuffer);
+    if (!format) {
+        throw new MetadataEditError('Unsupported image format. Supported formats: JPEG, PNG, WebP, HEIC, TIFF', 415, {}, 'UNSUPPORTED_FORMAT');
+    }
+    console.log('Detected image format:', format);
+
+    // Optional explicit conversion (existing metadata is carried over by sharp)
+    if (outputFormat !== undefined) {
+        const targetFormat = resolveFormatName(outputFormat);
+        if (!targetFormat) {
+            throw new MetadataEditError(`Unsupported outputFormat "${outputFormat}". Use jpeg, png, webp, heic or tiff`, 400, {}, 'UNSUPPORTED_FORMAT');
+        }
+        if (targetFormat !== format) {
+            if (!FORMATS[targetFormat].sharp) {
+                throw new MetadataEditError(`Conversion to ${targetFormat.toUpperCase()} is not supported`, 400, {}, 'UNSUPPORTED_FORMAT');
+            }
+            try {
+                // Conversion decodes the whole image, so the sharp size limits apply
+                const header = await inspectImage(imageBuffer);
+                checkOutputSize(header.width, header.height);
+                console.log(`Converting ${format.toUpperCase()} to ${targetFormat.toUpperCase()}`);
+                const converter = openImage(imageBuffer).keepMetadata();
+                const encodeOptions = targetFormat === 'jpeg' ? { quality: 95 } : {};
+                imageBuffer = await converter[FORMATS[targetFormat].sharp](encodeOptions).toBuffer();
+                format = targetFormat;
+            } catch (convertError) {
+                if (convertError instanceof ImageLimitError) {
+                    throw new MetadataEditError(convertError.message, convertError.status, convertError.details, convertError.code);
+                }
+                console.error('Conversion error:', convertError);
+                throw new MetadataEditError(
+                    `Failed to convert ${format.toUpperCase()} to ${targetFormat.toUpperCase()}`,
+                    422,
+                    {},
+                    'CONVERSION_FAILED'
+                );
+            }
+        }
+    }
+
+    // For EXIF in JPEG, we use piexifjs; other containers are written entirely by ExifTool
+    // Load existing EXIF or start fresh (MUST BE DONE FIRST before writing to exifObj)
+    let exifObj = {};
+    if (format === 'jpeg') {
+        try {
+            exifObj = piexif.load(imageBuffer.toString('binary'));
+            console.log('Loaded existing EXIF data');
+        } catch (e) {
+            console.log('No existing EXIF, starting fresh');
+            exifObj = {"0th": {}, "Exif": {}, "GPS": {}, "Interop": {}, "1st": {}, "thumbnail": null};
+        }
+    } else {
+        // Only the tags set below are collected here and handed to ExifTool; existing tags are kept in the file
+        exifObj = {"0th": {}, "Exif": {}, "GPS": {}, "Interop": {}, "1st": {}, "thumbnail": null};
+    }
+    if (!exifObj['0th']) exifObj['0th'] = {};
+    if (!exifObj['Exif']) exifObj['Exif'] = {};
+    if (!exifObj['GPS']) exifObj['GPS'] = {};
+    const originalExif = edit.dryRun && format === 'jpeg' ? JSON.parse(JSON.stringify(exifObj)) : null;
+
+    // Scrub first, so fields written below survive even if their tags were removed
+    // EXIF in JPEG is removed directly from exifObj; everything else becomes ExifTool deletions
+    const removed = [];
+    let scrubTags = {};
+    let scrubPending = [];
+    if (scrubRules) {
+        if (format === 'jpeg') {
+            removed.push(...scrubExifObject(exifObj, scrubRules));
+        }
+        const plan = await planExifToolScrub(imageBuffer, scrubRules, format);
+        scrubTags = plan.tags;
+        scrubPending = plan.removed.map(r => r.name);
+        console.log('Scrubbing metadata:', removed.concat(scrubPending));
+    }
+
+    // Write text metadata to EXIF using piexifjs (this works reliably)
+    // Also prepare XMP/IPTC tags for ExifTool (if it works in the environment)
+    const exifToolTags = {};
+    const { title, description, keywords, city, region, country, countryCode, make, model, copyright, datetime } = fields;
+    const { creator, creditLine, webStatement, licensorUrl, creatorContactInfo, source, instructions } = fields;
+
+    // Title -> EXIF XPTitle (works with piexifjs) + XMP/IPTC (if ExifTool works)
+    // DocumentName is the name of the scanned document, it is left as it is
+    if (title !== undefined) {
+        const titleStr = String(title);
+        // Windows Explorer shows XPTitle as the title
+        exifObj["0th"][piexif.ImageIFD.XPTitle] = toXpBytes(titleStr);
+        // Also try XMP/IPTC with ExifTool
+        exifToolTags['XMP-dc:Title'] = titleStr;
+        exifToolTags['IPTC:ObjectName'] = titleStr;
+        applied.push('title');
+        console.log('Setting title:', titleStr);
+    }
+
+    // Description -> EXIF ImageDescription, XPSubject and XPComment (works with piexifjs) + XMP/IPTC (if ExifTool works)
+    if (description !== undefined) {
+        const descStr = String(description);
+        // Write to EXIF ImageDescription (this works!)
+        exifObj["0th"][piexif.ImageIFD.ImageDescription] = descStr;
+        // Windows Explorer shows XPSubject as "Subject" and XPComment as "Comments"
+        exifObj["0th"][piexif.ImageIFD.XPSubject] = toXpBytes(descStr);
+        exifObj["0th"][piexif.ImageIFD.XPComment] = toXpBytes(descStr);
+        // Also try XMP/IPTC with ExifTool
+        exifToolTags['XMP-dc:Description'] = descStr;
+        exifToolTags['IPTC:Caption-Abstract'] = descStr;
+        applied.push('description');
+        console.log('Setting description:', descStr);
+    }
+
+    // Keywords -> EXIF XPKeywords (works with piexifjs) + XMP/IPTC (if ExifTool works)
+    if (keywords !== undefined) {
+        const keywordsArray = normalizeKeywords(keywords);
+        if (keywordsArray.length > 0) {
+            const keywordsStr = keywordsArray.join(', ');
+            exifToolTags['XMP-dc:Subject'] = keywordsArray;
+            exifToolTags['IPTC:Keywords'] = keywordsArray;
+            // Windows separates the tags in XPKeywords with semicolons
+            exifObj["0th"][piexif.ImageIFD.XPKeywords] = toXpBytes(keywordsArray.join(';'));
+            applied.push('keywords');
+            console.log('Setting keywords:', keywordsStr);
+        } else {
+            ignored.push({ field: 'keywords', reason: 'no non-empty keywords' });
+        }
+    }
+
+    // City, region and country -> Try to store in EXIF UserComment (works with piexifjs)
+    // Also try XMP/IPTC with ExifTool
+    // The Plus Code, if requested, is appended: "Agadir, Souss-Massa, Morocco (8C2GCC2C+8X)"
+    if (city !== undefined || region !== undefined || country !== undefined || plusCode) {
+        let locationStr = [city, region, country].filter(Boolean).join(', ');
+        if (plusCode) {
+            locationStr = locationStr ? `${locationStr} (${plusCode})` : plusCode;
+        }
+        if (locationStr) {
+            // Store in UserComment with UTF-8 encoding
+            const utf8Bytes = Buffer.from(`Location: ${locationStr}`, 'utf8');
+            const userComment = Buffer.concat([
+                Buffer.from([0x01, 0x00]), // UTF-8 encoding identifier
+                utf8Bytes
+            ]);
+            exifObj["Exif"][piexif.ExifIFD.UserComment] = userComment.toString('binary');
+            console.log('Setting location in UserComment:', locationStr);
+        }
+        if (city !== undefined) {
+            exifToolTags['XMP-photoshop:City'] = String(city);
+            exifToolTags['IPTC:City'] = String(city);
+            applied.push('city');
+        }
+        if (region !== undefined) {
+            exifToolTags['XMP-photoshop:State'] = String(region);
+            exifToolTags['IPTC:Province-State'] = String(region);
+            applied.push('region');
+        }
+        if (country !== undefined) {
+            exifToolTags['XMP-photoshop:Country'] = String(country);
+            exifToolTags['IPTC:Country-PrimaryLocationName'] = String(country);
+            applied.push('country');
+        }
+    }
+
+    // Country code (ISO 3166 alpha-2 or alpha-3) -> XMP Iptc4xmpCore:CountryCode and IPTC Country-PrimaryLocationCode
+    if (countryCode !== undefined) {
+        const code = String(countryCode).trim().toUpperCase();
+        if (/^[A-Z]{2,3}$/.test(code)) {
+            exifToolTags['XMP-iptcCore:CountryCode'] = code;
+            exifToolTags['IPTC:Country-PrimaryLocationCode'] = code;
+            applied.push('countryCode');
+        } else {
+            ignored.push({ field: 'countryCode', reason: 'expected an ISO 3166 country code such as MA' });
+        }
+    }
+
+    // Make and Model -> EXIF IFD0
+    if (make !== undefined) {
+        exifObj["0th"][piexif.ImageIFD.Make] = String(make);
+        applied.push('make');
+        console.log('Setting make:', make);
+    }
+    if (model !== undefined) {
+        exifObj["0th"][piexif.ImageIFD.Model] = String(model);
+        applied.push('model');
+        console.log('Setting model:', model);
+    }
+
+    // Copyright -> EXIF IFD0 Copyright + XMP dc:rights + IPTC CopyrightNotice
+    if (copyright !== undefined) {
+        const copyrightStr = String(copyright);
+        exifObj["0th"][piexif.ImageIFD.Copyright] = copyrightStr;
+        exifToolTags['XMP-dc:Rights'] = copyrightStr;
+        exifToolTags['IPTC:CopyrightNotice'] = copyrightStr;
+        applied.push('copyright');
+        console.log('Setting copyright:', copyrightStr);
+    }
+
+    // Creator -> EXIF Artist + XMP dc:creator + IPTC By-line (lists: one entry per person, names are not split on commas)
+    if (creator !== undefined) {
+        const creators = [].concat(creator).map(c => String(c).trim()).filter(c => c.length > 0);
+        if (creators.length > 0) {
+            exifObj["0th"][piexif.ImageIFD.Artist] = creators.join('; ');
+            exifToolTags['XMP-dc:Creator'] = creators;
+            exifToolTags['IPTC:By-line'] = creators;
+            applied.push('creator');
+            console.log('Setting creator:', creators);
+        } else {
+            ignored.push({ field: 'creator', reason: 'no non-empty creator' });
+        }
+    }
+
+    // Credit line, source and instructions -> XMP photoshop namespace + IPTC
+    if (creditLine !== undefined) {
+        exifToolTags['XMP-photoshop:Credit'] = String(creditLine);
+        exifToolTags['IPTC:Credit'] = String(creditLine);
+        applied.push('creditLine');
+        console.log('Setting credit line:', creditLine);
+    }
+    if (source !== undefined) {
+        exifToolTags['XMP-photoshop:Source'] = String(source);
+        exifToolTags['IPTC:Source'] = String(source);
+        applied.push('source');
+        console.log('Setting source:', source);
+    }
+    if (instructions !== undefined) {
+        exifToolTags['XMP-photoshop:Instructions'] = String(instructions);
+        exifToolTags['IPTC:SpecialInstructions'] = String(instructions);
+        applied.push('instructions');
+        console.log('Setting instructions:', instructions);
+    }
+
+    // Web Statement of Rights and Licensor URL -> XMP only (xmpRights, PLUS)
+    if (webStatement !== undefined) {
+        if (isValidUrl(webStatement)) {
+            exifToolTags['XMP-xmpRights:WebStatement'] = String(webStatement).trim();
+            applied.push('webStatement');
+            console.log('Setting web statement:', webStatement);
+        } else {
+            ignored.push({ field: 'webStatement', reason: 'invalid URL, expected http(s)://...' });
+        }
+    }
+    if (licensorUrl !== undefined) {
+        if (isValidUrl(licensorUrl)) {
+            exifToolTags['XMP-plus:LicensorURL'] = String(licensorUrl).trim();
+            applied.push('licensorUrl');
+            console.log('Setting licensor URL:', licensorUrl);
+        } else {
+            ignored.push({ field: 'licensorUrl', reason: 'invalid URL, expected http(s)://...' });
+        }
+    }
+
+    // Creator contact info -> XMP Iptc4xmpCore:CreatorContactInfo (multipart/query send it as a JSON string)
+    if (creatorContactInfo !== undefined) {
+        let contact = creatorContactInfo;
+        if (typeof contact === 'string') {
+            try {
+                contact = JSON.parse(contact);
+            } catch (e) {
+                contact = null;
+            }
+        }
+        if (!contact || typeof contact !== 'object' || Array.isArray(contact)) {
+            ignored.push({ field: 'creatorContactInfo', reason: 'must be an object' });
+        } else {
+            let contactApplied = false;
+            for (const [key, value] of Object.entries(contact)) {
+                const field = `creatorContactInfo.${key}`;
+                if (!CONTACT_INFO_TAGS[key]) {
+                    ignored.push({ field, reason: 'unknown field' });
+                } else if (!isProvided(value)) {
+                    continue;
+                } else if (key === 'url' && !isValidUrl(value)) {
+                    ignored.push({ field, reason: 'invalid URL, expected http(s)://...' });
+                } else if (key === 'email' && !isValidEmail(value)) {
+                    ignored.push({ field, reason: 'invalid e-mail address' });
+                } else {
+                    exifToolTags[CONTACT_INFO_TAGS[key]] = String(value).trim();
+                    contactApplied = true;
+                }
+            }
+            if (contactApplied) {
+                applied.push('creatorContactInfo');
+                console.log('Setting creator contact info:', contact);
+            } else if (!ignored.some(i => i.field.startsWith('creatorContactInfo.'))) {
+                ignored.push({ field: 'creatorContactInfo', reason: 'no contact details' });
+            }
+        }
+    }
+
+    // Date/time -> EXIF DateTimeOriginal, CreateDate (DateTimeDigitized), ModifyDate (DateTime)
+    // plus XMP photoshop:DateCreated / xmp:CreateDate / xmp:ModifyDate and IPTC DateCreated/TimeCreated
+    if (datetime !== undefined) {
+        const parsed = parseDateTime(datetime);
+        if (parsed) {
+            const xmpDate = parsed.exif + (parsed.offset || '');
+            exifObj["Exif"][piexif.ExifIFD.DateTimeOriginal] = parsed.exif;
+            exifObj["Exif"][piexif.ExifIFD.DateTimeDigitized] = parsed.exif;
+            exifObj["0th"][piexif.ImageIFD.DateTime] = parsed.exif;
+            exifToolTags['XMP-photoshop:DateCreated'] = xmpDate;
+            exifToolTags['XMP-xmp:CreateDate'] = xmpDate;
+            exifToolTags['XMP-xmp:ModifyDate'] = xmpDate;
+            exifToolTags['IPTC:DateCreated'] = parsed.date;
+            exifToolTags['IPTC:TimeCreated'] = parsed.time + (parsed.offset || '');
+            applied.push('datetime');
+            console.log('Setting datetime:', xmpDate);
+        } else {
+            ignored.push({ field: 'datetime', reason: 'invalid date, expected YYYY-MM-DDTHH:MM:SS' });
+        }
+    }
+
+    // Determine GPS coordinates
+    const hasLat = fields.latitude !== undefined;
+    const hasLon = fields.longitude !== undefined;
+    const lat = hasLat ? parseFloat(fields.latitude) : undefined;
+    const lon = hasLon ? parseFloat(fields.longitude) : undefined;
+    const alt = fields.altitude !== undefined ? parseFloat(fields.altitude) : undefined;
+
+    // Write GPS coordinates to EXIF
+    if (hasLat !== hasLon) {
+        ignored.push({ field: hasLat ? 'latitude' : 'longitude', reason: 'latitude and longitude must be provided together' });
+        if (alt !== undefined) ignored.push({ field: 'altitude', reason: 'requires latitude and longitude' });
+    } else if (hasLat && hasLon) {
+        if (!isNaN(lat) && !isNaN(lon) &&
+            lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
+
+            const latResult = convertDDToDMS(lat, true);
+            const lonResult = convertDDToDMS(lon, false);
+
+            exifObj["GPS"][piexif.GPSIFD.GPSLatitude] = latResult[0];
+            exifObj["GPS"][piexif.GPSIFD.GPSLatitudeRef] = latResult[1];
+            exifObj["GPS"][piexif.GPSIFD.GPSLongitude] = lonResult[0];
+            exifObj["GPS"][piexif.GPSIFD.GPSLongitudeRef] = lonResult[1];
+            applied.push('latitude', 'longitude');
+
+            if (alt !== undefined && !isNaN(alt)) {
+                exifObj["GPS"][piexif.GPSIFD.GPSAltitude] = [Math.round(Math.abs(alt) * 100), 100];
+                exifObj["GPS"][piexif.GPSIFD.GPSAltitudeRef] = alt >= 0 ? 0 : 1;
+                applied.push('altitude');
+            } else if (alt !== undefined) {
+                ignored.push({ field: 'altitude', reason: 'not a number' });
+            }
+        } else {
+            ignored.push({ field: 'latitude', reason: 'invalid coordinates' });
+            ignored.push({ field: 'longitude', reason: 'invalid coordinates' });
+            if (alt !== undefined) ignored.push({ field: 'altitude', reason: 'requires latitude and longitude' });
+        }
+    } else if (alt !== undefined) {
+        ignored.push({ field: 'altitude', reason: 'requires latitude and longitude' });
+    }
+
+    // Plus Code -> XMP Iptc4xmpExt:LocationCreated (identifier as a plus.codes URL, with the position and place names)
+    if (plusCode) {
+        exifToolTags['XMP-iptcExt:LocationCreatedLocationId'] = `https://plus.codes/${plusCode}`;
+        exifToolTags['XMP-iptcExt:LocationCreatedLocationName'] = plusCode;
+        exifToolTags['XMP-iptcExt:LocationCreatedGPSLatitude'] = lat;
+        exifToolTags['XMP-iptcExt:LocationCreatedGPSLongitude'] = lon;
+        if (city) exifToolTags['XMP-iptcExt:LocationCreatedCity'] = String(city);
+        if (region) exifToolTags['XMP-iptcExt:LocationCreatedProvinceState'] = String(region);
+        if (country) exifToolTags['XMP-iptcExt:LocationCreatedCountryName'] = String(country);
+        if (countryCode && /^[A-Z]{2,3}$/i.test(String(countryCode).trim())) {
+            exifToolTags['XMP-iptcExt:LocationCreatedCountryCode'] = String(countryCode).trim().toUpperCase();
+        }
+        applied.push('plusCode');
+    }
+
+    // Image direction (compass heading of the camera) -> EXIF GPSImgDirection/Ref + XMP exif:GPSImgDirection/Ref
+    if (fields.direction !== undefined) {
+        const direction = parseFloat(fields.direction);
+        const ref = fields.directionRef !== undefined ? parseDirectionRef(fields.directionRef) : 'T';
+        if (isNaN(direction) || direction < 0 || direction >= 360) {
+            ignored.push({ field: 'direction', reason: 'must be a number of degrees from 0 to 359.99' });
+            if (fields.directionRef !== undefined) ignored.push({ field: 'directionRef', reason: 'requires direction' });
+        } else if (!ref) {
+            ignored.push({ field: 'directionRef', reason: 'must be "T" (true north) or "M" (magnetic north)' });
+            ignored.push({ field: 'direction', reason: 'invalid directionRef' });
+        } else {
+            exifObj["GPS"][piexif.GPSIFD.GPSImgDirection] = [Math.round(direction * 100), 100];
+            exifObj["GPS"][piexif.GPSIFD.GPSImgDirectionRef] = ref;
+            exifToolTags['XMP-exif:GPSImgDirection'] = Math.round(direction * 100) / 100;
+            exifToolTags['XMP-exif:GPSImgDirectionRef#'] = ref;
+            applied.push('direction');
+            if (fields.directionRef !== undefined) applied.push('directionRef');
+            console.log('Setting image direction:', direction, ref);
+        }
+    } else if (fields.directionRef !== undefined) {
+        ignored.push({ field: 'directionRef', reason: 'requires direction' });
+    }
+
+    // Destination (the subject of the photo) -> EXIF GPSDestLatitude/GPSDestLongitude + XMP exif:GPSDest*
+    const hasDestLat = fields.destLatitude !== undefined;
+    const hasDestLon = fields.destLongitude !== undefined;
+    if (hasDestLat !== hasDestLon) {
+        ignored.push({ field: hasDestLat ? 'destLatitude' : 'destLongitude', reason: 'destLatitude and destLongitude must be provided together' });
+    } else if (hasDestLat && hasDestLon) {
+        const destLat = parseFloat(fields.destLatitude);
+        const destLon = parseFloat(fields.destLongitude);
+        if (!isNaN(destLat) && !isNaN(destLon) &&
+            destLat >= -90 && destLat <= 90 && destLon >= -180 && destLon <= 180) {
+            const destLatResult = convertDDToDMS(destLat, true);
+            const destLonResult = convertDDToDMS(destLon, false);
+            exifObj["GPS"][piexif.GPSIFD.GPSDestLatitude] = destLatResult[0];
+            exifObj["GPS"][piexif.GPSIFD.GPSDestLatitudeRef] = destLatResult[1];
+            exifObj["GPS"][piexif.GPSIFD.GPSDestLongitude] = destLonResult[0];
+            exifObj["GPS"][piexif.GPSIFD.GPSDestLongitudeRef] = destLonResult[1];
+            // XMP coordinates carry the hemisphere themselves
+            exifToolTags['XMP-exif:GPSDestLatitude'] = `${Math.abs(destLat)} ${destLatResult[1]}`;
+            exifToolTags['XMP-exif:GPSDestLongitude'] = `${Math.abs(destLon)} ${destLonResult[1]}`;
+            applied.push('destLatitude', 'destLongitude');
+            console.log('Setting destination:', destLat, destLon);
+        } else {
+            ignored.push({ field: 'destLatitude', reason: 'invalid coordinates' });
+            ignored.push({ field: 'destLongitude', reason: 'invalid coordinates' });
+        }
+    }
+
+    // GPS timestamp (UTC) -> EXIF GPSDateStamp/GPSTimeStamp + XMP exif:GPSTimeStamp
+    if (fields.gpsTimestamp !== undefined) {
+        const gpsTime = parseGpsDateTime(fields.gpsTimestamp);
+        if (gpsTime) {
+            exifObj["GPS"][piexif.GPSIFD.GPSDateStamp] = gpsTime.date;
+            exifObj["GPS"][piexif.GPSIFD.GPSTimeStamp] = gpsTime.time.map(n => [n, 1]);
+            exifToolTags['XMP-exif:GPSTimeStamp'] = gpsTime.xmp;
+            applied.push('gpsTimestamp');
+            console.log('Setting GPS timestamp:', gpsTime.xmp);
+        } else {
+            ignored.push({ field: 'gpsTimestamp', reason: 'invalid date, expected YYYY-MM-DDTHH:MM:SS with an optional offset' });
+        }
+    }
+
+    // Horizontal positioning error in meters -> EXIF GPSHPositioningError + XMP exif:GPSHPositioningError
+    if (fields.positioningError !== undefined) {
+        const error = parseFloat(fields.positioningError);
+        if (!isNaN(error) && error >= 0) {
+            exifObj["GPS"][piexif.GPSIFD.GPSHPositioningError] = [Math.round(error * 100), 100];
+            exifToolTags['XMP-exif:GPSHPositioningError'] = Math.round(error * 100) / 100;
+            applied.push('positioningError');
+            console.log('Setting positioning error:', error);
+        } else {
+            ignored.push({ field: 'positioningError', reason: 'must be a number of meters (0 or more)' });
+        }
+    }
+
+    // Geodetic datum -> EXIF GPSMapDatum + XMP exif:GPSMapDatum
+    if (fields.mapDatum !== undefined) {
+        const datum = String(fields.mapDatum).trim();
+        exifObj["GPS"][piexif.GPSIFD.GPSMapDatum] = datum;
+        exifToolTags['XMP-exif:GPSMapDatum'] = datum;
+        applied.push('mapDatum');
+        console.log('Setting map datum:', datum);
+    }
+
+    // Time shift -> moves every existing capture/modify date (EXIF, XMP, IPTC) by the same amount
+    // Timezone offset -> EXIF OffsetTime/OffsetTimeOriginal/OffsetTimeDigitized and the offset of the XMP/IPTC dates
+    if (fields.timeShift !== undefined || fields.timezoneOffset !== undefined) {
+        let shift = 0;
+        let offset = null;
+        let valid = true;
+        if (fields.timeShift !== undefined) {
+            shift = parseTimeShift(fields.timeShift);
+            if (datetime !== undefined) {
+                ignored.push({ field: 'timeShift', reason: 'cannot be combined with datetime' });
+                shift = 0;
+            } else if (shift === null) {
+                ignored.push({ field: 'timeShift', reason: 'invalid shift, expected e.g. "+01:00:00", "-1 day" or "+2 hours 30 minutes"' });
+                valid = false;
+            }
+        }
+        if (fields.timezoneOffset !== undefined) {
+            offset = parseUtcOffset(fields.timezoneOffset);
+            if (!offset) {
+                ignored.push({ field: 'timezoneOffset', reason: 'invalid offset, expected e.g. "+02:00"' });
+                valid = false;
+            }
+        }
+
+        if (valid && (shift || offset)) {
+            // Dates already in the file; EXIF comes from piexifjs for JPEG, from ExifTool for the other formats (exifr cannot read WebP)
+            const existing = new Map();
+            for (const tag of await listTags(imageBuffer, format)) {
+                existing.set(tag.exifTool, tag.value);
+            }
+            const exifDates = [
+                ['Exif', piexif.ExifIFD.DateTimeOriginal, 'EXIF:DateTimeOriginal', 'EXIF:OffsetTimeOriginal'],
+                ['Exif', piexif.ExifIFD.DateTimeDigitized, 'EXIF:CreateDate', 'EXIF:OffsetTimeDigitized'],
+                ['0th', piexif.ImageIFD.DateTime, 'EXIF:ModifyDate', 'EXIF:OffsetTime']
+            ];
+            let found = 0;
+            for (const [ifd, id, name, offsetTag] of exifDates) {
+                const current = format === 'jpeg' ? exifObj[ifd][id] : existing.get(name);
+                // A date set by the datetime field is already right, only its offset changes
+                const shifted = shiftExifDateTime(current, datetime !== undefined ? 0 : shift);
+                if (!shifted) continue;
+                exifObj[ifd][id] = shifted;
+                if (offset) exifToolTags[offsetTag] = offset;
+                found++;
+            }
+            for (const tag of XMP_DATE_TAGS) {
+                // Tags removed by the scrub stay removed; tags written by the datetime field are used as they are
+                const current = exifToolTags[tag] !== undefined ? exifToolTags[tag] : existing.get(tag);
+                if (current === undefined || scrubTags[tag] === null) continue;
+                const shifted = shiftXmpDate(
+                    String(current).replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3'),
+                    exifToolTags[tag] !== undefined ? 0 : shift,
+                    offset
+                );
+                if (!shifted) continue;
+                exifToolTags[tag] = shifted;
+                found++;
+            }
+            const iptcDate = exifToolTags['IPTC:DateCreated'] !== undefined ? exifToolTags['IPTC:DateCreated'] : existing.get('IPTC:DateCreated');
+            const iptcTime = exifToolTags['IPTC:TimeCreated'] !== undefined ? exifToolTags['IPTC:TimeCreated'] : existing.get('IPTC:TimeCreated');
+            if (iptcDate !== undefined && scrubTags['IPTC:DateCreated'] !== null) {
+                const shifted = shiftIptcDateTime(iptcDate, iptcTime, exifToolTags['IPTC:DateCreated'] !== undefined ? 0 : shift, offset);
+                if (shifted) {
+                    exifToolTags['IPTC:DateCreated'] = shifted.date;
+                    exifToolTags['IPTC:TimeCreated'] = shifted.time;
+                    found++;
+                }
+            }
+
+            if (found === 0) {
+                if (fields.timeShift !== undefined && datetime === undefined) ignored.push({ field: 'timeShift', reason: 'the image has no dates to shift' });
+                if (offset) ignored.push({ field: 'timezoneOffset', reason: 'the image has no dates' });
+            } else {
+                if (shift && datetime === undefined) applied.push('timeShift');
+                if (offset) applied.push('timezoneOffset');
+                console.log(`Shifting ${found} dates by ${shift} s` + (offset ? `, timezone offset ${offset}` : ''));
+            }
+        }
+    }
+
+    console.log('ExifTool tags to write (if ExifTool works):', JSON.stringify(exifToolTags, null, 2));
+
+    if (ignored.length > 0) {
+        console.warn('Ignored metadata fields:', JSON.stringify(ignored));
+    }
+    if (applied.length === 0 && !scrubRules) {
+        const details = { ignored: ignored };
+        if (geotag) details.geotag = geotag;
+        if (location) details.location = location;
+        throw new MetadataEditError('None of the provided metadata fields could be applied', 400, details);
+    }
+
+    if (edit.dryRun) {
+        const tags = buildExifToolTags(format, exifObj, scrubTags, exifToolTags);
+        const changes = await diffMetadata(imageBuffer, {
+            format: format,
+            originalExif: originalExif,
+            finalExif: format === 'jpeg' ? exifObj : null,
+            tags: tags
+        });
+
+        // Tags the scrub removes and a field then writes again
+        const finalExifTags = format === 'jpeg' ? listExifObjectTags(exifObj) : new Map();
+        const rewritten = removed
+            .filter(name => finalExifTags.has(`EXIF:${name.split(':')[1]}`))
+            .concat(Object.keys(scrubTags).filter(tag => tags[tag] !== null || (tags[`${tag}#`] !== undefined && tags[`${tag}#`] !== null)));
+
+        console.log(`Dry run: ${changes.length} changes`);
+        const dryRunResult = {
+            dryRun: true,
+            format: format,
+            applied: applied,
+            ignored: ignored,
+            removed: scrubRules ? removed.concat(scrubPending) : null,
+            changes: changes,
+            conflicts: findConflicts(changes, fields, rewritten)
+        };
+        if (geotag) dryRunResult.geotag = geotag;
+        if (location) dryRunResult.location = location;
+        if (plusCode) dryRunResult.plusCode = plusCode;
+        return dryRunResult;
+    }
+
+    let finalImageBuffer;
+    if (format === 'jpeg') {
+        // Ensure all required EXIF sections exist
+        if (!exifObj['0th']) exifObj['0th'] = {};
+        if (!exifObj['Exif']) exifObj['Exif'] = {};
+        if (!exifObj['GPS']) exifObj['GPS'] = {};
+        if (!exifObj['Interop']) exifObj['Interop'] = {};
+        if (!exifObj['1st']) exifObj['1st'] = {};
+        if (exifObj['thumbnail'] === undefined) exifObj['thumbnail'] = null;
+
+        // Apply EXIF data (GPS + text fields) using piexifjs
+        // This includes: GPS coordinates, XP tags, ImageDescription, UserComment
+        console.log('Writing EXIF data with piexifjs (GPS + text fields)');
+        const imageString = imageBuffer.toString('binary');
+        const exifString = piexif.dump(exifObj);
+        const imageWithExif = piexif.insert(exifString, imageString);
+        const imageBufferWithExif = Buffer.from(imageWithExif, 'binary');
+        console.log('EXIF data written, buffer size:', imageBufferWithExif.length, 'bytes');
+
+        // Apply XMP/IPTC metadata using ExifTool (optional - EXIF fields already written above)
+        // Try ExifTool for XMP/IPTC, but if it fails, we still return the image with EXIF data
+        finalImageBuffer = imageBufferWithExif;
+        const allTags = buildExifToolTags(format, exifObj, scrubTags, exifToolTags);
+        if (Object.keys(allTags).length > 0) {
+            console.log('Attempting ExifTool processing for XMP/IPTC metadata (optional)...');
+            try {
+                finalImageBuffer = await writeWithExifTool(imageBufferWithExif, allTags, FORMATS.jpeg.ext);
+                removed.push(...scrubPending);
+            } catch (exifToolError) {
+                // Removing private data must not silently fail, unlike adding XMP/IPTC
+                if (scrubPending.length > 0) {
+                    console.error('ExifTool error while scrubbing:', exifToolError);
+                    throw new MetadataEditError('Failed to remove IPTC/XMP metadata', 500, {
+                        notRemoved: scrubPending
+                    }, 'EXIFTOOL_FAILED');
+                }
+                console.error('ExifTool error (non-fatal, continuing with EXIF-only):', {
+                    message: exifToolError.message,
+                    name: exifToolError.name
+                });
+                // Fallback: use image with EXIF data only (this is fine!)
+                console.log('Using image with EXIF data only (XMP/IPTC not available in this environment)');
+                finalImageBuffer = imageBufferWithExif;
+            }
+        } else {
+            console.log('No XMP/IPTC tags to write, using EXIF data only');
+        }
+    } else {
+        // piexifjs only understands JPEG, so every group (EXIF included) goes through ExifTool
+        const allTags = buildExifToolTags(format, exifObj, scrubTags, exifToolTags);
+        console.log(`Writing metadata to ${format.toUpperCase()} with ExifTool (required for this format)`);
+        try {
+            if (Object.keys(allTags).length === 0) {
+                // Nothing matched the scrub rules and no fields were applied
+                finalImageBuffer = imageBuffer;
+            } else {
+                finalImageBuffer = await writeWithExifTool(imageBuffer, allTags, FORMATS[format].ext);
+                removed.push(...scrubPending);
+            }
+        } catch (exifToolError) {
+            console.error('ExifTool error:', exifToolError);
+            throw new MetadataEditError(`Failed to write metadata to ${format.toUpperCase()} image`, 500, {}, 'EXIFTOOL_FAILED');
+        }
+    }
+
+    const result = {
+        buffer: finalImageBuffer,
+        format: format,
+        applied: applied,
+        ignored: ignored,
+        removed: scrubRules ? removed : null
+    };
+    if (geotag) result.geotag = geotag;
+    if (location) result.location = location;
+    if (plusCode) result.plusCode = plusCode;
+    return result;
+}
+
+/**
+ * Validate the request and edit the image in one step
+ * @param {Buffer} imageBuffer - Original image
+ * @param {Object} body - Request fields
+ * @param {Object} [presetFields] - Fields of the named preset
+ * @param {Array} [track] - GPX track for the geotag mode
+ * @returns {Promise<{buffer: Buffer, format: string, applied: Array<string>, ignored: Array, removed: Array<string>|null}>}
+ * @throws {MetadataEditError}
+ */
+async function editImageMetadata(imageBuffer, body, presetFields = null, track = null) {
+    return applyMetadataEdit(imageBuffer, prepareMetadataEdit(body, presetFields, track));
+}
+
+module.exports = {
+    METADATA_FIELDS,
+    PRESET_FIELDS,
+    MetadataEditError,
+    collectMetadataFields,
+    prepareMetadataEdit,
+    applyMetadataEdit,
+    editImageMetadata,
+    toHeaderList,
+    convertDDToDMS,
+    parseDateTime,
+    normalizeKeywords
+};
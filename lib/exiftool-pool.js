@@ -0,0 +1,213 @@
+// Shared ExifTool instance for every request handled by this process
+// exiftool-vendored keeps up to maxProcs Perl processes running in stay_open mode, so only the first
+// write pays the startup cost. Images go through one scratch directory that is always cleaned up.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Max ExifTool processes (EXIFTOOL_MAX_PROCS); one is enough for a serverless function
+const DEFAULT_MAX_PROCS = 1;
+
+// Scratch directories are named with this prefix; ones older than STALE_SCRATCH_MS are leftovers of crashed processes
+const SCRATCH_PREFIX = 'exif-editor-';
+const STALE_SCRATCH_MS = 60 * 60 * 1000;
+
+// Read arguments: "Family0:Family1:Tag" keys, duplicate tags kept, numeric values (-n) and XMP structures as objects
+const READ_ARGS = ['-G0:1', '-a', '-n', '-struct'];
+
+let exiftool = null;
+let scratchDir = null;
+let hooksInstalled = false;
+
+class ExifToolError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ExifToolError';
+        this.status = 500;
+        this.code = 'EXIFTOOL_FAILED';
+    }
+}
+
+/**
+ * Read the max process count from the environment
+ * @returns {number}
+ */
+function getMaxProcs() {
+    const value = parseInt(process.env.EXIFTOOL_MAX_PROCS, 10);
+    return value > 0 ? value : DEFAULT_MAX_PROCS;
+}
+
+/**
+ * Remove scratch directories left behind by processes that did not shut down cleanly
+ */
+function removeStaleScratchDirs() {
+    const tmp = os.tmpdir();
+    let names = [];
+    try {
+        names = fs.readdirSync(tmp).filter(name => name.startsWith(SCRATCH_PREFIX));
+    } catch (e) {
+        return;
+    }
+    for (const name of names) {
+        const dir = path.join(tmp, name);
+        try {
+            if (Date.now() - fs.statSync(dir).mtimeMs > STALE_SCRATCH_MS) {
+                fs.rmSync(dir, { recursive: true, force: true });
+                console.log('Removed stale ExifTool scratch directory:', dir);
+            }
+        } catch (e) {
+            // Another process may be removing it at the same time
+        }
+    }
+}
+
+/**
+ * Get the scratch directory of this process, creating it on first use
+ * @returns {string}
+ */
+function getScratchDir() {
+    if (!scratchDir || !fs.existsSync(scratchDir)) {
+        removeStaleScratchDirs();
+        scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), SCRATCH_PREFIX));
+        console.log('Created ExifTool scratch directory:', scratchDir);
+    }
+    return scratchDir;
+}
+
+/**
+ * End ExifTool and remove the scratch directory on process exit or termination signals
+ */
+function installShutdownHooks() {
+    if (hooksInstalled) return;
+    hooksInstalled = true;
+
+    process.once('beforeExit', () => {
+        shutdown().catch(() => {});
+    });
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            shutdown().finally(() => process.kill(process.pid, signal));
+        });
+    }
+    // Last resort, only synchronous work is possible here
+    process.once('exit', () => {
+        removeScratchDir();
+    });
+}
+
+/**
+ * Get the shared ExifTool instance, starting it on first use
+ * @returns {import('exiftool-vendored').ExifTool}
+ */
+function getExifTool() {
+    if (!exiftool) {
+        const { ExifTool } = require('exiftool-vendored');
+        const maxProcs = getMaxProcs();
+        exiftool = new ExifTool({ maxProcs: maxProcs });
+        installShutdownHooks();
+        console.log(`Started shared ExifTool (max ${maxProcs} process${maxProcs === 1 ? '' : 'es'})`);
+    }
+    return exiftool;
+}
+
+/**
+ * Remove the scratch directory (synchronous so it also works from the exit hook)
+ */
+function removeScratchDir() {
+    if (!scratchDir) return;
+    try {
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+    } catch (e) {
+        console.warn('Failed to remove ExifTool scratch directory:', e.message);
+    }
+    scratchDir = null;
+}
+
+/**
+ * Stop the ExifTool processes and remove the scratch directory
+ * The next write starts a new instance, so this is safe to call at any time
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+    const running = exiftool;
+    exiftool = null;
+    if (running) {
+        console.log('Shutting down shared ExifTool');
+        await running.end().catch(e => console.warn('Failed to end ExifTool:', e.message));
+    }
+    removeScratchDir();
+}
+
+/**
+ * Write tags to an image with the shared ExifTool
+ * The image is written to a uniquely named file in the scratch directory, which is removed
+ * whether the write succeeds or not (ExifTool's own "_exiftool_tmp" file included)
+ * @param {Buffer} imageBuffer - Image to modify
+ * @param {Object} tags - ExifTool tags
+ * @param {string} ext - File extension for the scratch file (ExifTool checks it against the content)
+ * @returns {Promise<Buffer>} Modified image
+ * @throws If ExifTool or the file system is not available
+ */
+async function writeWithExifTool(imageBuffer, tags, ext) {
+    const file = path.join(getScratchDir(), `${crypto.randomUUID()}.${ext}`);
+
+    try {
+        await fs.promises.writeFile(file, imageBuffer);
+
+        console.log('Calling ExifTool.write with tags:', Object.keys(tags));
+        // Write metadata with overwrite_original flag
+        await getExifTool().write(file, tags, ['-overwrite_original']);
+        console.log('ExifTool.write completed successfully');
+
+        // Read the modified image back
+        const result = await fs.promises.readFile(file);
+        console.log('Final buffer size:', result.length, 'bytes');
+        return result;
+    } finally {
+        await Promise.all([file, `${file}_exiftool_tmp`].map(f =>
+            fs.promises.rm(f, { force: true }).catch(e => console.warn('Failed to cleanup scratch file:', e.message))
+        ));
+    }
+}
+
+/**
+ * Read every tag of an image with the shared ExifTool
+ * Used for the containers exifr cannot parse (WebP) or only partly (TIFF written by sharp)
+ * @param {Buffer} imageBuffer - Image to read
+ * @param {string} ext - File extension for the scratch file
+ * @returns {Promise<Object>} Raw values keyed "EXIF:GPS:GPSLatitude", "XMP:XMP-dc:Title"...
+ * @throws {ExifToolError} If ExifTool is not available or cannot read the image
+ */
+async function readWithExifTool(imageBuffer, ext) {
+    const file = path.join(getScratchDir(), `${crypto.randomUUID()}.${ext}`);
+
+    try {
+        await fs.promises.writeFile(file, imageBuffer);
+        const raw = await getExifTool().readRaw(file, { readArgs: READ_ARGS, useMWG: false });
+        if (raw.errors && raw.errors.length > 0) {
+            throw new Error(raw.errors.join('; '));
+        }
+        delete raw.SourceFile;
+        delete raw.errors;
+        delete raw.warnings;
+        return raw;
+    } catch (e) {
+        console.error('ExifTool.readRaw failed:', e.message);
+        throw new ExifToolError(`Failed to read metadata from ${ext.toUpperCase()} image`);
+    } finally {
+        await fs.promises.rm(file, { force: true }).catch(e => console.warn('Failed to cleanup scratch file:', e.message));
+    }
+}
+
+module.exports = {
+    ExifToolError,
+    getExifTool,
+    readWithExifTool,
+    writeWithExifTool,
+    shutdown
+};
@@ -0,0 +1,160 @@
+// Offline gazetteer: cities with their position, region and country
+// Used for reverse geocoding (lib/reverse-geocode.js) and to resolve locality names such as "Agadir, Maroc"
+
+const fs = require('fs');
+const path = require('path');
+
+// GAZETTEER_FILE overrides the bundled extract (e.g. a GeoNames cities500.txt dump)
+// GAZETTEER_ADMIN1_FILE (GeoNames admin1CodesASCII.txt) gives the region names of a GeoNames dump
+const DEFAULT_GAZETTEER_FILE = path.join(__dirname, '..', 'data', 'gazetteer', 'cities.tsv');
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Languages tried when a locality hint names the country ("Maroc", "Morocco", "Marruecos", "المغرب")
+const COUNTRY_NAME_LANGUAGES = ['en', 'fr', 'es', 'de', 'ar'];
+
+// Parsed gazetteer and name index, loaded on first use and kept for the life of the process
+let gazetteer = null;
+let nameIndex = null;
+
+/**
+ * Read GeoNames admin1 names ("MA.09\tSouss-Massa\t...") keyed by "<country>.<code>"
+ */
+function readAdmin1Names(file) {
+    const names = new Map();
+    if (!file) return names;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        const columns = line.split('\t');
+        if (columns.length >= 2 && columns[0]) names.set(columns[0], columns[1]);
+    }
+    return names;
+}
+
+/**
+ * Load the gazetteer
+ * Two line formats are accepted: the bundled one (name, latitude, longitude, country, region, population)
+ * and the GeoNames dump format (19 columns, region looked up in GAZETTEER_ADMIN1_FILE)
+ * @returns {Array<{name: string, asciiName: string|null, latitude: number, longitude: number, countryCode: string,
+ *   region: string|null, population: number}>}
+ */
+function loadGazetteer() {
+    if (gazetteer) return gazetteer;
+
+    const file = process.env.GAZETTEER_FILE || DEFAULT_GAZETTEER_FILE;
+    const admin1Names = readAdmin1Names(process.env.GAZETTEER_ADMIN1_FILE);
+    const places = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim() || line.startsWith('#')) continue;
+        const columns = line.replace(/\r$/, '').split('\t');
+        let place;
+        if (columns.length >= 15) {
+            place = {
+                name: columns[1],
+                asciiName: columns[2] || null,
+                latitude: parseFloat(columns[4]),
+                longitude: parseFloat(columns[5]),
+                countryCode: columns[8],
+                region: admin1Names.get(`${columns[8]}.${columns[10]}`) || null,
+                population: parseInt(columns[14], 10) || 0
+            };
+        } else {
+            place = {
+                name: columns[0],
+                asciiName: null,
+                latitude: parseFloat(columns[1]),
+                longitude: parseFloat(columns[2]),
+                countryCode: columns[3],
+                region: columns[4] || null,
+                population: parseInt(columns[5], 10) || 0
+            };
+        }
+        if (!place.name || isNaN(place.latitude) || isNaN(place.longitude) || !/^[A-Z]{2}$/.test(place.countryCode)) continue;
+        places.push(place);
+    }
+    console.log(`Gazetteer loaded: ${places.length} places from ${file}`);
+    gazetteer = places;
+    return gazetteer;
+}
+
+/**
+ * Great-circle distance in kilometers
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Normalize a name for matching: no accents, no case, words separated by single spaces ("Fès" -> "fes")
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Places by normalized name (and ASCII name for GeoNames dumps)
+ */
+function getNameIndex() {
+    if (nameIndex) return nameIndex;
+    nameIndex = new Map();
+    for (const place of loadGazetteer()) {
+        for (const name of new Set([normalizeName(place.name), normalizeName(place.asciiName)])) {
+            if (!name) continue;
+            if (!nameIndex.has(name)) nameIndex.set(name, []);
+            nameIndex.get(name).push(place);
+        }
+    }
+    return nameIndex;
+}
+
+/**
+ * Check whether the rest of a hint names the country or region of a place
+ */
+function matchesHint(place, hint) {
+    if (!hint) return false;
+    const padded = ` ${hint} `;
+    const names = [place.countryCode, place.region];
+    for (const language of COUNTRY_NAME_LANGUAGES) {
+        names.push(new Intl.DisplayNames([language], { type: 'region' }).of(place.countryCode));
+    }
+    return names.some(name => {
+        const normalized = normalizeName(name);
+        return normalized && padded.includes(` ${normalized} `);
+    });
+}
+
+/**
+ * Find a place from a locality text such as "Agadir", "Agadir, Maroc" or "Saint-Louis Senegal"
+ * The longest leading run of words that names a place wins; the remaining words pick between homonyms
+ * (country or region), then the most populated place is used
+ * @returns {Object|null} Gazetteer place, null if nothing matches
+ */
+function findPlace(text) {
+    const words = normalizeName(text).split(' ').filter(Boolean);
+    if (words.length === 0) return null;
+
+    const index = getNameIndex();
+    for (let count = Math.min(words.length, 5); count > 0; count--) {
+        const candidates = index.get(words.slice(0, count).join(' '));
+        if (!candidates) continue;
+        const hint = words.slice(count).join(' ');
+        const matching = candidates.filter(place => matchesHint(place, hint));
+        const pool = matching.length > 0 ? matching : candidates;
+        return pool.reduce((best, place) => place.population > best.population ? place : best);
+    }
+    return null;
+}
+
+module.exports = {
+    loadGazetteer,
+    distanceKm,
+    findPlace
+};
@@ -0,0 +1,73 @@
+// Persistent cache of geocoding results, stored in a JSON file
+// Entries are keyed by the normalized query and expire after a TTL, so providers are not asked the same thing twice
+
+const path = require('path');
+const { JsonFileStore } = require('./json-file-store');
+
+// GEOCODE_CACHE_FILE overrides the location (the project directory is read-only on Vercel, use a mounted volume or /tmp)
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'geocode-cache.json');
+
+// GEOCODE_CACHE_TTL is in seconds; 0 disables the cache
+const DEFAULT_TTL_SECONDS = 30 * 24 * 3600;
+
+function getCacheFile() {
+    return process.env.GEOCODE_CACHE_FILE || DEFAULT_CACHE_FILE;
+}
+
+// Entries by normalized query: {provider, result, storedAt, expiresAt}; a corrupt file is an empty cache, it is only a cache
+const store = new JsonFileStore(getCacheFile, 'entries', { ignoreUnreadable: true });
+
+function getTtlSeconds() {
+    const value = parseInt(process.env.GEOCODE_CACHE_TTL, 10);
+    return isNaN(value) || value < 0 ? DEFAULT_TTL_SECONDS : value;
+}
+
+/**
+ * Normalize a query so spelling variants share an entry ("CC2C+8X  agadir ,Maroc" -> "cc2c+8x agadir, maroc")
+ */
+function normalizeQuery(query) {
+    return String(query || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s*,\s*/g, ', ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Get a cached result
+ * @returns {Promise<{provider: string, result: Object, storedAt: string, expiresAt: string}|null>} null if missing or expired
+ */
+async function getCached(query) {
+    if (getTtlSeconds() === 0) return null;
+    const entries = await store.read();
+    const entry = entries[normalizeQuery(query)];
+    if (!entry || Date.parse(entry.expiresAt) <= Date.now()) return null;
+    return entry;
+}
+
+/**
+ * Store a result for the TTL; expired entries are dropped on the way
+ */
+function setCached(query, provider, result) {
+    const ttl = getTtlSeconds();
+    if (ttl === 0) return Promise.resolve();
+    return store.update(entries => {
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(entries)) {
+            if (Date.parse(entry.expiresAt) <= now) delete entries[key];
+        }
+        entries[normalizeQuery(query)] = {
+            provider: provider,
+            result: result,
+            storedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttl * 1000).toISOString()
+        };
+    });
+}
+
+module.exports = {
+    normalizeQuery,
+    getCached,
+    setCached
+};
@@ -0,0 +1,309 @@
+// Geocoding behind interchangeable providers: offline (Open Location Code + gazetteer), Nominatim and Google Maps
+// Providers are tried in order until one answers; answers from network providers are kept in lib/geocode-cache.js
+
+const { isFull, decode, recoverNearest, areaSize } = require('./plus-codes');
+const { findPlace } = require('./gazetteer');
+const { getCached, setCached } = require('./geocode-cache');
+
+// GEOCODING_PROVIDERS picks and orders the providers (e.g. "offline,nominatim"); unconfigured ones are skipped
+const DEFAULT_PROVIDER_ORDER = ['offline', 'nominatim', 'google'];
+
+// NOMINATIM_URL points at any Nominatim-compatible server (our own instance, a local stub...)
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class GeocodeError extends Error {
+    /**
+     * @param {string} message - Reason the provider could not answer
+     * @param {number} [status] - HTTP status; 5xx means the provider is unavailable
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 502, code = 'GEOCODER_UNAVAILABLE') {
+        super(message);
+        this.name = 'GeocodeError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Result for a full Plus Code: center, bounding box and precision of the code area
+ */
+function describePlusCode(fullCode) {
+    const area = decode(fullCode);
+    const latitude = Math.round(area.latitude * 1e8) / 1e8;
+    const longitude = Math.round(area.longitude * 1e8) / 1e8;
+    return {
+        plusCode: fullCode,
+        latitude: latitude,
+        longitude: longitude,
+        formatted: `${latitude}, ${longitude}`,
+        bounds: {
+            south: Math.round(area.south * 1e8) / 1e8,
+            west: Math.round(area.west * 1e8) / 1e8,
+            north: Math.round(area.north * 1e8) / 1e8,
+            east: Math.round(area.east * 1e8) / 1e8
+        },
+        precision: { codeLength: area.codeLength, ...areaSize(area) },
+        source: 'Open Location Code (offline)'
+    };
+}
+
+/**
+ * Result for a short Plus Code completed from a reference location
+ * @param {{latitude: number, longitude: number, source: string, place: string|undefined}} reference
+ */
+function describeShortPlusCode(shortCode, reference) {
+    const result = describePlusCode(recoverNearest(shortCode, reference.latitude, reference.longitude));
+    result.shortCode = shortCode;
+    result.reference = reference;
+    return result;
+}
+
+/**
+ * GET a JSON document, failing after REQUEST_TIMEOUT_MS
+ */
+async function fetchJson(url, headers = {}) {
+    const response = await fetch(url, { headers: headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new GeocodeError(`HTTP ${response.status} from ${new URL(url).host}`, 502);
+    }
+    return response.json();
+}
+
+/**
+ * Providers share one interface:
+ * - name: reported in responses as "provider"
+ * - cacheable: whether answers go to the persistent cache (network providers only)
+ * - isConfigured(explicit): whether it can be used; explicit is true when GEOCODING_PROVIDERS names it
+ * - geocode(query): resolves {text, plusCode, locality} to a result, null when there is no match,
+ *   or throws with the reason it could not answer
+ */
+const PROVIDERS = {
+    // Open Location Code decoding, with the bundled gazetteer for localities; no network access
+    offline: {
+        name: 'offline',
+        cacheable: false,
+        isConfigured: () => true,
+        async geocode(query) {
+            if (query.plusCode && isFull(query.plusCode)) {
+                return describePlusCode(query.plusCode);
+            }
+            const locality = query.plusCode ? query.locality : query.text;
+            if (!locality) {
+                throw new GeocodeError('a short Plus Code needs a locality or near=lat,lon', 400, 'INVALID_PLUS_CODE');
+            }
+            const place = findPlace(locality);
+            if (!place) {
+                throw new GeocodeError(`locality "${locality}" is not in the gazetteer`, 404, 'LOCATION_NOT_FOUND');
+            }
+            const name = [place.name, place.region, place.countryCode].filter(Boolean).join(', ');
+            if (!query.plusCode) {
+                return { latitude: place.latitude, longitude: place.longitude, formatted: `${place.latitude}, ${place.longitude}`, address: name, source: 'Gazetteer (offline)' };
+            }
+            return describeShortPlusCode(query.plusCode, {
+                latitude: place.latitude,
+                longitude: place.longitude,
+                source: 'gazetteer',
+                place: name
+            });
+        }
+    },
+
+    // Nominatim search API (OpenStreetMap); it has no Plus Code support, so short codes are completed from the locality found
+    nominatim: {
+        name: 'nominatim',
+        cacheable: true,
+        isConfigured: explicit => explicit || Boolean(process.env.NOMINATIM_URL),
+        async geocode(query) {
+            if (query.plusCode && isFull(query.plusCode)) {
+                return describePlusCode(query.plusCode);
+            }
+            const text = query.plusCode ? query.locality : query.text;
+            if (!text) {
+                throw new GeocodeError('a short Plus Code needs a locality to search for', 400, 'INVALID_PLUS_CODE');
+            }
+            const baseUrl = (process.env.NOMINATIM_URL || DEFAULT_NOMINATIM_URL).replace(/\/+$/, '');
+            const url = `${baseUrl}/search?q=${encodeURIComponent(text)}&format=jsonv2&limit=1`;
+            console.log(`Trying Nominatim with query: ${text}`);
+            // The public server requires an identifying User-Agent
+            const results = await fetchJson(url, { 'User-Agent': process.env.NOMINATIM_USER_AGENT || 'exif-editor-webapp' });
+            if (!Array.isArray(results) || results.length === 0) {
+                return null;
+            }
+            const latitude = parseFloat(results[0].lat);
+            const longitude = parseFloat(results[0].lon);
+            if (isNaN(latitude) || isNaN(longitude)) {
+                throw new GeocodeError('Nominatim returned a result without coordinates', 502);
+            }
+            if (!query.plusCode) {
+                return { latitude, longitude, formatted: `${latitude}, ${longitude}`, address: results[0].display_name, source: 'Nominatim' };
+            }
+            return describeShortPlusCode(query.plusCode, {
+                latitude: latitude,
+                longitude: longitude,
+                source: 'nominatim',
+                place: results[0].display_name
+            });
+        }
+    },
+
+    // Google Maps Geocoding API, refined with Place Details; understands Plus Codes directly
+    google: {
+        name: 'google',
+        cacheable: true,
+        isConfigured: () => Boolean(process.env.GOOGLE_MAPS_API_KEY),
+        async geocode(query) {
+            const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+            const code = query.plusCode;
+            const locality = query.locality;
+            // Try different query formats to maximize success rate
+            const queriesToTry = code ? [
+                code, // Just the code: "9CXG+XG6"
+                code.replace(/(\d)$/, ''), // Remove trailing digit if present: "9CXG+XG"
+                locality ? `${code}, ${locality}` : null, // Code with location: "9CXG+XG6, Agadir, Maroc"
+                locality ? `${locality}, ${code}` : null, // Location with code: "Agadir, Maroc, 9CXG+XG6"
+                locality ? `${code.replace(/(\d)$/, '')}, ${locality}` : null // Code without trailing digit + location
+            ].filter((q, i, list) => q !== null && list.indexOf(q) === i) : [query.text];
+
+            let lastStatus = null;
+            let lastError = null;
+            for (const text of queriesToTry) {
+                const mapsUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(text)}&key=${apiKey}`;
+                console.log(`Trying Google Maps API with query: ${text}`);
+                const mapsData = await fetchJson(mapsUrl);
+                console.log(`Google Maps API response status: ${mapsData.status}`);
+
+                if (mapsData.status !== 'OK' || !mapsData.results || mapsData.results.length === 0) {
+                    lastStatus = mapsData.status;
+                    lastError = mapsData.error_message || lastError;
+                    continue;
+                }
+                const result = mapsData.results[0];
+                let finalLat = result.geometry.location.lat;
+                let finalLng = result.geometry.location.lng;
+                let source = 'Google Maps Geocoding API';
+
+                // Place Details gives the exact coordinates shown in Google Maps,
+                // the Geocoding API returns the center of the Plus Code area
+                if (result.place_id) {
+                    try {
+                        const placeDetailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${result.place_id}&fields=geometry,formatted_address&key=${apiKey}`;
+                        console.log(`Fetching Place Details for place_id: ${result.place_id}`);
+                        const placeData = await fetchJson(placeDetailsUrl);
+                        if (placeData.status === 'OK' && placeData.result && placeData.result.geometry && placeData.result.geometry.location) {
+                            finalLat = placeData.result.geometry.location.lat;
+                            finalLng = placeData.result.geometry.location.lng;
+                            source = 'Google Maps Place Details API (exact coordinates)';
+                        } else {
+                            console.warn('Place Details API returned:', placeData.status, placeData.error_message || '');
+                        }
+                    } catch (placeError) {
+                        console.warn('Place Details API failed, using Geocoding coordinates:', placeError.message);
+                    }
+                }
+
+                return {
+                    plusCode: code || null,
+                    latitude: finalLat,
+                    longitude: finalLng,
+                    formatted: `${finalLat}, ${finalLng}`,
+                    address: result.formatted_address,
+                    source: source,
+                    queryUsed: text,
+                    locationType: result.geometry.location_type,
+                    placeId: result.place_id || null
+                };
+            }
+            if (lastStatus === 'ZERO_RESULTS' || lastStatus === null) {
+                return null;
+            }
+            throw new GeocodeError(`Google status ${lastStatus}${lastError ? `: ${lastError}` : ''}`, 502);
+        }
+    }
+};
+
+/**
+ * Providers to use, in order
+ * @returns {Array<Object>}
+ */
+function getProviders() {
+    const configured = process.env.GEOCODING_PROVIDERS;
+    const names = configured
+        ? configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_PROVIDER_ORDER;
+    const providers = [];
+    for (const name of names) {
+        if (!Object.hasOwn(PROVIDERS, name)) {
+            console.warn(`Unknown geocoding provider "${name}" in GEOCODING_PROVIDERS, skipped`);
+            continue;
+        }
+        if (PROVIDERS[name].isConfigured(Boolean(configured))) providers.push(PROVIDERS[name]);
+    }
+    return providers;
+}
+
+/**
+ * Geocode a place name or a Plus Code
+ * The cache is checked before the first network provider, so offline answers never wait for it
+ * @param {{text: string, plusCode: string|undefined, locality: string|undefined}} query - plusCode and locality
+ *   ("CC2C+8X", "Agadir, Maroc") for Plus Code lookups, text alone for a place name
+ * @returns {Promise<{result: Object|null, provider: string|null, cached: boolean, attempts: Array<{provider: string, reason: string, unavailable: boolean}>}>}
+ *   result is null when no provider answered; attempts lists why each provider did not
+ *   (unavailable: the provider could not be reached or failed, rather than finding nothing)
+ */
+async function geocode(query) {
+    const key = query.plusCode ? [query.plusCode, query.locality].filter(Boolean).join(' ') : query.text;
+    const attempts = [];
+    let cacheChecked = false;
+
+    for (const provider of getProviders()) {
+        if (provider.cacheable && !cacheChecked) {
+            cacheChecked = true;
+            try {
+                const entry = await getCached(key);
+                if (entry) {
+                    console.log(`Geocode cache hit for "${key}" (${entry.provider})`);
+                    return { result: entry.result, provider: entry.provider, cached: true, attempts };
+                }
+            } catch (e) {
+                console.warn('Geocode cache read failed:', e.message);
+            }
+        }
+
+        let result;
+        try {
+            result = await provider.geocode(query);
+        } catch (e) {
+            console.log(`Geocoding provider ${provider.name} failed:`, e.message);
+            attempts.push({
+                provider: provider.name,
+                reason: e.name === 'TimeoutError' ? 'timed out' : e.message,
+                unavailable: !(e instanceof GeocodeError) || e.status >= 500
+            });
+            continue;
+        }
+        if (!result) {
+            attempts.push({ provider: provider.name, reason: 'no result', unavailable: false });
+            continue;
+        }
+        if (provider.cacheable) {
+            try {
+                await setCached(key, provider.name, result);
+            } catch (e) {
+                console.warn('Geocode cache write failed:', e.message);
+            }
+        }
+        return { result, provider: provider.name, cached: false, attempts };
+    }
+    return { result: null, provider: null, cached: false, attempts };
+}
+
+module.exports = {
+    GeocodeError,
+    getProviders,
+    geocode,
+    describePlusCode,
+    describeShortPlusCode
+};
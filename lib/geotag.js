@@ -0,0 +1,313 @@
+// Geotagging from a GPX track log
+// The capture time of an image (EXIF DateTimeOriginal, camera clock) is converted to UTC and the
+// position is interpolated between the two track points around it
+
+const exifr = require('exifr');
+const { FORMATS, detectImageFormat } = require('./image-format');
+const { readWithExifTool } = require('./exiftool-pool');
+
+// Largest time between two track points that is still interpolated (seconds, overridable with maxGap)
+const DEFAULT_MAX_GAP_SECONDS = 300;
+
+class GeotagError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'INVALID_GEOTAG') {
+        super(message);
+        this.name = 'GeotagError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Read an XML attribute from the attribute part of a tag
+ */
+function readAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Read the text of a child element (namespace prefixes are ignored)
+ */
+function readElement(content, name) {
+    const match = content.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`));
+    return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Parse a GPX document into timed track points sorted by time
+ * Track points (trkpt) are used; route points and waypoints are only used when they carry a time and there is no track
+ * @param {string|Buffer} gpx - GPX XML
+ * @returns {Array<{time: number, latitude: number, longitude: number, altitude: number|null}>} time in ms since the epoch (UTC)
+ * @throws {GeotagError} If the document has no usable points
+ */
+function parseGpx(gpx) {
+    const text = Buffer.isBuffer(gpx) ? gpx.toString('utf8') : String(gpx || '');
+    if (!/<(?:\w+:)?gpx\b/.test(text)) {
+        throw new GeotagError('Invalid GPX: no <gpx> element found');
+    }
+
+    const readPoints = tag => {
+        const points = [];
+        const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const latitude = parseFloat(readAttribute(match[1], 'lat'));
+            const longitude = parseFloat(readAttribute(match[1], 'lon'));
+            const content = match[2] || '';
+            const time = Date.parse(readElement(content, 'time'));
+            const elevation = parseFloat(readElement(content, 'ele'));
+            if (isNaN(latitude) || isNaN(longitude) || isNaN(time)) continue;
+            if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) continue;
+            points.push({ time, latitude, longitude, altitude: isNaN(elevation) ? null : elevation });
+        }
+        return points;
+    };
+
+    let points = readPoints('trkpt');
+    if (points.length === 0) {
+        points = readPoints('rtept').concat(readPoints('wpt'));
+    }
+    if (points.length === 0) {
+        throw new GeotagError('The GPX file has no track points with a time');
+    }
+    points.sort((a, b) => a.time - b.time);
+    console.log(`GPX track loaded: ${points.length} points from ${new Date(points[0].time).toISOString()} to ${new Date(points[points.length - 1].time).toISOString()}`);
+    return points;
+}
+
+/**
+ * Parse a duration in seconds given as a number or as "[-]HH:MM:SS" / "[-]MM:SS"
+ * @returns {number|null} null if invalid
+ */
+function parseSeconds(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const str = String(value).trim();
+    if (/^[+-]?\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+    const match = str.match(/^([+-])?(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/);
+    if (!match) return null;
+    const seconds = (Number(match[2] || 0) * 3600) + Number(match[3]) * 60 + parseFloat(match[4]);
+    return match[1] === '-' ? -seconds : seconds;
+}
+
+/**
+ * Check a timezone: "UTC", "Z", an offset ("+02:00", "-0500") or an IANA name ("Africa/Casablanca")
+ * @returns {string|null} Normalized timezone, null if invalid
+ */
+function normalizeTimezone(value) {
+    const str = String(value).trim();
+    if (/^(utc|gmt|z)$/i.test(str)) return '+00:00';
+    const offset = str.match(/^(?:utc|gmt)?([+-])(\d{1,2}):?(\d{2})?$/i);
+    if (offset) {
+        const hours = Number(offset[2]);
+        const minutes = Number(offset[3] || 0);
+        if (hours > 14 || minutes > 59) return null;
+        return `${offset[1]}${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: str });
+        return str;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Offset of a timezone from UTC in minutes at a given wall-clock time
+ * @param {string} timezone - Result of normalizeTimezone
+ * @param {number} localMs - Wall-clock time read as if it were UTC
+ */
+function timezoneOffsetMinutes(timezone, localMs) {
+    const fixed = timezone.match(/^([+-])(\d{2}):(\d{2})$/);
+    if (fixed) {
+        return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+    }
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    const offsetAt = utcMs => {
+        const parts = {};
+        for (const part of format.formatToParts(new Date(utcMs))) parts[part.type] = Number(part.value);
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - utcMs) / 60000);
+    };
+    // The offset depends on the instant; a second pass settles it around DST changes
+    const first = offsetAt(localMs);
+    return offsetAt(localMs - first * 60000);
+}
+
+/**
+ * Validate the geotag options of a request
+ * @param {Object} body - Request fields (cameraTimezone, clockOffset, maxGap)
+ * @returns {{timezone: string|null, clockOffset: number, maxGap: number}} Seconds for clockOffset and maxGap
+ * @throws {GeotagError} If an option is invalid
+ */
+function resolveGeotagOptions(body) {
+    let timezone = null;
+    if (body.cameraTimezone !== undefined && body.cameraTimezone !== null && body.cameraTimezone !== '') {
+        timezone = normalizeTimezone(body.cameraTimezone);
+        if (!timezone) {
+            throw new GeotagError(`Invalid cameraTimezone "${body.cameraTimezone}". Use "UTC", an offset such as "+02:00" or a timezone name such as "Africa/Casablanca"`);
+        }
+    }
+
+    let clockOffset = 0;
+    if (body.clockOffset !== undefined && body.clockOffset !== null && body.clockOffset !== '') {
+        clockOffset = parseSeconds(body.clockOffset);
+        if (clockOffset === null) {
+            throw new GeotagError('Invalid clockOffset. Use seconds (e.g. -95) or "[-]HH:MM:SS"');
+        }
+    }
+
+    let maxGap = DEFAULT_MAX_GAP_SECONDS;
+    if (body.maxGap !== undefined && body.maxGap !== null && body.maxGap !== '') {
+        maxGap = parseSeconds(body.maxGap);
+        if (maxGap === null || maxGap <= 0) {
+            throw new GeotagError('Invalid maxGap. Use a positive number of seconds');
+        }
+    }
+
+    return { timezone, clockOffset, maxGap };
+}
+
+/**
+ * Pick the capture date tags out of ExifTool output, EXIF before XMP (the order ExifTool lists them in)
+ * @param {Object} raw - Result of readWithExifTool
+ * @returns {{DateTimeOriginal: *, OffsetTimeOriginal: *, CreateDate: *}}
+ */
+function pickCaptureTags(raw) {
+    const picked = {};
+    for (const name of ['DateTimeOriginal', 'OffsetTimeOriginal', 'CreateDate']) {
+        const key = Object.keys(raw).find(k => /^(EXIF|XMP):/.test(k) && k.endsWith(`:${name}`));
+        picked[name] = key ? raw[key] : undefined;
+    }
+    return picked;
+}
+
+/**
+ * Read the capture time of an image as written by the camera
+ * JPEG is read with exifr, the other formats with ExifTool (exifr cannot read WebP)
+ * @returns {Promise<{local: string, offset: string|null}|null>} local is "YYYY:MM:DD HH:MM:SS", null without DateTimeOriginal
+ * @throws {ExifToolError} If ExifTool cannot read a non-JPEG image
+ */
+async function readCaptureTime(imageBuffer) {
+    const format = detectImageFormat(imageBuffer);
+    let exif;
+    if (format && format !== 'jpeg') {
+        exif = pickCaptureTags(await readWithExifTool(imageBuffer, FORMATS[format].ext));
+    } else {
+        try {
+            exif = await exifr.parse(imageBuffer, {
+                tiff: true, exif: true, gps: false, ifd1: false, xmp: true, iptc: false,
+                mergeOutput: true, reviveValues: false, pick: ['DateTimeOriginal', 'OffsetTimeOriginal', 'CreateDate']
+            });
+        } catch (e) {
+            console.log('exifr could not read the capture time:', e.message);
+            return null;
+        }
+    }
+    const value = exif && (exif.DateTimeOriginal || exif.CreateDate);
+    if (!value) return null;
+    const match = String(value).trim().match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const offset = exif.OffsetTimeOriginal ? normalizeTimezone(exif.OffsetTimeOriginal) : null;
+    return { local: `${match[1]}:${match[2]}:${match[3]} ${match[4]}:${match[5]}:${match[6]}`, offset: offset };
+}
+
+/**
+ * Interpolate the position at a time
+ * @param {Array} track - Result of parseGpx
+ * @param {number} time - UTC time in ms
+ * @param {number} maxGap - Largest time between the surrounding points, in seconds
+ * @returns {{latitude: number, longitude: number, altitude: number|null}|{reason: string}}
+ */
+function locateInTrack(track, time, maxGap) {
+    const first = track[0];
+    const last = track[track.length - 1];
+    if (time < first.time) {
+        return { reason: `captured ${Math.round((first.time - time) / 1000)} s before the track starts` };
+    }
+    if (time > last.time) {
+        return { reason: `captured ${Math.round((time - last.time) / 1000)} s after the track ends` };
+    }
+
+    // Binary search for the last point at or before the capture time
+    let low = 0;
+    let high = track.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (track[mid].time <= time) low = mid; else high = mid - 1;
+    }
+    const before = track[low];
+    if (before.time === time || low === track.length - 1) {
+        return { latitude: before.latitude, longitude: before.longitude, altitude: before.altitude };
+    }
+    const after = track[low + 1];
+    const gap = (after.time - before.time) / 1000;
+    if (gap > maxGap) {
+        return { reason: `the track has a ${Math.round(gap)} s gap at the capture time (maxGap is ${maxGap} s)` };
+    }
+
+    const ratio = (time - before.time) / (after.time - before.time);
+    const lerp = (a, b) => a + (b - a) * ratio;
+    // Longitudes across the antimeridian go the short way round
+    let lonDelta = after.longitude - before.longitude;
+    if (lonDelta > 180) lonDelta -= 360;
+    if (lonDelta < -180) lonDelta += 360;
+    let longitude = before.longitude + lonDelta * ratio;
+    if (longitude > 180) longitude -= 360;
+    if (longitude < -180) longitude += 360;
+
+    return {
+        latitude: lerp(before.latitude, after.latitude),
+        longitude: longitude,
+        altitude: before.altitude !== null && after.altitude !== null ? lerp(before.altitude, after.altitude) : null
+    };
+}
+
+/**
+ * Find the position of an image in a track
+ * The camera timezone is, in order: the cameraTimezone option, the OffsetTimeOriginal tag, UTC
+ * @param {Buffer} imageBuffer - Image with EXIF DateTimeOriginal
+ * @param {Array} track - Result of parseGpx
+ * @param {Object} options - Result of resolveGeotagOptions
+ * @returns {Promise<Object>} Report: {status: 'matched'|'outside'|'no-capture-time', captureTime, timezone, utcTime,
+ *   latitude, longitude, altitude} or {status, reason}
+ */
+async function geotagImage(imageBuffer, track, options) {
+    const capture = await readCaptureTime(imageBuffer);
+    if (!capture) {
+        return { status: 'no-capture-time', reason: 'the image has no DateTimeOriginal' };
+    }
+
+    const timezone = options.timezone || capture.offset || '+00:00';
+    const [, year, month, day, hour, minute, second] = capture.local.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/).map(Number);
+    const localMs = Date.UTC(year, month - 1, day, hour, minute, second);
+    const utcMs = localMs - timezoneOffsetMinutes(timezone, localMs) * 60000 + options.clockOffset * 1000;
+
+    const report = {
+        captureTime: capture.local,
+        timezone: timezone,
+        utcTime: new Date(utcMs).toISOString().replace(/\.\d{3}Z$/, 'Z')
+    };
+    const position = locateInTrack(track, utcMs, options.maxGap);
+    if (position.reason) {
+        return { status: 'outside', ...report, reason: position.reason };
+    }
+    return { status: 'matched', ...report, ...position };
+}
+
+module.exports = {
+    DEFAULT_MAX_GAP_SECONDS,
+    GeotagError,
+    parseGpx,
+    resolveGeotagOptions,
+    geotagImage,
+    locateInTrack
+};
@@ -0,0 +1,71 @@
+// Detect image containers from their magic bytes
+// Used to decide how metadata can be written and which format to return
+
+/**
+ * Supported containers
+ * - iptc: whether ExifTool can write IPTC-IIM natively into this container
+ * - sharp: sharp output method used when converting to this format (null if sharp cannot encode it)
+ */
+const FORMATS = {
+    jpeg: { mime: 'image/jpeg', ext: 'jpg', iptc: true, sharp: 'jpeg' },
+    png: { mime: 'image/png', ext: 'png', iptc: false, sharp: 'png' },
+    webp: { mime: 'image/webp', ext: 'webp', iptc: false, sharp: 'webp' },
+    heic: { mime: 'image/heic', ext: 'heic', iptc: false, sharp: null },
+    tiff: { mime: 'image/tiff', ext: 'tif', iptc: true, sharp: 'tiff' }
+};
+
+// ISO-BMFF brands used by HEIC/HEIF files (AVIF uses "avif"/"avis" and is not included)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Detect the image container from the first bytes of a file
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string|null} Key of FORMATS ('jpeg', 'png', 'webp', 'heic', 'tiff') or null if unknown
+ */
+function detectImageFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    const tiffHeader = buffer.toString('binary', 0, 4);
+    if (tiffHeader === 'II*\x00' || tiffHeader === 'MM\x00*') {
+        return 'tiff';
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        // Check the major brand and the compatible brands listed in the ftyp box
+        const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+        for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+            if (offset === 12) continue; // minor version, not a brand
+            if (HEIF_BRANDS.includes(buffer.toString('ascii', offset, offset + 4))) {
+                return 'heic';
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a user-supplied format name ("jpg", "image/webp", "TIFF"...) to a key of FORMATS
+ * @param {string} name - Format name, extension or MIME type
+ * @returns {string|null} Key of FORMATS or null if not supported
+ */
+function resolveFormatName(name) {
+    if (!name || typeof name !== 'string') return null;
+    const value = name.trim().toLowerCase().replace(/^image\//, '');
+    const aliases = { jpg: 'jpeg', tif: 'tiff', heif: 'heic' };
+    const key = aliases[value] || value;
+    return FORMATS[key] ? key : null;
+}
+
+module.exports = {
+    FORMATS,
+    detectImageFormat,
+    resolveFormatName
+};
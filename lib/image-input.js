@@ -0,0 +1,266 @@
+// Shared request parsing for the image endpoints
+// Accepts JSON with base64/URL images, multipart/form-data uploads and raw image bodies
+
+const busboy = require('busboy');
+const { detectImageFormat } = require('./image-format');
+const { SafeFetchError, safeFetch } = require('./safe-fetch');
+const { getLimits, checkBytes } = require('./image-limits');
+
+class ImageInputError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'INVALID_REQUEST') {
+        super(message);
+        this.name = 'ImageInputError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Get the MIME type of the request without parameters ("multipart/form-data; boundary=..." -> "multipart/form-data")
+ */
+function getContentType(req) {
+    return String((req.headers && req.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Read the raw request body
+ * Uses the buffered body when the platform already provides one, otherwise reads the stream
+ * and stops as soon as it grows past maxBytes
+ * @returns {Promise<Buffer>}
+ * @throws {ImageLimitError} If the body is larger than maxBytes
+ */
+async function readRawBody(req, maxBytes) {
+    const declared = parseInt(req.headers && req.headers['content-length'], 10);
+    if (!isNaN(declared)) {
+        checkBytes('The request body', declared, 'bodyBytes', maxBytes);
+    }
+    if (Buffer.isBuffer(req.body)) {
+        checkBytes('The request body', req.body.length, 'bodyBytes', maxBytes);
+        return req.body;
+    }
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of req) {
+        received += chunk.length;
+        checkBytes('The request body', received, 'bodyBytes', maxBytes);
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a JSON "metadata" value (multipart part or query parameter) and merge it into fields
+ */
+function mergeMetadataJson(fields, value) {
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (e) {
+        throw new ImageInputError(`The metadata part must be valid JSON: ${e.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ImageInputError('The metadata part must be a JSON object');
+    }
+    Object.assign(fields, parsed);
+}
+
+/**
+ * Parse a multipart/form-data body
+ * File parts become buffers, the "metadata" part is parsed as JSON, other text parts are kept as strings
+ * @returns {Promise<{fields: Object, files: Object}>}
+ */
+function parseMultipart(req, rawBody) {
+    return new Promise((resolve, reject) => {
+        const fields = {};
+        const files = {};
+        const metadataParts = [];
+        let parser;
+
+        try {
+            parser = busboy({ headers: req.headers });
+        } catch (e) {
+            return reject(new ImageInputError(`Invalid multipart request: ${e.message}`));
+        }
+
+        parser.on('file', (name, stream, info) => {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('end', () => {
+                const data = Buffer.concat(chunks);
+                if (name === 'metadata') {
+                    metadataParts.push(data.toString('utf8'));
+                } else {
+                    files[name] = data;
+                    console.log(`Received multipart file "${name}" (${info.mimeType}, ${data.length} bytes)`);
+                }
+            });
+        });
+        parser.on('field', (name, value) => {
+            if (name === 'metadata') {
+                metadataParts.push(value);
+            } else {
+                fields[name] = value;
+            }
+        });
+        parser.on('error', e => reject(new ImageInputError(`Invalid multipart request: ${e.message}`)));
+        parser.on('close', () => {
+            try {
+                metadataParts.forEach(part => mergeMetadataJson(fields, part));
+                resolve({ fields, files });
+            } catch (e) {
+                reject(e);
+            }
+        });
+
+        parser.end(rawBody);
+    });
+}
+
+/**
+ * Parse an image endpoint request into fields and uploaded files
+ * - application/json: fields are the JSON body, images come as imageData (base64) or imageUrl
+ * - multipart/form-data: "image" and "logo" file parts, a JSON "metadata" part and/or plain text fields
+ * - image/* or application/octet-stream: the body is the image, fields come from the query string
+ *   (a JSON "metadata" query parameter is merged too)
+ * @param {Object} req - Incoming request
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Body size limit (default IMAGE_MAX_BODY_BYTES or 40 MB)
+ * @returns {Promise<{fields: Object, files: Object<string, Buffer>, source: string}>} source is the input
+ *   the fields come from, for validateRequest: "multipart", "query", "form" or "json"
+ * @throws {ImageInputError} If the body cannot be parsed
+ * @throws {ImageLimitError} If the body is too large
+ */
+async function parseImageRequest(req, options = {}) {
+    const contentType = getContentType(req);
+    const query = req.query || {};
+    const maxBytes = options.maxBytes || getLimits().bodyBytes;
+
+    if (contentType === 'multipart/form-data') {
+        const rawBody = await readRawBody(req, maxBytes);
+        return { ...(await parseMultipart(req, rawBody)), source: 'multipart' };
+    }
+
+    if (contentType.startsWith('image/') || contentType === 'application/octet-stream') {
+        const rawBody = await readRawBody(req, maxBytes);
+        const fields = { ...query };
+        if (typeof fields.metadata === 'string') {
+            const metadata = fields.metadata;
+            delete fields.metadata;
+            mergeMetadataJson(fields, metadata);
+        }
+        console.log(`Received raw ${contentType} body (${rawBody.length} bytes)`);
+        return { fields, files: rawBody.length > 0 ? { image: rawBody } : {}, source: 'query' };
+    }
+
+    // JSON (the original contract); platforms such as Vercel parse it before the handler runs
+    let fields = req.body;
+    if (Buffer.isBuffer(fields) || typeof fields === 'string') {
+        checkBytes('The request body', Buffer.byteLength(fields), 'bodyBytes', maxBytes);
+        try {
+            fields = JSON.parse(fields.toString('utf8') || '{}');
+        } catch (e) {
+            throw new ImageInputError(`Invalid JSON body: ${e.message}`);
+        }
+    }
+    // A form body arrives as text fields, like a query string
+    const source = contentType === 'application/x-www-form-urlencoded' ? 'form' : 'json';
+    return { fields: fields && typeof fields === 'object' ? fields : {}, files: {}, source };
+}
+
+/**
+ * Check if a string is an http(s) URL
+ */
+function isUrl(str) {
+    if (typeof str !== 'string') return false;
+    return str.startsWith('http://') || str.startsWith('https://');
+}
+
+/**
+ * Check the magic bytes of a download: a ZIP for archives, an image (JPEG, PNG, WebP, HEIC, TIFF or GIF) otherwise
+ * @returns {function(Buffer): string|null} Sniffer for safeFetch, returning an error message for a wrong type
+ */
+function expectedType(label) {
+    if (label === 'archive') {
+        return buffer => buffer.toString('binary', 0, 4) === 'PK\x03\x04' || buffer.toString('binary', 0, 4) === 'PK\x05\x06'
+            ? null
+            : 'The URL did not return a ZIP archive';
+    }
+    return buffer => detectImageFormat(buffer) || /^GIF8[79]a/.test(buffer.toString('ascii', 0, 6))
+        ? null
+        : `The URL did not return a supported ${label} (JPEG, PNG, WebP, HEIC, TIFF or GIF)`;
+}
+
+/**
+ * Get image bytes from an uploaded file, a URL or base64 data (data URLs included)
+ * base64 data that is actually a URL is fetched, as add-watermark always allowed
+ * URLs go through lib/safe-fetch.js: no private addresses, size and time limits, type checked from the magic bytes
+ * base64 data is limited to the body size (archives to the archive size), logos to LOGO_MAX_BYTES whatever the source
+ * @param {{file?: Buffer, url?: string, data?: string}} source - Image sources in priority order
+ * @param {string} [label] - Name used in error messages ("image", "logo", "archive")
+ * @returns {Promise<Buffer>}
+ * @throws {ImageInputError} If no source is given, the fetch fails or the data cannot be decoded
+ * @throws {ImageLimitError} If the data is too large
+ */
+async function loadImageInput(source, label = 'image') {
+    const { file, url, data } = source;
+    const limits = getLimits();
+    const checkLogo = buffer => {
+        if (label === 'logo') checkBytes('The logo', buffer.length, 'logoBytes', limits.logoBytes);
+        return buffer;
+    };
+
+    if (file && file.length > 0) {
+        return checkLogo(file);
+    }
+
+    const urlToFetch = url || (isUrl(data) ? data : null);
+    if (urlToFetch) {
+        console.log(`Fetching ${label} from:`, urlToFetch.substring(0, 100));
+        try {
+            return checkLogo(await safeFetch(urlToFetch, {
+                sniff: expectedType(label),
+                sniffBytes: 512,
+                maxBytes: label === 'archive' ? limits.archiveBytes : undefined
+            }));
+        } catch (fetchError) {
+            if (fetchError instanceof SafeFetchError) {
+                throw new ImageInputError(`Failed to fetch ${label} from URL: ${fetchError.message}`, fetchError.status, fetchError.code);
+            }
+            throw fetchError;
+        }
+    }
+
+    if (data) {
+        if (typeof data !== 'string') {
+            throw new ImageInputError(`Invalid ${label} data: expected a base64 string`);
+        }
+        const base64 = data.includes(',') ? data.split(',')[1] : data;
+        // Checked on the encoded length, before anything is decoded (4 base64 characters hold 3 bytes)
+        if (label === 'archive') {
+            checkBytes('The archive data', Math.floor(base64.length * 3 / 4), 'archiveBytes', limits.archiveBytes);
+        } else {
+            checkBytes(`The ${label} data`, data.length, 'bodyBytes', limits.bodyBytes);
+            if (label === 'logo') checkBytes('The logo', Math.floor(base64.length * 3 / 4), 'logoBytes', limits.logoBytes);
+        }
+        console.log(`Decoding base64 ${label} data`);
+        const buffer = Buffer.from(base64, 'base64');
+        if (buffer.length === 0) {
+            throw new ImageInputError(`Invalid base64 ${label} data`);
+        }
+        return buffer;
+    }
+
+    throw new ImageInputError(`No ${label} provided`);
+}
+
+module.exports = {
+    ImageInputError,
+    parseImageRequest,
+    loadImageInput,
+    isUrl
+};
@@ -0,0 +1,132 @@
+// Size limits for images decoded with sharp (crop, watermark, format conversion)
+// Byte sizes are checked before parsing, pixel counts from the file header before anything is decoded
+
+const sharp = require('sharp');
+const { ApiError } = require('./api-errors');
+
+// IMAGE_MAX_BODY_BYTES: request bodies and base64 fields (a 25 MB image is about 34 MB in base64)
+const DEFAULT_MAX_BODY_BYTES = 40 * 1024 * 1024;
+// FETCH_MAX_ARCHIVE_BYTES: batch ZIP archives, uploaded or fetched
+const DEFAULT_MAX_ARCHIVE_BYTES = 200 * 1024 * 1024;
+// IMAGE_MAX_INPUT_PIXELS: width x height of an input image (50 megapixels)
+const DEFAULT_MAX_INPUT_PIXELS = 50000000;
+// IMAGE_MAX_OUTPUT_DIMENSION: width or height of a produced image
+const DEFAULT_MAX_OUTPUT_DIMENSION = 16384;
+// LOGO_MAX_BYTES and LOGO_MAX_PIXELS: watermark logos
+const DEFAULT_MAX_LOGO_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_LOGO_PIXELS = 4096 * 4096;
+
+class ImageLimitError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} status - 413 for byte sizes, 422 for pixel sizes
+     * @param {{limit: string, value: number|null, max: number}} details - Which limit was exceeded, returned as response fields
+     */
+    constructor(message, status, details) {
+        super(message);
+        this.name = 'ImageLimitError';
+        this.status = status;
+        this.code = status === 413 ? 'PAYLOAD_TOO_LARGE' : 'IMAGE_TOO_LARGE';
+        this.details = details;
+    }
+}
+
+function getPositiveIntEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+/**
+ * Current limits, read from the environment on every call
+ * @returns {{bodyBytes: number, archiveBytes: number, inputPixels: number, outputDimension: number, logoBytes: number, logoPixels: number}}
+ */
+function getLimits() {
+    return {
+        bodyBytes: getPositiveIntEnv('IMAGE_MAX_BODY_BYTES', DEFAULT_MAX_BODY_BYTES),
+        archiveBytes: getPositiveIntEnv('FETCH_MAX_ARCHIVE_BYTES', DEFAULT_MAX_ARCHIVE_BYTES),
+        inputPixels: getPositiveIntEnv('IMAGE_MAX_INPUT_PIXELS', DEFAULT_MAX_INPUT_PIXELS),
+        outputDimension: getPositiveIntEnv('IMAGE_MAX_OUTPUT_DIMENSION', DEFAULT_MAX_OUTPUT_DIMENSION),
+        logoBytes: getPositiveIntEnv('LOGO_MAX_BYTES', DEFAULT_MAX_LOGO_BYTES),
+        logoPixels: getPositiveIntEnv('LOGO_MAX_PIXELS', DEFAULT_MAX_LOGO_PIXELS)
+    };
+}
+
+/**
+ * Reject a byte size above a limit (413)
+ * @param {string} what - Described in the message ("The request body", "The logo")
+ * @param {number} bytes - Size, or a lower bound of it when the exact size is not known yet
+ * @param {string} limit - Limit name returned to the client ("bodyBytes", "logoBytes", "archiveBytes")
+ * @param {number} max
+ * @throws {ImageLimitError}
+ */
+function checkBytes(what, bytes, limit, max) {
+    if (bytes > max) {
+        throw new ImageLimitError(`${what} is too large (${bytes} bytes, limit ${max})`, 413, { limit, value: bytes, max });
+    }
+}
+
+/**
+ * Read the dimensions from the image header and reject images with too many pixels (422)
+ * sharp only parses the header here; the pixel data is decoded later, by openImage
+ * @param {Buffer} buffer
+ * @param {string} [label='image'] - "logo" uses the logo limit
+ * @returns {Promise<Object>} sharp metadata
+ * @throws {ImageLimitError}
+ * @throws {ApiError} UNSUPPORTED_FORMAT if sharp cannot read the file
+ */
+async function inspectImage(buffer, label = 'image') {
+    const limits = getLimits();
+    const max = label === 'logo' ? limits.logoPixels : limits.inputPixels;
+    // Our own check below gives a clearer error than sharp's "exceeds pixel limit"
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+    } catch (e) {
+        console.log(`Could not read the ${label} header:`, e.message);
+        throw new ApiError('UNSUPPORTED_FORMAT', `The ${label} is not in a supported image format`);
+    }
+    const pixels = metadata.width * metadata.height;
+    if (pixels > max) {
+        throw new ImageLimitError(
+            `The ${label} is too large (${metadata.width}x${metadata.height}, ${pixels} pixels, limit ${max})`,
+            422,
+            { limit: label === 'logo' ? 'logoPixels' : 'inputPixels', value: pixels, max }
+        );
+    }
+    return metadata;
+}
+
+/**
+ * sharp instance that refuses to decode more pixels than the limit, should an image get past inspectImage
+ * @param {Buffer} buffer
+ * @param {string} [label='image']
+ */
+function openImage(buffer, label = 'image') {
+    const limits = getLimits();
+    return sharp(buffer, { limitInputPixels: label === 'logo' ? limits.logoPixels : limits.inputPixels });
+}
+
+/**
+ * Reject an output image wider or taller than IMAGE_MAX_OUTPUT_DIMENSION (422)
+ * @throws {ImageLimitError}
+ */
+function checkOutputSize(width, height) {
+    const max = getLimits().outputDimension;
+    const largest = Math.max(width, height);
+    if (largest > max) {
+        throw new ImageLimitError(
+            `The output image would be too large (${width}x${height}, limit ${max} pixels per side)`,
+            422,
+            { limit: 'outputDimension', value: largest, max }
+        );
+    }
+}
+
+module.exports = {
+    ImageLimitError,
+    getLimits,
+    checkBytes,
+    inspectImage,
+    openImage,
+    checkOutputSize
+};
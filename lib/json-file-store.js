@@ -0,0 +1,76 @@
+// Small stores kept in a JSON file: presets (lib/preset-store.js) and the geocode cache (lib/geocode-cache.js)
+// The file holds one object under a top-level key, e.g. { "presets": { ... } }
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileStore {
+    /**
+     * @param {function(): string} getFile - Path of the file, asked on every access (it comes from the environment)
+     * @param {string} key - Top-level key of the file holding the data ("presets", "entries")
+     * @param {Object} [options]
+     * @param {boolean} [options.ignoreUnreadable=false] - Read a corrupt file as empty instead of failing (for caches)
+     */
+    constructor(getFile, key, options = {}) {
+        this.getFile = getFile;
+        this.key = key;
+        this.ignoreUnreadable = Boolean(options.ignoreUnreadable);
+        // Writes are chained so two requests in the same process never interleave read-modify-write cycles
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the data (a missing file is an empty store)
+     * @returns {Promise<Object>}
+     */
+    async read() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.getFile(), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return {};
+            throw e;
+        }
+        let data;
+        try {
+            data = JSON.parse(content || '{}');
+        } catch (e) {
+            if (!this.ignoreUnreadable) throw e;
+            console.warn(`Ignoring unreadable ${path.basename(this.getFile())}:`, e.message);
+            return {};
+        }
+        return data && typeof data[this.key] === 'object' ? data[this.key] : {};
+    }
+
+    /**
+     * Replace the data; the file is written next to the target and renamed so readers never see half a file
+     */
+    async write(value) {
+        const file = this.getFile();
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify({ [this.key]: value }, null, 2));
+        await fs.promises.rename(temp, file);
+    }
+
+    /**
+     * Run a read-modify-write cycle, one at a time
+     * @param {function(Object): *} change - Modifies the data in place; throwing cancels the write
+     * @returns {Promise<*>} What change returned
+     */
+    update(change) {
+        const run = this.writeQueue.then(async () => {
+            const data = await this.read();
+            const result = change(data);
+            await this.write(data);
+            return result;
+        });
+        // A failed update must not block the ones queued after it
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = {
+    JsonFileStore
+};
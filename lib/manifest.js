@@ -0,0 +1,221 @@
+// Batch manifest parsing (CSV or JSON) for /api/edit-exif-batch
+// Maps file names in the uploaded ZIP to the fields /api/edit-exif accepts
+
+// Rows with one of these file names hold the defaults applied to every image
+const DEFAULTS_NAMES = ['*', 'defaults'];
+
+// Column names accepted for the file name and shorter aliases for the coordinates
+const FILENAME_KEYS = ['filename', 'file', 'name'];
+const COLUMN_ALIASES = { lat: 'latitude', lon: 'longitude', lng: 'longitude', alt: 'altitude' };
+
+// Image sources make no sense per row, the images come from the archive
+const BLOCKED_KEYS = ['imageUrl', 'imageData'];
+
+class ManifestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ManifestError';
+        this.status = 400;
+        this.code = 'INVALID_MANIFEST';
+    }
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells, "" escapes, newlines inside quotes)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (inQuotes) {
+        throw new ManifestError('Invalid CSV manifest: unterminated quoted value');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Normalize one manifest row: resolve column aliases, drop empty values and image sources
+ * Empty values are dropped so they don't override the defaults row
+ * @returns {{filename: string|null, fields: Object}}
+ */
+function normalizeRow(row) {
+    let filename = null;
+    const fields = {};
+
+    for (const [key, value] of Object.entries(row)) {
+        const name = String(key).trim();
+        if (FILENAME_KEYS.includes(name.toLowerCase())) {
+            filename = value === undefined || value === null ? null : String(value).trim();
+            continue;
+        }
+        if (BLOCKED_KEYS.includes(name)) continue;
+        if (value === undefined || value === null) continue;
+        if (typeof value === 'string' && value.trim() === '') continue;
+        fields[COLUMN_ALIASES[name.toLowerCase()] || name] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    return { filename: filename || null, fields };
+}
+
+/**
+ * Split normalized rows into the defaults row and the per-file rows
+ * @param {Array<Object>} rows - Raw rows (column -> value)
+ * @param {Object|null} defaults - Defaults given outside the rows (JSON "defaults" key)
+ * @param {string} format - "csv" (text cells) or "json" (typed values)
+ * @returns {{format: string, defaults: Object|null, rows: Array<{filename: string, fields: Object}>}}
+ */
+function buildManifest(rows, defaults, format) {
+    const result = { format, defaults: defaults ? normalizeRow(defaults).fields : null, rows: [] };
+
+    rows.forEach((raw, index) => {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new ManifestError(`Manifest row ${index + 1} must be an object`);
+        }
+        const row = normalizeRow(raw);
+        if (!row.filename) {
+            throw new ManifestError(`Manifest row ${index + 1} has no filename`);
+        }
+        if (DEFAULTS_NAMES.includes(row.filename.toLowerCase())) {
+            if (result.defaults) {
+                throw new ManifestError('The manifest contains more than one defaults row');
+            }
+            result.defaults = row.fields;
+            return;
+        }
+        if (result.rows.some(r => r.filename === row.filename)) {
+            throw new ManifestError(`Duplicate manifest row for "${row.filename}"`);
+        }
+        result.rows.push(row);
+    });
+
+    return result;
+}
+
+/**
+ * Parse a CSV manifest; the first line is the header and must contain a filename column
+ */
+function parseCsvManifest(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) {
+        throw new ManifestError('The manifest is empty');
+    }
+    const columns = header.map(c => c.trim());
+    if (!columns.some(c => FILENAME_KEYS.includes(c.toLowerCase()))) {
+        throw new ManifestError('The CSV manifest needs a "filename" column');
+    }
+
+    const rows = lines.map(cells => {
+        const row = {};
+        columns.forEach((column, i) => {
+            if (column) row[column] = cells[i];
+        });
+        return row;
+    });
+    return buildManifest(rows, null, 'csv');
+}
+
+/**
+ * Parse a JSON manifest
+ * Accepts an array of rows, or { defaults, files } where files is an array of rows
+ * or an object mapping file names to fields
+ */
+function parseJsonManifest(value) {
+    if (Array.isArray(value)) {
+        return buildManifest(value, null, 'json');
+    }
+    if (!value || typeof value !== 'object') {
+        throw new ManifestError('The JSON manifest must be an array of rows or an object');
+    }
+
+    const { defaults = null, files, ...rest } = value;
+    if (defaults !== null && (typeof defaults !== 'object' || Array.isArray(defaults))) {
+        throw new ManifestError('The manifest defaults must be an object');
+    }
+
+    // Without "files", every other key is a file name
+    const entries = files !== undefined ? files : rest;
+    if (Array.isArray(entries)) {
+        return buildManifest(entries, defaults, 'json');
+    }
+    if (!entries || typeof entries !== 'object') {
+        throw new ManifestError('The manifest files must be an array of rows or an object keyed by file name');
+    }
+    const rows = Object.entries(entries).map(([filename, fields]) => {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new ManifestError(`Manifest entry "${filename}" must be an object`);
+        }
+        return { ...fields, filename };
+    });
+    return buildManifest(rows, defaults, 'json');
+}
+
+/**
+ * Parse a batch manifest given as CSV text, JSON text or an already parsed JSON value
+ * @param {string|Buffer|Array|Object} manifest - Manifest content
+ * @returns {{format: string, defaults: Object|null, rows: Array<{filename: string, fields: Object}>}} format is "csv" or "json"
+ * @throws {ManifestError} If the manifest cannot be parsed
+ */
+function parseManifest(manifest) {
+    if (manifest === undefined || manifest === null || manifest === '') {
+        throw new ManifestError('A manifest (CSV or JSON) is required');
+    }
+    if (typeof manifest === 'object' && !Buffer.isBuffer(manifest)) {
+        return parseJsonManifest(manifest);
+    }
+
+    // Strip a UTF-8 BOM, spreadsheet exports often add one
+    const text = manifest.toString('utf8').replace(/^\uFEFF/, '');
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (e) {
+            throw new ManifestError(`Invalid JSON manifest: ${e.message}`);
+        }
+        return parseJsonManifest(parsed);
+    }
+    return parseCsvManifest(text);
+}
+
+module.exports = {
+    ManifestError,
+    parseManifest,
+    parseCsv
+};
@@ -0,0 +1,204 @@
+// Before/after comparison for edit-exif dry runs
+// Lists every tag an edit would add, change or remove, grouped like the EXIF IFDs, IPTC and XMP
+
+const piexif = require('piexifjs');
+const { listTags } = require('./scrub');
+const { toJsonSafe, xpText } = require('./metadata-reader');
+
+// piexifjs sections compared tag by tag (IFD1 is handled with the thumbnail as one unit)
+const EXIF_SECTIONS = {
+    '0th': piexif.TAGS.Image,
+    'Exif': piexif.TAGS.Exif,
+    'GPS': piexif.TAGS.GPS,
+    'Interop': piexif.TAGS.Interop
+};
+
+// piexifjs uses the EXIF spec names; ExifTool renames a few of them
+const EXIFTOOL_NAMES = { DateTime: 'ModifyDate', DateTimeDigitized: 'CreateDate' };
+
+// EXIF tag types that hold rationals
+const RATIONAL_TYPES = ['Rational', 'SRational'];
+
+// ExifTool EXIF tag name -> piexifjs section, to label the tags written by ExifTool (non-JPEG formats)
+const EXIF_SECTION_BY_NAME = {};
+for (const [section, table] of Object.entries(EXIF_SECTIONS)) {
+    for (const info of Object.values(table)) {
+        const name = EXIFTOOL_NAMES[info.name] || info.name;
+        if (!EXIF_SECTION_BY_NAME[name]) EXIF_SECTION_BY_NAME[name] = section;
+    }
+}
+// EXIF 2.31 timezone tags, unknown to piexifjs and written by ExifTool only
+for (const name of ['OffsetTime', 'OffsetTimeOriginal', 'OffsetTimeDigitized']) {
+    EXIF_SECTION_BY_NAME[name] = 'Exif';
+}
+
+/**
+ * Make a piexifjs value readable: rationals become numbers, UserComment is decoded, binary data is summarized
+ * @param {*} value - piexifjs value
+ * @param {Object} info - piexifjs tag info ({name, type})
+ */
+function formatExifValue(value, info) {
+    if (info.name === 'UserComment' && typeof value === 'string') {
+        const bytes = Buffer.from(value, 'binary');
+        // 8-byte character code from the spec, or the 2-byte UTF-8 marker edit-exif writes
+        const text = bytes.length >= 8 && /^(ASCII|UNICODE|JIS|\0{5})/.test(bytes.slice(0, 8).toString('latin1'))
+            ? bytes.slice(8)
+            : bytes[0] === 0x01 && bytes[1] === 0x00 ? bytes.slice(2) : bytes;
+        return text.toString('utf8').replace(/\0+$/, '');
+    }
+    if (info.name.startsWith('XP')) {
+        // Windows XP tags: UCS-2 text stored as bytes
+        return xpText(value) || null;
+    }
+    if (RATIONAL_TYPES.includes(info.type) && Array.isArray(value)) {
+        const toNumber = r => r[1] ? r[0] / r[1] : null;
+        return Array.isArray(value[0]) ? value.map(toNumber) : toNumber(value);
+    }
+    if (typeof value === 'string') {
+        // Undefined-type tags (maker notes, binary blobs) are only summarized
+        if (/[\x00-\x08\x0e-\x1f]/.test(value.replace(/\0+$/, ''))) {
+            return `[binary data: ${value.length} bytes]`;
+        }
+        return value.replace(/\0+$/, '');
+    }
+    return value;
+}
+
+/**
+ * Flatten a piexifjs EXIF object into "EXIF:Name" -> {group, value}
+ * @param {Object} exifObj - piexifjs EXIF object
+ * @returns {Map<string, {group: string, value: *}>}
+ */
+function listExifObjectTags(exifObj) {
+    const tags = new Map();
+    for (const [section, table] of Object.entries(EXIF_SECTIONS)) {
+        for (const [id, value] of Object.entries(exifObj[section] || {})) {
+            const info = table[id];
+            if (!info || ['ExifTag', 'GPSTag', 'InteroperabilityTag'].includes(info.name)) continue;
+            const name = EXIFTOOL_NAMES[info.name] || info.name;
+            tags.set(`EXIF:${name}`, { group: `EXIF:${section}`, value: formatExifValue(value, info) });
+        }
+    }
+    if (exifObj.thumbnail) {
+        tags.set('EXIF:ThumbnailImage', { group: 'EXIF:1st', value: `[binary data: ${exifObj.thumbnail.length} bytes]` });
+    }
+    return tags;
+}
+
+/**
+ * Group of an ExifTool tag name as shown in the diff
+ */
+function groupOfExifToolTag(tag) {
+    const [family, name] = tag.split(':');
+    if (family === 'IPTC') return 'IPTC';
+    if (family.startsWith('XMP')) return 'XMP';
+    if (family === 'IFD1') return 'EXIF:1st';
+    if (family === 'MakerNotes') return 'EXIF:Exif';
+    return `EXIF:${EXIF_SECTION_BY_NAME[name] || '0th'}`;
+}
+
+/**
+ * Make an existing (exifr or ExifTool) value comparable with the values that would be written
+ * XMP language alternatives ({lang, value}) are reduced to their text
+ */
+function formatExistingValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Uint8Array) && 'value' in value) {
+        return formatExistingValue(value.value);
+    }
+    if (Array.isArray(value)) return value.map(formatExistingValue);
+    return toJsonSafe(value);
+}
+
+/**
+ * Describe one tag change
+ * @returns {{group: string, tag: string, before: *, after: *, action: string}|null} null if the value does not change
+ */
+function describeChange(group, tag, before, after) {
+    if (before === undefined) before = null;
+    if (after === undefined) after = null;
+    if (before === null && after === null) return null;
+    if (JSON.stringify(before) === JSON.stringify(after)) return null;
+    // Written values are strings ("30 24 2.88"), existing ones may be numbers or arrays: compare loosely too
+    const loose = v => Array.isArray(v) ? v.join(' ') : String(v);
+    if (before !== null && after !== null && loose(before) === loose(after)) return null;
+    const action = after === null ? 'remove' : before === null ? 'add' : 'change';
+    return { group, tag, before, after, action };
+}
+
+/**
+ * Compute the before/after diff of an edit
+ * @param {Buffer} imageBuffer - Image before the edit (after any format conversion)
+ * @param {Object} options
+ * @param {string} options.format - Key of FORMATS
+ * @param {Object|null} options.originalExif - piexifjs EXIF object before the edit (JPEG only)
+ * @param {Object|null} options.finalExif - piexifjs EXIF object that would be written (JPEG only)
+ * @param {Object} options.tags - ExifTool tags that would be written (null = delete)
+ * @returns {Promise<Array<{group: string, tag: string, before: *, after: *, action: string}>>}
+ */
+async function diffMetadata(imageBuffer, { format, originalExif, finalExif, tags }) {
+    const changes = [];
+
+    // EXIF in JPEG: compare the piexifjs objects
+    if (originalExif && finalExif) {
+        const before = listExifObjectTags(originalExif);
+        const after = listExifObjectTags(finalExif);
+        for (const tag of new Set([...before.keys(), ...after.keys()])) {
+            const group = (after.get(tag) || before.get(tag)).group;
+            const change = describeChange(group, tag, before.has(tag) ? before.get(tag).value : null, after.has(tag) ? after.get(tag).value : null);
+            if (change) changes.push(change);
+        }
+    }
+
+    // Everything ExifTool would write; existing values come from exifr for JPEG, from ExifTool for the other formats
+    const existing = new Map();
+    for (const tag of await listTags(imageBuffer, format)) {
+        existing.set(tag.exifTool, /^EXIF:XP/.test(tag.exifTool) ? xpText(tag.value) : formatExistingValue(tag.value));
+    }
+    const written = new Map();
+    for (const [key, value] of Object.entries(tags)) {
+        // "#" only selects raw numeric values in ExifTool, the tag is the same
+        written.set(key.replace(/#$/, ''), value);
+    }
+    for (const [tag, after] of written) {
+        const change = describeChange(groupOfExifToolTag(tag), tag, existing.get(tag), after);
+        if (change) changes.push(change);
+    }
+
+    return changes;
+}
+
+/**
+ * Find changes that are likely unintended
+ * - city/country replace a UserComment that was not written by edit-exif
+ * - a tag removed by the scrub is written again by a request field
+ * @param {Array} changes - Result of diffMetadata
+ * @param {Object} fields - Fields of the request
+ * @param {Array<string>} rewritten - Tags removed by the scrub and then written again
+ * @returns {Array<{field: string, tag: string, message: string}>}
+ */
+function findConflicts(changes, fields, rewritten) {
+    const conflicts = [];
+    const changeOf = tag => changes.find(c => c.tag === tag && c.action === 'change');
+
+    const userComment = changeOf('EXIF:UserComment');
+    if (userComment && (fields.city !== undefined || fields.country !== undefined) &&
+        !String(userComment.before).startsWith('Location:')) {
+        conflicts.push({
+            field: fields.city !== undefined ? 'city' : 'country',
+            tag: 'EXIF:UserComment',
+            message: `the location would overwrite the existing UserComment "${userComment.before}"`
+        });
+    }
+
+    for (const tag of rewritten) {
+        conflicts.push({ field: 'scrub', tag, message: 'removed by the scrub, then written again by a request field' });
+    }
+
+    return conflicts;
+}
+
+module.exports = {
+    diffMetadata,
+    findConflicts,
+    listExifObjectTags
+};
@@ -0,0 +1,447 @@
+// Read EXIF, IPTC and XMP from an image buffer and normalize the values
+// Uses exifr, which understands JPEG, TIFF, HEIC/AVIF and PNG containers; ExifTool reads what exifr cannot (WebP)
+
+const exifr = require('exifr');
+const { FORMATS, detectImageFormat } = require('./image-format');
+const { readWithExifTool } = require('./exiftool-pool');
+
+// exifr options: keep every segment separate so we can return a per-group dump
+const PARSE_OPTIONS = {
+    tiff: true,
+    ifd0: true,
+    ifd1: true,
+    exif: true,
+    gps: true,
+    interop: true,
+    xmp: true,
+    iptc: true,
+    icc: false,
+    jfif: false,
+    ihdr: false,
+    makerNote: false,
+    userComment: false,
+    mergeOutput: false,
+    reviveValues: false,
+    translateValues: true
+};
+
+// ExifTool family 1 groups -> exifr group names (XMP-* groups not listed here use their namespace prefix)
+const EXIFTOOL_GROUPS = {
+    'IFD0': 'ifd0',
+    'ExifIFD': 'exif',
+    'InteropIFD': 'interop',
+    'GPS': 'gps',
+    'IPTC': 'iptc',
+    // exifr merges the XMP exif namespace into the EXIF group
+    'XMP-exif': 'exif',
+    'XMP-iptcCore': 'Iptc4xmpCore',
+    'XMP-iptcExt': 'Iptc4xmpExt'
+};
+
+// ExifTool IPTC names that differ from exifr's
+const EXIFTOOL_IPTC_NAMES = {
+    'Sub-location': 'Sublocation',
+    'Province-State': 'State',
+    'Country-PrimaryLocationCode': 'CountryCode',
+    'Country-PrimaryLocationName': 'Country',
+    'Caption-Abstract': 'Caption',
+    'Writer-Editor': 'Writer',
+    'By-line': 'Byline',
+    'By-lineTitle': 'BylineTitle'
+};
+
+/**
+ * Get plain text out of an XMP value
+ * Lang-alt values come back from exifr as { lang, value } or an array of them
+ * @param {*} value - Raw XMP value
+ * @returns {string|undefined}
+ */
+function xmpText(value) {
+    if (value === undefined || value === null) return undefined;
+    if (Array.isArray(value)) {
+        const preferred = value.find(v => v && v.lang === 'x-default') || value[0];
+        return xmpText(preferred);
+    }
+    if (typeof value === 'object' && 'value' in value) {
+        return xmpText(value.value);
+    }
+    return String(value);
+}
+
+/**
+ * Get a list of strings out of an XMP bag/seq, IPTC repeated field or comma-separated text
+ * @param {*} value - Raw value
+ * @returns {Array<string>|undefined}
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const items = Array.isArray(value)
+        ? value.map(xmpText)
+        : String(xmpText(value)).split(',');
+    const cleaned = items.map(k => String(k).trim()).filter(k => k.length > 0);
+    return cleaned.length > 0 ? cleaned : undefined;
+}
+
+/**
+ * Decode a Windows XP tag (XPTitle, XPKeywords, XPSubject, XPComment): UCS-2 little-endian, NUL-terminated
+ * @param {Uint8Array|Array<number>|string} value - Raw tag bytes (exifr with reviveValues: false, piexifjs) or decoded text
+ * @returns {string|undefined}
+ */
+function xpText(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'string') return value.replace(/\0+$/, '') || undefined;
+    const bytes = Buffer.from(value);
+    return bytes.slice(0, bytes.length - (bytes.length % 2)).toString('utf16le').replace(/\0+$/, '') || undefined;
+}
+
+/**
+ * Split keywords stored in XPKeywords (Windows separates them with semicolons)
+ * @returns {Array<string>|undefined}
+ */
+function xpKeywords(value) {
+    const text = xpText(value);
+    if (!text) return undefined;
+    const list = text.split(';').map(k => k.trim()).filter(k => k.length > 0);
+    return list.length > 0 ? list : undefined;
+}
+
+/**
+ * Title and keywords written by earlier versions of edit-exif to IFD0 DocumentName
+ * The title went there when one was given, otherwise the comma-separated keywords. Images with XP tags
+ * use the current layout, where DocumentName is never written, so it is left out for them.
+ * @returns {{title: string|undefined, keywords: Array<string>|undefined}}
+ */
+function legacyDocumentName(ifd0) {
+    const hasXpTags = ['XPTitle', 'XPKeywords', 'XPSubject', 'XPComment'].some(tag => ifd0[tag] !== undefined);
+    const documentName = typeof ifd0.DocumentName === 'string' ? ifd0.DocumentName.trim() : '';
+    if (hasXpTags || !documentName) return { title: undefined, keywords: undefined };
+    // A single keyword cannot be told apart from a title; a list can
+    if (documentName.includes(',')) return { title: undefined, keywords: toList(documentName) };
+    return { title: documentName, keywords: undefined };
+}
+
+/**
+ * Return the first value that is neither undefined, null nor an empty string
+ */
+function firstOf(...values) {
+    return values.find(v => v !== undefined && v !== null && v !== '');
+}
+
+/**
+ * Convert an EXIF date ("YYYY:MM:DD HH:MM:SS") to ISO 8601 ("YYYY-MM-DDTHH:MM:SS")
+ * XMP dates are already ISO 8601 and are returned unchanged
+ * @param {string} value - EXIF or XMP date
+ * @param {string} [offset] - Optional EXIF OffsetTime* value such as "+01:00"
+ * @returns {string|undefined}
+ */
+function toIsoDate(value, offset) {
+    if (!value) return undefined;
+    const str = String(value).trim();
+    const match = str.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return str;
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    return offset ? iso + offset : iso;
+}
+
+/**
+ * Combine IPTC DateCreated ("YYYYMMDD") and TimeCreated ("HHMMSS±HHMM") into ISO 8601
+ */
+function iptcDate(date, time) {
+    if (!date) return undefined;
+    const d = String(date).replace(/[-:]/g, '');
+    if (!/^\d{8}$/.test(d)) return String(date);
+    let iso = `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}`;
+    const t = time ? String(time).replace(/:/g, '') : '';
+    const tm = t.match(/^(\d{2})(\d{2})(\d{2})([+-]\d{2})?(\d{2})?/);
+    if (tm) {
+        iso += `T${tm[1]}:${tm[2]}:${tm[3]}`;
+        if (tm[4]) iso += `${tm[4]}:${tm[5] || '00'}`;
+    }
+    return iso;
+}
+
+/**
+ * Parse an XMP GPS coordinate ("30,24.048N" or "30,24,2.9N") to decimal degrees
+ */
+function xmpCoordinate(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'number') return value;
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i);
+    if (!match) {
+        const num = parseFloat(value);
+        return isNaN(num) ? undefined : num;
+    }
+    let dd = parseFloat(match[1]) + parseFloat(match[2]) / 60 + (match[3] ? parseFloat(match[3]) / 3600 : 0);
+    if (/[SW]/i.test(match[4])) dd = -dd;
+    return dd;
+}
+
+/**
+ * Parse an XMP number, which rationals store as "numerator/denominator"
+ */
+function xmpNumber(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'number') return value;
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+    const num = match ? parseFloat(match[1]) / parseFloat(match[2]) : parseFloat(value);
+    return isFinite(num) ? num : undefined;
+}
+
+/**
+ * Convert an EXIF DMS coordinate ([deg, min, sec] plus a N/S/E/W reference) to decimal degrees
+ */
+function exifCoordinate(dms, ref) {
+    if (typeof dms === 'number') dms = [dms, 0, 0];
+    if (!Array.isArray(dms) || dms.length < 3) return undefined;
+    const dd = Number(dms[0]) + Number(dms[1]) / 60 + Number(dms[2]) / 3600;
+    if (isNaN(dd)) return undefined;
+    return /^[SW]/i.test(String(ref || '')) ? -dd : dd;
+}
+
+/**
+ * Combine EXIF GPSDateStamp ("YYYY:MM:DD") and GPSTimeStamp ([h, m, s]) to an ISO 8601 UTC date
+ * XMP exif:GPSTimeStamp already holds both and is used when the EXIF tags are missing
+ */
+function gpsTimestamp(dateStamp, timeStamp, xmpValue) {
+    if (typeof dateStamp === 'string' && Array.isArray(timeStamp) && timeStamp.length >= 3) {
+        const date = dateStamp.trim().replace(/:/g, '-');
+        const time = timeStamp.slice(0, 3).map(n => String(Math.floor(Number(n))).padStart(2, '0')).join(':');
+        return `${date}T${time}Z`;
+    }
+    if (xmpValue) {
+        return toIsoDate(xmpValue);
+    }
+    return undefined;
+}
+
+/**
+ * Make exifr output safe for JSON: binary blobs are summarized instead of dumped byte by byte
+ */
+function toJsonSafe(value) {
+    if (value instanceof Uint8Array) {
+        return value.length <= 16 ? Array.from(value) : `[binary data: ${value.length} bytes]`;
+    }
+    if (Array.isArray(value)) return value.map(toJsonSafe);
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            out[key] = toJsonSafe(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+// XMP Iptc4xmpCore:CreatorContactInfo properties -> normalized names (same names edit-exif accepts)
+const CONTACT_INFO_PROPERTIES = {
+    CiAdrExtadr: 'address',
+    CiAdrCity: 'city',
+    CiAdrRegion: 'region',
+    CiAdrPcode: 'postalCode',
+    CiAdrCtry: 'country',
+    CiTelWork: 'phone',
+    CiEmailWork: 'email',
+    CiUrlWork: 'url'
+};
+
+/**
+ * Normalize the IPTC creator contact info structure
+ * @returns {Object|null} e.g. {email, url, city}, null if empty
+ */
+function contactInfo(value) {
+    if (!value || typeof value !== 'object') return null;
+    const contact = {};
+    for (const [property, key] of Object.entries(CONTACT_INFO_PROPERTIES)) {
+        const text = firstOf(xmpText(value[property]));
+        if (text) contact[key] = String(text);
+    }
+    return Object.keys(contact).length > 0 ? contact : null;
+}
+
+/**
+ * Build the normalized metadata object from exifr's per-group output
+ * Priority follows what most editors do: XMP, then IPTC, then EXIF
+ * @param {Object} groups - exifr.parse output with mergeOutput: false
+ * @returns {Object} Normalized metadata
+ */
+function normalizeMetadata(groups) {
+    const ifd0 = groups.ifd0 || {};
+    const exif = groups.exif || {};
+    const gps = groups.gps || {};
+    const iptc = groups.iptc || {};
+    const dc = groups.dc || {};
+    const photoshop = groups.photoshop || {};
+    const xmp = groups.xmp || {};
+    const xmpRights = groups.xmpRights || {};
+    const aux = groups.aux || {};
+    const iptcCore = groups.Iptc4xmpCore || {};
+    const plus = groups.plus || {};
+
+    // GPS: exifr already computes decimal latitude/longitude from the GPS IFD
+    let latitude = typeof gps.latitude === 'number' ? gps.latitude : undefined;
+    let longitude = typeof gps.longitude === 'number' ? gps.longitude : undefined;
+    if (latitude === undefined || longitude === undefined) {
+        // Fall back to XMP exif:GPSLatitude/GPSLongitude (e.g. PNG or WebP with XMP only)
+        // exifr merges the XMP exif namespace into the same "exif" group as the EXIF IFD
+        latitude = xmpCoordinate(exif.GPSLatitude);
+        longitude = xmpCoordinate(exif.GPSLongitude);
+    }
+    let altitude;
+    if (typeof gps.GPSAltitude === 'number') {
+        const ref = gps.GPSAltitudeRef instanceof Uint8Array ? gps.GPSAltitudeRef[0] : gps.GPSAltitudeRef;
+        altitude = Number(ref) === 1 ? -gps.GPSAltitude : gps.GPSAltitude;
+    }
+
+    // Extended GPS tags, EXIF first, then the XMP exif:GPS* equivalents
+    let destLatitude = exifCoordinate(gps.GPSDestLatitude, gps.GPSDestLatitudeRef);
+    let destLongitude = exifCoordinate(gps.GPSDestLongitude, gps.GPSDestLongitudeRef);
+    if (destLatitude === undefined || destLongitude === undefined) {
+        destLatitude = xmpCoordinate(exif.GPSDestLatitude);
+        destLongitude = xmpCoordinate(exif.GPSDestLongitude);
+    }
+    const direction = firstOf(gps.GPSImgDirection, xmpNumber(exif.GPSImgDirection));
+    const positioningError = firstOf(gps.GPSHPositioningError, xmpNumber(exif.GPSHPositioningError));
+    const gpsDetails = {
+        direction: direction !== undefined ? Number(direction) : null,
+        directionRef: direction !== undefined ? String(firstOf(gps.GPSImgDirectionRef, exif.GPSImgDirectionRef) || 'T').charAt(0).toUpperCase() : null,
+        destination: destLatitude !== undefined && destLongitude !== undefined
+            ? { latitude: destLatitude, longitude: destLongitude }
+            : null,
+        timestamp: gpsTimestamp(gps.GPSDateStamp, gps.GPSTimeStamp, exif.GPSTimeStamp) || null,
+        positioningError: positioningError !== undefined ? Number(positioningError) : null,
+        mapDatum: firstOf(gps.GPSMapDatum, exif.GPSMapDatum) || null
+    };
+    const hasGpsDetails = Object.values(gpsDetails).some(v => v !== null);
+
+    const legacy = legacyDocumentName(ifd0);
+
+    return {
+        title: firstOf(xmpText(dc.title), iptc.ObjectName, xpText(ifd0.XPTitle), legacy.title) || null,
+        // XP tags are UCS-2, so they come before the ASCII ImageDescription
+        description: firstOf(
+            xmpText(dc.description), iptc.Caption,
+            xpText(ifd0.XPSubject), xpText(ifd0.XPComment), ifd0.ImageDescription
+        ) || null,
+        keywords: toList(dc.subject) || toList(iptc.Keywords) || xpKeywords(ifd0.XPKeywords) || legacy.keywords || [],
+        city: firstOf(photoshop.City, iptc.City) || null,
+        region: firstOf(photoshop.State, iptc.State) || null,
+        country: firstOf(photoshop.Country, iptc.Country) || null,
+        countryCode: firstOf(iptcCore.CountryCode, iptc.CountryCode) || null,
+        // Present when the image has a position or any of the other GPS tags (direction, timestamp...)
+        gps: (latitude !== undefined && longitude !== undefined) || hasGpsDetails
+            ? {
+                latitude: latitude !== undefined && longitude !== undefined ? latitude : null,
+                longitude: latitude !== undefined && longitude !== undefined ? longitude : null,
+                altitude: altitude !== undefined ? altitude : null,
+                ...gpsDetails
+            }
+            : null,
+        dates: {
+            dateTimeOriginal: firstOf(
+                toIsoDate(exif.DateTimeOriginal, exif.OffsetTimeOriginal),
+                photoshop.DateCreated,
+                iptcDate(iptc.DateCreated, iptc.TimeCreated)
+            ) || null,
+            createDate: firstOf(toIsoDate(exif.CreateDate, exif.OffsetTimeDigitized), xmp.CreateDate) || null,
+            modifyDate: firstOf(toIsoDate(ifd0.ModifyDate, exif.OffsetTime), xmp.ModifyDate) || null
+        },
+        camera: {
+            make: firstOf(ifd0.Make) || null,
+            model: firstOf(ifd0.Model) || null,
+            lens: firstOf(exif.LensModel, aux.Lens) || null,
+            serialNumber: firstOf(exif.BodySerialNumber, aux.SerialNumber) || null
+        },
+        rights: {
+            copyright: firstOf(xmpText(dc.rights), iptc.CopyrightNotice, ifd0.Copyright) || null,
+            creator: firstOf(
+                Array.isArray(dc.creator) ? dc.creator.join(', ') : xmpText(dc.creator),
+                Array.isArray(iptc.Byline) ? iptc.Byline.join(', ') : iptc.Byline,
+                ifd0.Artist
+            ) || null,
+            webStatement: firstOf(xmpRights.WebStatement) || null,
+            creditLine: firstOf(photoshop.Credit, iptc.Credit) || null,
+            source: firstOf(photoshop.Source, iptc.Source) || null,
+            instructions: firstOf(photoshop.Instructions, iptc.SpecialInstructions) || null,
+            licensorUrl: firstOf(...[].concat(plus.Licensor || []).map(licensor => licensor && licensor.LicensorURL)) || null,
+            creatorContactInfo: contactInfo(iptcCore.CreatorContactInfo)
+        }
+    };
+}
+
+/**
+ * Convert ExifTool output (lib/exiftool-pool.js readWithExifTool) to exifr's per-group layout
+ * @param {Object} raw - Values keyed "EXIF:GPS:GPSLatitude", "XMP:XMP-dc:Title"...
+ * @returns {Object} Groups as exifr.parse returns them with mergeOutput: false
+ */
+function exifToolGroups(raw) {
+    const groups = {};
+    for (const [key, value] of Object.entries(raw)) {
+        const [family0, family1, name] = key.split(':');
+        if (!name || !['EXIF', 'IPTC', 'XMP'].includes(family0)) continue;
+        const group = EXIFTOOL_GROUPS[family1] || (family1.startsWith('XMP-') ? family1.slice(4) : null);
+        if (!group) continue;
+        let tag = name;
+        let tagValue = value;
+        if (family0 === 'IPTC') {
+            tag = EXIFTOOL_IPTC_NAMES[name] || name;
+        } else if (family0 === 'XMP') {
+            // dc properties are lower case ("title"); ExifTool gives XMP dates in EXIF form
+            if (group === 'dc') tag = name.charAt(0).toLowerCase() + name.slice(1);
+            if (typeof value === 'string') {
+                tagValue = value.replace(/^(\d{4}):(\d{2}):(\d{2})( |$)/, (m, y, mo, d, time) => `${y}-${mo}-${d}${time ? 'T' : ''}`);
+            }
+        } else if (name === 'GPSTimeStamp' && typeof value === 'string') {
+            tagValue = value.split(':').map(Number);
+        }
+        groups[group] = groups[group] || {};
+        // EXIF comes before XMP in ExifTool's output, so the EXIF value wins as it does with exifr
+        if (groups[group][tag] === undefined) groups[group][tag] = tagValue;
+    }
+
+    // exifr adds the signed decimal position to the GPS group
+    const gps = groups.gps;
+    if (gps && typeof gps.GPSLatitude === 'number' && typeof gps.GPSLongitude === 'number') {
+        gps.latitude = /^S/i.test(String(gps.GPSLatitudeRef || '')) ? -gps.GPSLatitude : gps.GPSLatitude;
+        gps.longitude = /^W/i.test(String(gps.GPSLongitudeRef || '')) ? -gps.GPSLongitude : gps.GPSLongitude;
+    }
+    return groups;
+}
+
+/**
+ * Read all metadata groups from an image
+ * @param {Buffer} imageBuffer - Image file contents
+ * @returns {Promise<{metadata: Object, raw: Object}>} Normalized metadata and the raw per-group dump
+ * @throws {ExifToolError} If exifr finds nothing and ExifTool cannot read the image
+ */
+async function readMetadata(imageBuffer) {
+    let groups;
+    try {
+        groups = await exifr.parse(imageBuffer, PARSE_OPTIONS);
+    } catch (e) {
+        // exifr throws on containers it cannot parse and on files without any metadata segment
+        console.log('exifr could not parse metadata:', e.message);
+        groups = undefined;
+    }
+
+    // Nothing found: exifr cannot parse WebP and returns only { errors } for some TIFF files, so ask ExifTool
+    const format = detectImageFormat(imageBuffer);
+    if ((!groups || Object.keys(groups).every(key => key === 'errors')) && format) {
+        console.log(`No metadata from exifr, reading the ${format.toUpperCase()} image with ExifTool`);
+        groups = exifToolGroups(await readWithExifTool(imageBuffer, FORMATS[format].ext));
+    }
+    groups = groups || {};
+
+    return {
+        metadata: normalizeMetadata(groups),
+        raw: toJsonSafe(groups)
+    };
+}
+
+module.exports = {
+    readMetadata,
+    normalizeMetadata,
+    toIsoDate,
+    toJsonSafe,
+    xpText
+};
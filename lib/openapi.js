@@ -0,0 +1,594 @@
+// OpenAPI 3.1 description of the API, served at /api/openapi.json
+// The request schemas are also what lib/request-validation.js checks every request against
+
+const { version } = require('../package.json');
+const { ERROR_CODES } = require('./api-errors');
+const { SCRUB_PRESETS } = require('./scrub');
+
+// Latitude and longitude in decimal degrees
+const latitude = { type: 'number', minimum: -90, maximum: 90, example: 30.4008 };
+const longitude = { type: 'number', minimum: -180, maximum: 180, example: -9.5776 };
+// Absolute http(s) URL
+const httpUrl = { type: 'string', pattern: '^https?://\\S+$', example: 'https://example.com/photo.jpg' };
+// Seconds as a number, or "[-]HH:MM:SS"
+const seconds = { anyOf: [{ type: 'number' }, { type: 'string', pattern: '^[+-]?(\\d+:)?\\d{1,2}:\\d{2}(\\.\\d+)?$', example: '-00:01:35' }] };
+const scrubPresetNames = Object.keys(SCRUB_PRESETS);
+
+// Fields written to the image: top level in edit-exif, inside exifData (legacy), in presets and in batch manifests
+const metadataProperties = {
+    title: { type: 'string', description: 'XMP dc:title, IPTC ObjectName and XPTitle' },
+    description: { type: 'string', description: 'EXIF ImageDescription, XMP dc:description and IPTC Caption-Abstract' },
+    keywords: {
+        anyOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string', description: 'Comma-separated' }],
+        description: 'XMP dc:subject, IPTC Keywords and XPKeywords'
+    },
+    city: { type: 'string' },
+    region: { type: 'string' },
+    country: { type: 'string' },
+    countryCode: { type: 'string', pattern: '^[A-Za-z]{2,3}$', example: 'MA', description: 'ISO 3166 alpha-2 or alpha-3' },
+    location: { type: 'string', description: 'Position in any format accepted by /api/parse-coordinates; latitude and longitude win over it', example: '30°24\'02.9"N 9°34\'39.4"W' },
+    latitude: latitude,
+    longitude: longitude,
+    altitude: { type: 'number', description: 'Meters, negative below sea level' },
+    direction: { type: 'number', minimum: 0, exclusiveMaximum: 360, description: 'Compass heading of the camera in degrees' },
+    directionRef: { type: 'string', pattern: '^([TtMm]|[Tt]rue|[Mm]agnetic)( [Nn]orth)?$', example: 'T', description: 'T (true north, default) or M (magnetic north)' },
+    destLatitude: latitude,
+    destLongitude: longitude,
+    gpsTimestamp: { type: 'string', example: '2025-02-02T13:30:00Z' },
+    positioningError: { type: 'number', minimum: 0, description: 'Horizontal positioning error in meters' },
+    mapDatum: { type: 'string', example: 'WGS-84' },
+    make: { type: 'string', description: 'EXIF Make' },
+    model: { type: 'string', description: 'EXIF Model' },
+    copyright: { type: 'string', description: 'EXIF Copyright, XMP dc:rights and IPTC CopyrightNotice' },
+    datetime: { type: 'string', example: '2025-02-02T14:30:00', description: 'ISO 8601 or EXIF format; the wall-clock time is kept as given' },
+    timeShift: { type: 'string', example: '+01:00:00', description: 'Shifts every date of the image, e.g. "-1 day" or "+2 hours 30 minutes"' },
+    timezoneOffset: { type: 'string', example: '+02:00', description: 'EXIF OffsetTime tags' },
+    creator: { anyOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }] },
+    creditLine: { type: 'string' },
+    webStatement: { ...httpUrl, description: 'Web page with the rights statement' },
+    licensorUrl: httpUrl,
+    creatorContactInfo: { $ref: '#/components/schemas/CreatorContactInfo' },
+    source: { type: 'string' },
+    instructions: { type: 'string' }
+};
+
+// edit-exif options besides the metadata fields
+const editOptionProperties = {
+    exifData: { $ref: '#/components/schemas/MetadataFields', description: 'Legacy format: the metadata fields in one object; top-level fields win' },
+    outputFormat: { type: 'string', example: 'webp', description: 'jpeg, png, webp, heic or tiff (extensions and MIME types work too)' },
+    scrub: {
+        anyOf: [
+            { type: 'string', enum: scrubPresetNames },
+            { type: 'array', items: { type: 'string', enum: scrubPresetNames }, minItems: 1 },
+            { $ref: '#/components/schemas/ScrubOptions' },
+            { type: 'boolean', enum: [false] }
+        ],
+        description: 'Removes metadata before the fields are written'
+    },
+    dryRun: { type: 'boolean', description: 'Report the changes as JSON instead of returning the image' },
+    preset: { type: 'string', description: 'Name of a saved preset; fields in the request win over it' },
+    autoLocation: { type: 'boolean', description: 'Fill city, region and country from the coordinates (offline gazetteer, nearest city within 25 km)' },
+    locationLanguage: { type: 'string', example: 'fr', description: 'Language of the country name written by autoLocation' },
+    plusCode: {
+        anyOf: [{ type: 'boolean' }, { type: 'integer', enum: [8, 10, 11, 12, 13, 14, 15] }],
+        description: 'Write the Plus Code of the coordinates to XMP: true for 10 digits, or a code length'
+    },
+    cameraTimezone: { type: 'string', example: 'Africa/Casablanca', description: 'Timezone of the camera clock (GPX geotagging)' },
+    clockOffset: { ...seconds, description: 'Seconds the camera clock is ahead of GPS time (GPX geotagging)' },
+    maxGap: {
+        anyOf: [{ type: 'number', exclusiveMinimum: 0 }, seconds.anyOf[1]],
+        description: 'Largest gap between two track points to interpolate across, in seconds (GPX geotagging)'
+    }
+};
+
+const imageSourceProperties = {
+    imageUrl: { ...httpUrl, description: 'Downloaded by the server' },
+    imageData: { type: 'string', description: 'Base64 image, optionally as a data URL (an http(s) URL is downloaded)' }
+};
+
+// Schemas of the requests and responses; the *Request and *Params schemas are enforced at runtime
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['code', 'message', 'details', 'requestId'],
+        properties: {
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            message: { type: 'string' },
+            details: { type: 'object', description: 'Machine-readable context; validation errors list every problem in details.errors' },
+            requestId: { type: 'string', description: 'Also sent in the X-Request-Id header' }
+        }
+    },
+    CreatorContactInfo: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            address: { type: 'string' },
+            city: { type: 'string' },
+            region: { type: 'string' },
+            postalCode: { type: 'string' },
+            country: { type: 'string' },
+            phone: { type: 'string' },
+            email: { type: 'string', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$', example: 'jane@example.com' },
+            url: httpUrl
+        }
+    },
+    ScrubOptions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            preset: { anyOf: [{ type: 'string', enum: scrubPresetNames }, { type: 'array', items: { type: 'string', enum: scrubPresetNames } }] },
+            allow: { type: 'array', items: { type: 'string' }, description: 'Groups (EXIF, GPS, IPTC, XMP...), GROUP:Tag or tag names to keep' },
+            deny: { type: 'array', items: { type: 'string' }, description: 'Groups, GROUP:Tag or tag names to remove' }
+        }
+    },
+    MetadataFields: {
+        type: 'object',
+        additionalProperties: false,
+        properties: metadataProperties
+    },
+    PresetFields: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { ...metadataProperties, plusCode: editOptionProperties.plusCode }
+    },
+    EditExifRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...imageSourceProperties,
+            ...metadataProperties,
+            ...editOptionProperties,
+            gpx: { type: 'string', description: 'GPX track log: geotags the image from its capture time' }
+        }
+    },
+    BatchFileFields: {
+        type: 'object',
+        description: 'Fields of one image in /api/edit-exif-batch: the request options, the defaults row and the file\'s row merged',
+        additionalProperties: false,
+        properties: {
+            ...metadataProperties,
+            ...editOptionProperties
+        }
+    },
+    EditExifBatchRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            archiveUrl: { ...httpUrl, description: 'ZIP archive downloaded by the server' },
+            archiveData: { type: 'string', description: 'Base64 ZIP archive' },
+            manifest: {
+                anyOf: [{ type: 'string', description: 'CSV or JSON text' }, { type: 'array', items: { type: 'object' } }, { type: 'object' }],
+                description: 'Rows with a filename column and the edit-exif fields of each image'
+            },
+            gpx: { type: 'string', description: 'GPX track log for the whole batch' },
+            cameraTimezone: editOptionProperties.cameraTimezone,
+            clockOffset: editOptionProperties.clockOffset,
+            maxGap: editOptionProperties.maxGap
+        }
+    },
+    ReadMetadataRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: imageSourceProperties
+    },
+    CropOptions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            top: { type: 'integer', minimum: 0 },
+            bottom: { type: 'integer', minimum: 0 },
+            left: { type: 'integer', minimum: 0 },
+            right: { type: 'integer', minimum: 0 }
+        }
+    },
+    CropImageRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...imageSourceProperties,
+            cropOptions: { $ref: '#/components/schemas/CropOptions', description: 'Pixels to remove from each edge (JSON text in multipart and query fields)' },
+            top: { type: 'integer', minimum: 0, description: 'Flat form of cropOptions.top' },
+            bottom: { type: 'integer', minimum: 0 },
+            left: { type: 'integer', minimum: 0 },
+            right: { type: 'integer', minimum: 0 }
+        }
+    },
+    AddWatermarkRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...imageSourceProperties,
+            logoUrl: { ...httpUrl, description: 'Logo downloaded by the server' },
+            logoData: { type: 'string', description: 'Base64 logo, optionally as a data URL (an http(s) URL is downloaded)' },
+            position: { type: 'string', enum: ['top-right', 'top-left', 'bottom-right', 'bottom-left'], default: 'top-right' },
+            size: { type: 'number', minimum: 5, maximum: 50, default: 15, description: 'Logo width in percent of the image width' },
+            offsetX: { type: 'integer', default: 0, description: 'Pixels added to the logo position, which stays inside the image' },
+            offsetY: { type: 'integer', default: 0 }
+        }
+    },
+    PresetRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 64 },
+            fields: { $ref: '#/components/schemas/PresetFields' }
+        }
+    },
+    PresetParams: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 64 }
+        }
+    },
+    ReverseGeocodeParams: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            latitude: latitude,
+            lat: latitude,
+            longitude: longitude,
+            lon: longitude,
+            lng: longitude,
+            language: { type: 'string', example: 'fr', description: 'Language of the country name' },
+            lang: { type: 'string', example: 'fr' },
+            maxDistance: { type: 'number', exclusiveMinimum: 0, default: 100, description: 'Search radius in km' }
+        }
+    },
+    ParseCoordinatesParams: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            location: { type: 'string', example: 'https://www.google.com/maps/@30.4008,-9.5776,15z' },
+            q: { type: 'string' }
+        }
+    },
+    PlusCodeToCoordsParams: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            pluscode: { type: 'string', example: 'CC2C+8X Agadir' },
+            near: { type: 'string', pattern: '^\\s*-?\\d+(\\.\\d+)?\\s*[,; ]\\s*-?\\d+(\\.\\d+)?\\s*$', example: '30.42,-9.6' }
+        }
+    },
+    CoordsToPlusCodeParams: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            latitude: latitude,
+            lat: latitude,
+            longitude: longitude,
+            lon: longitude,
+            lng: longitude,
+            codeLength: { type: 'integer', enum: [2, 4, 6, 8, 10, 11, 12, 13, 14, 15], default: 10 },
+            near: { type: 'string', pattern: '^\\s*-?\\d+(\\.\\d+)?\\s*[,;]\\s*-?\\d+(\\.\\d+)?\\s*$', example: '30.42,-9.6' },
+            language: { type: 'string', example: 'fr' },
+            lang: { type: 'string', example: 'fr' }
+        }
+    },
+    Preset: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            fields: { $ref: '#/components/schemas/PresetFields' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    Location: {
+        type: 'object',
+        properties: {
+            latitude: { type: 'number' },
+            longitude: { type: 'number' },
+            formatted: { type: 'string' },
+            plusCode: { type: 'string' },
+            provider: { type: 'string' },
+            cached: { type: 'boolean' }
+        }
+    }
+};
+
+// Errors every endpoint can return: validation, access control and unexpected failures
+const COMMON_ERRORS = ['INVALID_REQUEST', 'METHOD_NOT_ALLOWED', 'API_KEY_REQUIRED', 'INVALID_API_KEY', 'ENDPOINT_NOT_ALLOWED', 'RATE_LIMITED', 'INTERNAL_ERROR', 'CONFIGURATION_ERROR'];
+// Errors of the endpoints that load an image (upload, base64 or URL)
+const IMAGE_ERRORS = ['PAYLOAD_TOO_LARGE', 'UNSUPPORTED_FORMAT', 'INVALID_URL', 'URL_NOT_ALLOWED', 'FETCH_FAILED', 'FETCH_TIMEOUT'];
+
+/**
+ * Error responses grouped by HTTP status, each listing its codes
+ * @param {Array<string>} codes - Codes from ERROR_CODES besides the common ones
+ */
+function errorResponses(codes) {
+    const responses = {};
+    for (const code of [...new Set([...codes, ...COMMON_ERRORS])]) {
+        const status = String(ERROR_CODES[code].status);
+        if (!responses[status]) {
+            responses[status] = { description: '', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+        }
+        responses[status].description += `${responses[status].description ? '; ' : ''}${code}: ${ERROR_CODES[code].description}`;
+    }
+    return responses;
+}
+
+function jsonBody(schemaName) {
+    return { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } } };
+}
+
+/**
+ * Body of the image endpoints: JSON, multipart/form-data or the raw image with the fields in the query string
+ * @param {string} schemaName - Schema of the fields
+ * @param {Array<string>} fileParts - Multipart file parts ("image", "logo"...)
+ */
+function imageBody(schemaName, fileParts) {
+    const parts = {};
+    fileParts.forEach(name => { parts[name] = { type: 'string', format: 'binary' }; });
+    return {
+        required: true,
+        content: {
+            'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } },
+            'multipart/form-data': {
+                schema: {
+                    type: 'object',
+                    description: `File parts, plus the ${schemaName} fields as text parts and/or a JSON "metadata" part`,
+                    properties: { ...parts, metadata: { type: 'string', description: `${schemaName} as JSON` } }
+                }
+            },
+            'application/octet-stream': {
+                schema: { type: 'string', format: 'binary', description: `The ${fileParts[0]} itself (image/* types too); fields come from the query string` }
+            }
+        }
+    };
+}
+
+/**
+ * Query parameters of a GET endpoint, from the properties of its params schema
+ */
+function queryParameters(schemaName) {
+    return Object.entries(schemas[schemaName].properties).map(([name, schema]) => ({
+        name: name,
+        in: 'query',
+        required: false,
+        schema: schema
+    }));
+}
+
+function binaryResponse(description, mime, headers) {
+    const response = { description: description, content: { [mime]: { schema: { type: 'string', format: 'binary' } } } };
+    if (headers) {
+        response.headers = {};
+        headers.forEach(name => { response.headers[name] = { schema: { type: 'string' } }; });
+    }
+    return response;
+}
+
+function jsonResponse(description, schema) {
+    return { description: description, content: { 'application/json': { schema: schema } } };
+}
+
+const paths = {
+    '/api/edit-exif': {
+        post: {
+            summary: 'Write metadata (EXIF, IPTC, XMP) to an image',
+            operationId: 'editExif',
+            requestBody: imageBody('EditExifRequest', ['image', 'gpx']),
+            responses: {
+                200: {
+                    ...binaryResponse('The edited image, in its format or the requested outputFormat', 'image/*',
+                        ['X-Metadata-Applied', 'X-Metadata-Ignored', 'X-Metadata-Removed', 'X-Geotag-Status', 'X-Plus-Code']),
+                    content: {
+                        'image/*': { schema: { type: 'string', format: 'binary' } },
+                        'application/json': { schema: { type: 'object', description: 'Dry run report: applied, ignored, removed, changes and conflicts' } }
+                    }
+                },
+                ...errorResponses(['INVALID_METADATA', 'INVALID_COORDINATES', 'INVALID_GEOTAG', 'PRESET_NOT_FOUND', 'IMAGE_TOO_LARGE', 'CONVERSION_FAILED', 'EXIFTOOL_FAILED', ...IMAGE_ERRORS])
+            }
+        }
+    },
+    '/api/edit-exif-batch': {
+        post: {
+            summary: 'Edit the metadata of every image of a ZIP archive from a CSV or JSON manifest',
+            operationId: 'editExifBatch',
+            requestBody: imageBody('EditExifBatchRequest', ['archive', 'manifest', 'gpx']),
+            responses: {
+                200: binaryResponse('ZIP with the edited images and batch-report.json', 'application/zip', ['X-Batch-Succeeded', 'X-Batch-Failed', 'X-Batch-Skipped']),
+                ...errorResponses(['INVALID_ARCHIVE', 'INVALID_MANIFEST', 'INVALID_GEOTAG', 'BATCH_FAILED', ...IMAGE_ERRORS])
+            }
+        }
+    },
+    '/api/read-metadata': {
+        post: {
+            summary: 'Read EXIF, IPTC and XMP metadata as JSON',
+            operationId: 'readMetadata',
+            requestBody: imageBody('ReadMetadataRequest', ['image']),
+            responses: {
+                200: jsonResponse('Normalized and raw metadata', {
+                    type: 'object',
+                    properties: { size: { type: 'integer' }, metadata: { type: 'object' }, raw: { type: 'object' } }
+                }),
+                ...errorResponses(['EXIFTOOL_FAILED', ...IMAGE_ERRORS])
+            }
+        }
+    },
+    '/api/crop-image': {
+        post: {
+            summary: 'Crop pixels from the edges of an image',
+            operationId: 'cropImage',
+            requestBody: imageBody('CropImageRequest', ['image']),
+            responses: {
+                200: binaryResponse('The cropped image', 'image/jpeg'),
+                ...errorResponses(['INVALID_CROP', 'IMAGE_TOO_LARGE', ...IMAGE_ERRORS])
+            }
+        }
+    },
+    '/api/add-watermark': {
+        post: {
+            summary: 'Add a logo to a corner of an image',
+            operationId: 'addWatermark',
+            requestBody: imageBody('AddWatermarkRequest', ['image', 'logo']),
+            responses: {
+                200: binaryResponse('The watermarked image', 'image/jpeg'),
+                ...errorResponses(['IMAGE_TOO_LARGE', ...IMAGE_ERRORS])
+            }
+        }
+    },
+    '/api/presets': {
+        get: {
+            summary: 'List the presets, or get one with ?name=',
+            operationId: 'getPresets',
+            parameters: queryParameters('PresetParams'),
+            responses: {
+                200: jsonResponse('The preset list ({presets: [...]}) or one preset', {
+                    anyOf: [
+                        { type: 'object', properties: { presets: { type: 'array', items: { $ref: '#/components/schemas/Preset' } } } },
+                        { $ref: '#/components/schemas/Preset' }
+                    ]
+                }),
+                ...errorResponses(['PRESET_NOT_FOUND'])
+            }
+        },
+        post: {
+            summary: 'Create a preset',
+            operationId: 'createPreset',
+            requestBody: jsonBody('PresetRequest'),
+            responses: {
+                201: jsonResponse('The new preset', { $ref: '#/components/schemas/Preset' }),
+                ...errorResponses(['INVALID_PRESET', 'PRESET_EXISTS'])
+            }
+        },
+        put: {
+            summary: 'Replace the fields of a preset',
+            operationId: 'updatePreset',
+            requestBody: jsonBody('PresetRequest'),
+            responses: {
+                200: jsonResponse('The updated preset', { $ref: '#/components/schemas/Preset' }),
+                ...errorResponses(['INVALID_PRESET', 'PRESET_NOT_FOUND'])
+            }
+        },
+        delete: {
+            summary: 'Delete a preset',
+            operationId: 'deletePreset',
+            parameters: queryParameters('PresetParams'),
+            responses: {
+                200: jsonResponse('The deleted name', { type: 'object', properties: { deleted: { type: 'string' } } }),
+                ...errorResponses(['INVALID_PRESET', 'PRESET_NOT_FOUND'])
+            }
+        }
+    },
+    '/api/reverse-geocode': {
+        get: {
+            summary: 'Nearest city, region and country of a position (offline)',
+            operationId: 'reverseGeocode',
+            parameters: queryParameters('ReverseGeocodeParams'),
+            responses: {
+                200: jsonResponse('The nearest known city', { type: 'object' }),
+                ...errorResponses(['INVALID_COORDINATES', 'LOCATION_NOT_FOUND'])
+            }
+        },
+        post: {
+            summary: 'Same as GET, with the parameters in a JSON body',
+            operationId: 'reverseGeocodePost',
+            requestBody: jsonBody('ReverseGeocodeParams'),
+            responses: {
+                200: jsonResponse('The nearest known city', { type: 'object' }),
+                ...errorResponses(['INVALID_COORDINATES', 'LOCATION_NOT_FOUND'])
+            }
+        }
+    },
+    '/api/parse-coordinates': {
+        get: {
+            summary: 'Read a position pasted in any common format',
+            operationId: 'parseCoordinates',
+            parameters: queryParameters('ParseCoordinatesParams'),
+            responses: {
+                200: jsonResponse('Decimal latitude and longitude', { type: 'object' }),
+                ...errorResponses(['INVALID_COORDINATES'])
+            }
+        },
+        post: {
+            summary: 'Same as GET, with the parameters in a JSON body',
+            operationId: 'parseCoordinatesPost',
+            requestBody: jsonBody('ParseCoordinatesParams'),
+            responses: {
+                200: jsonResponse('Decimal latitude and longitude', { type: 'object' }),
+                ...errorResponses(['INVALID_COORDINATES'])
+            }
+        }
+    },
+    '/api/pluscode-to-coords': {
+        get: {
+            summary: 'Decode a full or short Plus Code',
+            operationId: 'plusCodeToCoords',
+            parameters: queryParameters('PlusCodeToCoordsParams'),
+            responses: {
+                200: jsonResponse('The decoded position', { $ref: '#/components/schemas/Location' }),
+                ...errorResponses(['INVALID_PLUS_CODE', 'INVALID_COORDINATES', 'LOCATION_NOT_FOUND', 'GEOCODER_UNAVAILABLE'])
+            }
+        },
+        post: {
+            summary: 'Same as GET, with the parameters in a JSON body',
+            operationId: 'plusCodeToCoordsPost',
+            requestBody: jsonBody('PlusCodeToCoordsParams'),
+            responses: {
+                200: jsonResponse('The decoded position', { $ref: '#/components/schemas/Location' }),
+                ...errorResponses(['INVALID_PLUS_CODE', 'INVALID_COORDINATES', 'LOCATION_NOT_FOUND', 'GEOCODER_UNAVAILABLE'])
+            }
+        }
+    },
+    '/api/coords-to-pluscode': {
+        get: {
+            summary: 'Plus Code of a position, with a short code relative to the nearest city',
+            operationId: 'coordsToPlusCode',
+            parameters: queryParameters('CoordsToPlusCodeParams'),
+            responses: {
+                200: jsonResponse('The full and short codes', { type: 'object' }),
+                ...errorResponses(['INVALID_COORDINATES', 'INVALID_PLUS_CODE'])
+            }
+        },
+        post: {
+            summary: 'Same as GET, with the parameters in a JSON body',
+            operationId: 'coordsToPlusCodePost',
+            requestBody: jsonBody('CoordsToPlusCodeParams'),
+            responses: {
+                200: jsonResponse('The full and short codes', { type: 'object' }),
+                ...errorResponses(['INVALID_COORDINATES', 'INVALID_PLUS_CODE'])
+            }
+        }
+    },
+    '/api/openapi.json': {
+        get: {
+            summary: 'This description',
+            operationId: 'getOpenApi',
+            security: [],
+            responses: {
+                200: jsonResponse('OpenAPI 3.1 document', { type: 'object' })
+            }
+        }
+    }
+};
+
+const spec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'EXIF Editor API',
+        version: version,
+        description: 'Edit, read and scrub image metadata, crop and watermark images, and convert between coordinates and Plus Codes. ' +
+            'Requests are validated against the schemas below: unknown fields, wrong types and out-of-range values return INVALID_REQUEST ' +
+            'with every problem in details.errors. JSON values must have the schema types exactly ("20" is not a number). ' +
+            'Multipart, form, query string and CSV values are text and are converted to numbers, booleans and JSON objects where a schema expects them.'
+    },
+    servers: [{ url: '/' }],
+    // API keys are optional (API_KEYS); without them the API is open
+    security: [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }, { ApiKeyQuery: [] }],
+    paths: paths,
+    components: {
+        schemas: schemas,
+        securitySchemes: {
+            ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            BearerAuth: { type: 'http', scheme: 'bearer' },
+            ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' }
+        }
+    }
+};
+
+module.exports = {
+    spec
+};
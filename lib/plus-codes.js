@@ -0,0 +1,295 @@
+// Open Location Code (Plus Code) encoding and decoding
+// Plus codes are computed from the coordinates alone, so no geocoding service is needed
+// Follows the reference implementation: https://github.com/google/open-location-code
+
+const CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const ENCODING_BASE = CODE_ALPHABET.length;
+const SEPARATOR = '+';
+const SEPARATOR_POSITION = 8;
+const PADDING_CHARACTER = '0';
+const LATITUDE_MAX = 90;
+const LONGITUDE_MAX = 180;
+const MIN_DIGIT_COUNT = 2;
+const MAX_DIGIT_COUNT = 15;
+// The first 10 digits are pairs of latitude/longitude digits, the next ones a 5 x 4 grid refinement
+const PAIR_CODE_LENGTH = 10;
+const PAIR_FIRST_PLACE_VALUE = ENCODING_BASE ** (PAIR_CODE_LENGTH / 2 - 1);
+const PAIR_PRECISION = ENCODING_BASE ** 3;
+const GRID_CODE_LENGTH = MAX_DIGIT_COUNT - PAIR_CODE_LENGTH;
+const GRID_COLUMNS = 4;
+const GRID_ROWS = 5;
+const GRID_LAT_FIRST_PLACE_VALUE = GRID_ROWS ** (GRID_CODE_LENGTH - 1);
+const GRID_LNG_FIRST_PLACE_VALUE = GRID_COLUMNS ** (GRID_CODE_LENGTH - 1);
+const FINAL_LAT_PRECISION = PAIR_PRECISION * GRID_ROWS ** GRID_CODE_LENGTH;
+const FINAL_LNG_PRECISION = PAIR_PRECISION * GRID_COLUMNS ** GRID_CODE_LENGTH;
+
+// Degrees covered by the first two digit pairs, the part a short code leaves out ("8C2G" of "8C2GCC2C+8X")
+const SHORT_CODE_RESOLUTION = 1.0;
+// Only codes of at least 6 digits can be shortened
+const MIN_TRIMMABLE_CODE_LENGTH = 6;
+
+// Meters per degree of latitude (used for the size of a code area)
+const METERS_PER_DEGREE = 111320;
+
+class PlusCodeError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'INVALID_PLUS_CODE') {
+        super(message);
+        this.name = 'PlusCodeError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Check a full or short code ("8C9FCC2C+8X", "CC2C+8X", "8C9F0000+")
+ */
+function isValid(code) {
+    if (typeof code !== 'string' || code.length < 2) return false;
+    code = code.toUpperCase();
+    const separator = code.indexOf(SEPARATOR);
+    // Exactly one separator, at an even position up to 8
+    if (separator === -1 || separator !== code.lastIndexOf(SEPARATOR)) return false;
+    if (separator > SEPARATOR_POSITION || separator % 2 === 1) return false;
+
+    if (code.includes(PADDING_CHARACTER)) {
+        // Padding is only allowed in full codes, as one even group right before the separator
+        if (separator < SEPARATOR_POSITION || code.indexOf(PADDING_CHARACTER) === 0) return false;
+        const padding = code.match(/0+/g);
+        if (padding.length > 1 || padding[0].length % 2 === 1 || padding[0].length > SEPARATOR_POSITION - 2) return false;
+        if (!code.endsWith(SEPARATOR)) return false;
+    }
+    // A single character after the separator is not a valid refinement
+    if (code.length - separator - 1 === 1) return false;
+
+    const digits = code.replace(SEPARATOR, '').replace(/0+/, '');
+    return [...digits].every(ch => CODE_ALPHABET.includes(ch));
+}
+
+/**
+ * Short codes have leading digits removed and need a reference location ("CC2C+8X")
+ */
+function isShort(code) {
+    return isValid(code) && code.indexOf(SEPARATOR) < SEPARATOR_POSITION;
+}
+
+/**
+ * Full codes locate an area on their own ("8C9FCC2C+8X")
+ */
+function isFull(code) {
+    if (!isValid(code) || isShort(code)) return false;
+    code = code.toUpperCase();
+    // The first two digits must stay within 90 degrees of latitude and 180 of longitude
+    if (CODE_ALPHABET.indexOf(code[0]) * ENCODING_BASE >= LATITUDE_MAX * 2) return false;
+    if (code.length > 1 && CODE_ALPHABET.indexOf(code[1]) * ENCODING_BASE >= LONGITUDE_MAX * 2) return false;
+    return true;
+}
+
+/**
+ * Encode a position
+ * @param {number} latitude - Decimal degrees (clipped to -90..90)
+ * @param {number} longitude - Decimal degrees (wrapped to -180..180)
+ * @param {number} [codeLength=10] - Number of digits: 2, 4, 6, 8, then 10 to 15 (10 is about 14 x 14 m)
+ * @returns {string} Full code, e.g. "8C9FCC2C+8X"
+ * @throws {PlusCodeError} If the position or the code length is invalid
+ */
+function encode(latitude, longitude, codeLength = PAIR_CODE_LENGTH) {
+    latitude = Number(latitude);
+    longitude = Number(longitude);
+    codeLength = Number(codeLength);
+    if (!isFinite(latitude) || !isFinite(longitude)) {
+        throw new PlusCodeError('Latitude and longitude must be numbers');
+    }
+    if (!Number.isInteger(codeLength) || codeLength < MIN_DIGIT_COUNT || codeLength > MAX_DIGIT_COUNT ||
+        (codeLength < PAIR_CODE_LENGTH && codeLength % 2 === 1)) {
+        throw new PlusCodeError(`Invalid code length ${codeLength}. Use 2, 4, 6, 8 or 10 to ${MAX_DIGIT_COUNT}`);
+    }
+
+    // Work on integers so rounding never moves a position into the next cell
+    let latValue = Math.floor(Math.round(latitude * FINAL_LAT_PRECISION * 1e6) / 1e6) + LATITUDE_MAX * FINAL_LAT_PRECISION;
+    if (latValue < 0) {
+        latValue = 0;
+    } else if (latValue >= 2 * LATITUDE_MAX * FINAL_LAT_PRECISION) {
+        latValue = 2 * LATITUDE_MAX * FINAL_LAT_PRECISION - 1;
+    }
+    const lngRange = 2 * LONGITUDE_MAX * FINAL_LNG_PRECISION;
+    let lngValue = Math.floor(Math.round(longitude * FINAL_LNG_PRECISION * 1e6) / 1e6) + LONGITUDE_MAX * FINAL_LNG_PRECISION;
+    lngValue = ((lngValue % lngRange) + lngRange) % lngRange;
+
+    let code = '';
+    if (codeLength > PAIR_CODE_LENGTH) {
+        for (let i = 0; i < GRID_CODE_LENGTH; i++) {
+            code = CODE_ALPHABET[(latValue % GRID_ROWS) * GRID_COLUMNS + (lngValue % GRID_COLUMNS)] + code;
+            latValue = Math.floor(latValue / GRID_ROWS);
+            lngValue = Math.floor(lngValue / GRID_COLUMNS);
+        }
+    } else {
+        latValue = Math.floor(latValue / GRID_ROWS ** GRID_CODE_LENGTH);
+        lngValue = Math.floor(lngValue / GRID_COLUMNS ** GRID_CODE_LENGTH);
+    }
+    for (let i = 0; i < PAIR_CODE_LENGTH / 2; i++) {
+        code = CODE_ALPHABET[latValue % ENCODING_BASE] + CODE_ALPHABET[lngValue % ENCODING_BASE] + code;
+        latValue = Math.floor(latValue / ENCODING_BASE);
+        lngValue = Math.floor(lngValue / ENCODING_BASE);
+    }
+
+    code = code.slice(0, SEPARATOR_POSITION) + SEPARATOR + code.slice(SEPARATOR_POSITION);
+    if (codeLength >= SEPARATOR_POSITION) {
+        return code.slice(0, codeLength + 1);
+    }
+    return code.slice(0, codeLength) + PADDING_CHARACTER.repeat(SEPARATOR_POSITION - codeLength) + SEPARATOR;
+}
+
+/**
+ * Decode a full code into its area
+ * @returns {{south: number, west: number, north: number, east: number, latitude: number, longitude: number, codeLength: number}}
+ *   latitude/longitude are the center of the area
+ * @throws {PlusCodeError} If the code is not a valid full code
+ */
+function decode(code) {
+    if (!isFull(code)) {
+        throw new PlusCodeError(`"${code}" is not a valid full Plus Code`);
+    }
+    const digits = code.toUpperCase().replace(SEPARATOR, '').replace(/0+/, '').slice(0, MAX_DIGIT_COUNT);
+
+    let normalLat = -LATITUDE_MAX * PAIR_PRECISION;
+    let normalLng = -LONGITUDE_MAX * PAIR_PRECISION;
+    let placeValue = PAIR_FIRST_PLACE_VALUE;
+    const pairDigits = Math.min(digits.length, PAIR_CODE_LENGTH);
+    for (let i = 0; i < pairDigits; i += 2) {
+        normalLat += CODE_ALPHABET.indexOf(digits[i]) * placeValue;
+        normalLng += CODE_ALPHABET.indexOf(digits[i + 1]) * placeValue;
+        if (i < pairDigits - 2) placeValue /= ENCODING_BASE;
+    }
+    let latPrecision = placeValue / PAIR_PRECISION;
+    let lngPrecision = placeValue / PAIR_PRECISION;
+
+    let gridLat = 0;
+    let gridLng = 0;
+    if (digits.length > PAIR_CODE_LENGTH) {
+        let rowValue = GRID_LAT_FIRST_PLACE_VALUE;
+        let columnValue = GRID_LNG_FIRST_PLACE_VALUE;
+        for (let i = PAIR_CODE_LENGTH; i < digits.length; i++) {
+            const value = CODE_ALPHABET.indexOf(digits[i]);
+            gridLat += Math.floor(value / GRID_COLUMNS) * rowValue;
+            gridLng += (value % GRID_COLUMNS) * columnValue;
+            if (i < digits.length - 1) {
+                rowValue /= GRID_ROWS;
+                columnValue /= GRID_COLUMNS;
+            }
+        }
+        latPrecision = rowValue / FINAL_LAT_PRECISION;
+        lngPrecision = columnValue / FINAL_LNG_PRECISION;
+    }
+
+    const south = normalLat / PAIR_PRECISION + gridLat / FINAL_LAT_PRECISION;
+    const west = normalLng / PAIR_PRECISION + gridLng / FINAL_LNG_PRECISION;
+    const north = south + latPrecision;
+    const east = west + lngPrecision;
+    return {
+        south,
+        west,
+        north,
+        east,
+        latitude: Math.min(south + latPrecision / 2, LATITUDE_MAX),
+        longitude: Math.min(west + lngPrecision / 2, LONGITUDE_MAX),
+        codeLength: digits.length
+    };
+}
+
+/**
+ * Recover the full code of a short code from a reference location
+ * The nearest matching area to the reference wins (the reference must be within about half the dropped area)
+ * @returns {string} Full code
+ * @throws {PlusCodeError} If the code is invalid or the reference is not a position
+ */
+function recoverNearest(shortCode, referenceLatitude, referenceLongitude) {
+    if (!isShort(shortCode)) {
+        if (isFull(shortCode)) return shortCode.toUpperCase();
+        throw new PlusCodeError(`"${shortCode}" is not a valid Plus Code`);
+    }
+    let refLat = Number(referenceLatitude);
+    let refLng = Number(referenceLongitude);
+    if (!isFinite(refLat) || !isFinite(refLng)) {
+        throw new PlusCodeError('The reference location must be a latitude and a longitude');
+    }
+    refLat = Math.min(Math.max(refLat, -LATITUDE_MAX), LATITUDE_MAX);
+    refLng = ((refLng + LONGITUDE_MAX) % 360 + 360) % 360 - LONGITUDE_MAX;
+
+    const code = shortCode.toUpperCase();
+    const paddingLength = SEPARATOR_POSITION - code.indexOf(SEPARATOR);
+    // Size in degrees of the area the missing digits cover
+    const resolution = ENCODING_BASE ** (2 - paddingLength / 2);
+    const halfResolution = resolution / 2;
+
+    const area = decode(encode(refLat, refLng).slice(0, paddingLength) + code);
+    let latitude = area.latitude;
+    let longitude = area.longitude;
+    // The reference cell may not be the nearest one: move by one cell if the center is too far
+    if (refLat + halfResolution < latitude && latitude - resolution >= -LATITUDE_MAX) {
+        latitude -= resolution;
+    } else if (refLat - halfResolution > latitude && latitude + resolution <= LATITUDE_MAX) {
+        latitude += resolution;
+    }
+    if (refLng + halfResolution < longitude) {
+        longitude -= resolution;
+    } else if (refLng - halfResolution > longitude) {
+        longitude += resolution;
+    }
+    return encode(latitude, longitude, area.codeLength);
+}
+
+/**
+ * Shorten a full code relative to a reference location, e.g. a nearby city ("8C2GCC2C+8X" near Agadir -> "CC2C+8X")
+ * Like Google Maps, only the first four digits are removed, so the short code stays usable across a whole city
+ * @returns {string} Short code, or the full code if the reference is too far
+ * @throws {PlusCodeError} If the code is not a full code or cannot be shortened (padded or too short)
+ */
+function shorten(code, referenceLatitude, referenceLongitude) {
+    if (!isFull(code)) {
+        throw new PlusCodeError(`"${code}" is not a valid full Plus Code`);
+    }
+    if (code.includes(PADDING_CHARACTER)) {
+        throw new PlusCodeError('Padded Plus Codes cannot be shortened');
+    }
+    const area = decode(code);
+    if (area.codeLength < MIN_TRIMMABLE_CODE_LENGTH) {
+        throw new PlusCodeError(`Plus Codes shorter than ${MIN_TRIMMABLE_CODE_LENGTH} digits cannot be shortened`);
+    }
+    const refLat = Math.min(Math.max(Number(referenceLatitude), -LATITUDE_MAX), LATITUDE_MAX);
+    const refLng = ((Number(referenceLongitude) + LONGITUDE_MAX) % 360 + 360) % 360 - LONGITUDE_MAX;
+    const range = Math.max(Math.abs(area.latitude - refLat), Math.abs(area.longitude - refLng));
+    // A safety margin (0.3 of the dropped area) keeps the recovery unambiguous
+    if (range < SHORT_CODE_RESOLUTION * 0.3) {
+        return code.toUpperCase().slice(4);
+    }
+    return code.toUpperCase();
+}
+
+/**
+ * Approximate size of a code area in meters (width shrinks towards the poles)
+ * @returns {{heightMeters: number, widthMeters: number}}
+ */
+function areaSize(area) {
+    const latitude = (area.south + area.north) / 2;
+    return {
+        heightMeters: Math.round((area.north - area.south) * METERS_PER_DEGREE * 10) / 10,
+        widthMeters: Math.round((area.east - area.west) * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180) * 10) / 10
+    };
+}
+
+module.exports = {
+    PlusCodeError,
+    isValid,
+    isShort,
+    isFull,
+    encode,
+    decode,
+    recoverNearest,
+    shorten,
+    areaSize
+};
@@ -0,0 +1,142 @@
+// Named metadata presets stored in a JSON file
+// A preset holds edit-exif fields (business name, city, coordinates, copyright...) that are reused for many photos
+
+const path = require('path');
+const { PRESET_FIELDS } = require('./exif-editor');
+const { JsonFileStore } = require('./json-file-store');
+
+// PRESETS_FILE overrides the location (the project directory is read-only on Vercel, use a mounted volume or /tmp)
+const DEFAULT_PRESETS_FILE = path.join(__dirname, '..', 'data', 'presets.json');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,63}$/;
+
+class PresetError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'INVALID_PRESET') {
+        super(message);
+        this.name = 'PresetError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function getPresetsFile() {
+    return process.env.PRESETS_FILE || DEFAULT_PRESETS_FILE;
+}
+
+// Presets by key: {name, fields, createdAt, updatedAt}
+const store = new JsonFileStore(getPresetsFile, 'presets');
+
+function validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim())) {
+        throw new PresetError('Preset name must be 1-64 characters: letters, digits, spaces, "_", "-" and "." (starting with a letter or digit)');
+    }
+    return name.trim();
+}
+
+/**
+ * Check preset fields: only edit-exif metadata fields (not exifData, scrub...), empty values dropped
+ * @returns {Object} Cleaned fields
+ */
+function validateFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new PresetError('Preset fields must be an object');
+    }
+    const unknown = Object.keys(fields).filter(key => !PRESET_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new PresetError(`Unknown preset fields: ${unknown.join(', ')}. Allowed: ${PRESET_FIELDS.join(', ')}`);
+    }
+    const cleaned = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) continue;
+        if (typeof value === 'string' && value.trim() === '') continue;
+        if (Array.isArray(value) && value.length === 0) continue;
+        cleaned[key] = value;
+    }
+    if (Object.keys(cleaned).length === 0) {
+        throw new PresetError('A preset needs at least one field');
+    }
+    return cleaned;
+}
+
+/**
+ * List all presets sorted by name
+ * @returns {Promise<Array<{name: string, fields: Object, createdAt: string, updatedAt: string}>>}
+ */
+async function listPresets() {
+    const presets = await store.read();
+    return Object.values(presets).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one preset
+ * @throws {PresetError} 404 if it does not exist
+ */
+async function getPreset(name) {
+    const presets = await store.read();
+    const key = validateName(name);
+    if (!Object.hasOwn(presets, key)) {
+        throw new PresetError(`Preset "${key}" not found`, 404, 'PRESET_NOT_FOUND');
+    }
+    return presets[key];
+}
+
+/**
+ * Create a preset
+ * @throws {PresetError} 409 if the name is taken
+ */
+function createPreset(name, fields) {
+    const key = validateName(name);
+    const cleaned = validateFields(fields);
+    return store.update(presets => {
+        if (Object.hasOwn(presets, key)) {
+            throw new PresetError(`Preset "${key}" already exists`, 409, 'PRESET_EXISTS');
+        }
+        const now = new Date().toISOString();
+        presets[key] = { name: key, fields: cleaned, createdAt: now, updatedAt: now };
+        return presets[key];
+    });
+}
+
+/**
+ * Replace the fields of a preset
+ * @throws {PresetError} 404 if it does not exist
+ */
+function updatePreset(name, fields) {
+    const key = validateName(name);
+    const cleaned = validateFields(fields);
+    return store.update(presets => {
+        if (!Object.hasOwn(presets, key)) {
+            throw new PresetError(`Preset "${key}" not found`, 404, 'PRESET_NOT_FOUND');
+        }
+        presets[key] = { ...presets[key], fields: cleaned, updatedAt: new Date().toISOString() };
+        return presets[key];
+    });
+}
+
+/**
+ * Delete a preset
+ * @throws {PresetError} 404 if it does not exist
+ */
+function deletePreset(name) {
+    const key = validateName(name);
+    return store.update(presets => {
+        if (!Object.hasOwn(presets, key)) {
+            throw new PresetError(`Preset "${key}" not found`, 404, 'PRESET_NOT_FOUND');
+        }
+        delete presets[key];
+    });
+}
+
+module.exports = {
+    PresetError,
+    listPresets,
+    getPreset,
+    createPreset,
+    updatePreset,
+    deletePreset
+};
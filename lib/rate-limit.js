@@ -0,0 +1,44 @@
+// Fixed-window request counters for per-key rate limits
+// Counters are kept in memory, so each server instance counts its own requests
+
+// key -> {count, resetAt} (requests so far in the window, end of the window in ms)
+const windows = new Map();
+let lastSweep = Date.now();
+
+/**
+ * Drop ended windows, at most once a minute, so idle keys don't pile up
+ */
+function sweep(now) {
+    if (now - lastSweep < 60000) return;
+    lastSweep = now;
+    for (const [key, window] of windows) {
+        if (window.resetAt <= now) windows.delete(key);
+    }
+}
+
+/**
+ * Count a request and check it against a limit
+ * @param {string} key - Who is limited (API key name, client address...)
+ * @param {{requests: number, windowSeconds: number}} limit
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}}
+ */
+function consume(key, limit) {
+    const now = Date.now();
+    sweep(now);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + limit.windowSeconds * 1000 };
+        windows.set(key, window);
+    }
+    window.count++;
+    return {
+        allowed: window.count <= limit.requests,
+        limit: limit.requests,
+        remaining: Math.max(0, limit.requests - window.count),
+        resetAt: window.resetAt
+    };
+}
+
+module.exports = {
+    consume
+};
@@ -0,0 +1,259 @@
+// Request validation against the schemas of the OpenAPI description (lib/openapi.js)
+// Supports the JSON Schema keywords the description uses; unknown fields, wrong types and out-of-range values are refused
+// JSON values must have the schema types; text input (multipart fields, form bodies, query strings, CSV cells) is converted to them
+
+const { ApiError } = require('./api-errors');
+const { spec } = require('./openapi');
+
+// Credentials are read by lib/api-access.js and are not request fields
+const CREDENTIAL_KEYS = ['apiKey', 'api_key'];
+
+// Inputs that only carry text (see validateRequest)
+const TEXT_SOURCES = ['multipart', 'form', 'query', 'csv'];
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array'
+};
+
+/**
+ * JSON type of a value, "integer" included
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: return false;
+    }
+}
+
+/**
+ * Convert text to the expected type: multipart fields, query strings and CSV cells only carry strings
+ * @returns {*} The converted value, or undefined if the text does not hold one
+ */
+function coerceText(text, type) {
+    const str = text.trim();
+    if ((type === 'number' || type === 'integer') && /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(str)) {
+        return Number(str);
+    }
+    if (type === 'boolean' && (str === 'true' || str === 'false')) {
+        return str === 'true';
+    }
+    if ((type === 'object' && str.startsWith('{')) || (type === 'array' && str.startsWith('['))) {
+        try {
+            return JSON.parse(str);
+        } catch (e) {
+            return undefined;
+        }
+    }
+    return undefined;
+}
+
+function describeTypes(types) {
+    return types.map(type => TYPE_NAMES[type] || type).join(' or ');
+}
+
+function label(path) {
+    return path || 'The request body';
+}
+
+/**
+ * Validate a value and return it, with text converted to the schema types when coerce is set
+ * @param {Object} schema - JSON Schema
+ * @param {*} value
+ * @param {string} path - Field path used in messages ("cropOptions.top", "keywords[1]")
+ * @param {Array<{field: string, message: string}>} errors - Collects the problems found
+ * @param {Object} root - Document that $ref pointers resolve against
+ * @param {boolean} [coerce] - The value comes from text input (multipart, form, query string, CSV)
+ * @returns {*}
+ */
+function validateValue(schema, value, path, errors, root, coerce = false) {
+    if (schema.$ref) {
+        return validateValue(resolveRef(root, schema.$ref), value, path, errors, root, coerce);
+    }
+
+    if (schema.anyOf) {
+        return validateAnyOf(schema, value, path, errors, root, coerce);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            const converted = coerce && typeof value === 'string'
+                ? types.map(type => coerceText(value, type)).find((v, i) => v !== undefined && matchesType(v, types[i]))
+                : undefined;
+            if (converted === undefined) {
+                errors.push({ field: path, message: `${label(path)} must be ${describeTypes(types)}` });
+                return value;
+            }
+            value = converted;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: path, message: `${label(path)} must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: path, message: `${label(path)} must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: path, message: `${label(path)} must be at most ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ field: path, message: `${label(path)} must be greater than ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ field: path, message: `${label(path)} must be less than ${schema.exclusiveMaximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field: path, message: schema.minLength === 1 ? `${label(path)} must not be empty` : `${label(path)} must have at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: path, message: `${label(path)} must have at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: path, message: `${label(path)} has an invalid format` + (schema.example !== undefined ? ` (expected e.g. ${schema.example})` : '') });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field: path, message: `${label(path)} must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field: path, message: `${label(path)} must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors, root, coerce));
+        }
+    }
+
+    if (matchesType(value, 'object') && (schema.properties || schema.additionalProperties !== undefined || schema.required)) {
+        value = validateObject(schema, value, path, errors, root, coerce);
+    }
+
+    return value;
+}
+
+/**
+ * Validate the properties of an object
+ * With text input, an empty value for a non-text field counts as not provided, as an empty form field does
+ */
+function validateObject(schema, value, path, errors, root, coerce) {
+    const properties = schema.properties || {};
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        const field = path ? `${path}.${key}` : key;
+        const propertySchema = properties[key];
+        if (!propertySchema) {
+            if (schema.additionalProperties === false) {
+                if (!path && CREDENTIAL_KEYS.includes(key)) continue;
+                errors.push({ field: field, message: `${field} is not a known field` });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                result[key] = validateValue(schema.additionalProperties, item, field, errors, root, coerce);
+            } else {
+                result[key] = item;
+            }
+            continue;
+        }
+        if (coerce && item === '' && !acceptsText(propertySchema, root)) continue;
+        result[key] = validateValue(propertySchema, item, field, errors, root, coerce);
+    }
+    for (const key of schema.required || []) {
+        if (result[key] === undefined) {
+            const field = path ? `${path}.${key}` : key;
+            errors.push({ field: field, message: `${field} is required` });
+        }
+    }
+    return result;
+}
+
+/**
+ * Validate against the first matching alternative
+ * When none matches, the messages of the alternatives of the right JSON type are reported (the most precise ones)
+ */
+function validateAnyOf(schema, value, path, errors, root, coerce) {
+    const attempts = [];
+    for (const option of schema.anyOf) {
+        const optionErrors = [];
+        const result = validateValue(option, value, path, optionErrors, root, coerce);
+        if (optionErrors.length === 0) return result;
+        attempts.push({ option: resolveSchema(option, root), errors: optionErrors });
+    }
+    const sameType = attempts.filter(a => !a.option.type || [].concat(a.option.type).some(type => matchesType(value, type)));
+    if (sameType.length > 0) {
+        errors.push(...sameType[0].errors);
+    } else {
+        const types = [...new Set(attempts.flatMap(a => [].concat(a.option.type || [])))];
+        errors.push({ field: path, message: `${label(path)} must be ${describeTypes(types)}` });
+    }
+    return value;
+}
+
+function acceptsText(schema, root) {
+    const resolved = resolveSchema(schema, root);
+    if (resolved.anyOf) return resolved.anyOf.some(option => acceptsText(option, root));
+    return !resolved.type || [].concat(resolved.type).includes('string');
+}
+
+function resolveSchema(schema, root) {
+    return schema.$ref ? resolveSchema(resolveRef(root, schema.$ref), root) : schema;
+}
+
+/**
+ * Resolve a local pointer such as "#/components/schemas/CropOptions"
+ */
+function resolveRef(root, ref) {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    if (!target) {
+        throw new Error(`Unresolved schema reference ${ref}`);
+    }
+    return target;
+}
+
+/**
+ * Input source of a parsed request body: form bodies carry text as query strings do, anything else is JSON
+ * @returns {string} "form" or "json"
+ */
+function bodySource(req) {
+    const contentType = String((req.headers && req.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+    return contentType === 'application/x-www-form-urlencoded' ? 'form' : 'json';
+}
+
+/**
+ * Validate request fields against a schema of the OpenAPI description
+ * @param {string} schemaName - Name under components.schemas ("AddWatermarkRequest")
+ * @param {Object} fields - Parsed body or query parameters
+ * @param {string} [source='json'] - Where the fields come from: "json" values must have the schema types;
+ *   "multipart", "form", "query" and "csv" values are text, converted to numbers, booleans and objects where the schema expects them
+ * @returns {Object} The fields, converted when they come from text input
+ * @throws {ApiError} INVALID_REQUEST listing every problem in details.errors
+ */
+function validateRequest(schemaName, fields, source = 'json') {
+    const errors = [];
+    const coerce = TEXT_SOURCES.includes(source);
+    const value = validateValue({ $ref: `#/components/schemas/${schemaName}` }, fields || {}, '', errors, spec, coerce);
+    if (errors.length > 0) {
+        throw new ApiError('INVALID_REQUEST', `Invalid request: ${errors.map(e => e.message).join('; ')}`, { errors: errors });
+    }
+    return value;
+}
+
+module.exports = {
+    bodySource,
+    validateRequest,
+    validateValue
+};
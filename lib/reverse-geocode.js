@@ -0,0 +1,93 @@
+// Offline reverse geocoding: nearest city of the bundled gazetteer (lib/gazetteer.js)
+// No network access and no API key needed
+
+const { loadGazetteer, distanceKm } = require('./gazetteer');
+
+// Farther than this from every city, nothing is returned (overridable with maxDistance)
+const DEFAULT_MAX_DISTANCE_KM = 100;
+
+class ReverseGeocodeError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'INVALID_COORDINATES') {
+        super(message);
+        this.name = 'ReverseGeocodeError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Country name in the requested language (from the ICU data built into Node, so it works offline)
+ * @throws {ReverseGeocodeError} If the language tag is invalid
+ */
+function countryName(countryCode, language = 'en') {
+    let names;
+    try {
+        names = new Intl.DisplayNames([language], { type: 'region', fallback: 'code' });
+    } catch (e) {
+        throw new ReverseGeocodeError(`Invalid language "${language}". Use a language tag such as en, fr or ar`, 400, 'INVALID_REQUEST');
+    }
+    return names.of(countryCode);
+}
+
+/**
+ * Find the nearest city to a position
+ * @param {number|string} latitude - Decimal degrees
+ * @param {number|string} longitude - Decimal degrees
+ * @param {Object} [options]
+ * @param {string} [options.language='en'] - Language of the country name
+ * @param {number|string} [options.maxDistance] - Search radius in km (default 100)
+ * @returns {{city: string, region: string|null, countryCode: string, country: string, distanceKm: number,
+ *   place: {latitude: number, longitude: number}}|null} null if no city is within the radius
+ * @throws {ReverseGeocodeError} If the coordinates or options are invalid
+ */
+function reverseGeocode(latitude, longitude, options = {}) {
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        throw new ReverseGeocodeError('Valid latitude (-90 to 90) and longitude (-180 to 180) are required');
+    }
+    let maxDistance = DEFAULT_MAX_DISTANCE_KM;
+    if (options.maxDistance !== undefined && options.maxDistance !== null && options.maxDistance !== '') {
+        maxDistance = parseFloat(options.maxDistance);
+        if (isNaN(maxDistance) || maxDistance <= 0) {
+            throw new ReverseGeocodeError('maxDistance must be a positive number of kilometers', 400, 'INVALID_REQUEST');
+        }
+    }
+    const language = options.language || 'en';
+    // Checked before the search so an invalid language fails even when no city is found
+    countryName('ZZ', language);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const place of loadGazetteer()) {
+        const distance = distanceKm(lat, lon, place.latitude, place.longitude);
+        if (distance < nearestDistance) {
+            nearest = place;
+            nearestDistance = distance;
+        }
+    }
+    if (!nearest || nearestDistance > maxDistance) {
+        return null;
+    }
+
+    return {
+        city: nearest.name,
+        region: nearest.region,
+        countryCode: nearest.countryCode,
+        country: countryName(nearest.countryCode, language),
+        distanceKm: Math.round(nearestDistance * 10) / 10,
+        place: { latitude: nearest.latitude, longitude: nearest.longitude }
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_DISTANCE_KM,
+    ReverseGeocodeError,
+    reverseGeocode,
+    countryName
+};
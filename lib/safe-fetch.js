@@ -0,0 +1,244 @@
+// Fetcher for user-supplied URLs (imageUrl, logoUrl, archiveUrl)
+// Blocks private and link-local addresses (also after DNS resolution and on every redirect),
+// caps the download size while streaming, applies a timeout and checks the file type from its magic bytes
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+// FETCH_TIMEOUT_MS: whole download, redirects included
+const DEFAULT_TIMEOUT_MS = 15000;
+// FETCH_MAX_BYTES: default size cap (callers can pass their own, e.g. for ZIP archives)
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Addresses a server-side request must never reach: loopback, private, link-local (cloud metadata at 169.254.169.254),
+// carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+const BLOCKED_NETWORKS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['64:ff9b:1::', 48, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['fec0::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [network, prefix, type] of BLOCKED_NETWORKS) {
+    blockList.addSubnet(network, prefix, type);
+}
+
+class SafeFetchError extends Error {
+    /**
+     * @param {string} message - Error returned to the client
+     * @param {number} [status] - HTTP status
+     * @param {string} [code] - Error code from lib/api-errors.js
+     */
+    constructor(message, status = 400, code = 'FETCH_FAILED') {
+        super(message);
+        this.name = 'SafeFetchError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function getPositiveIntEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+/**
+ * Check whether an IP address is in a private, loopback, link-local or reserved range
+ */
+function isBlockedAddress(address) {
+    // FETCH_ALLOW_PRIVATE_NETWORKS=true lets a local development server load images from localhost
+    if (process.env.FETCH_ALLOW_PRIVATE_NETWORKS === 'true') return false;
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return blockList.check(address, type);
+}
+
+/**
+ * Check a host against FETCH_ALLOWED_HOSTS ("images.example.com, *.cdn.example.com"); no list allows every host
+ */
+function isAllowedHost(hostname) {
+    const list = (process.env.FETCH_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    if (list.length === 0) return true;
+    const host = hostname.toLowerCase();
+    return list.some(entry => entry.startsWith('*.')
+        ? host.endsWith(entry.slice(1))
+        : host === entry);
+}
+
+/**
+ * DNS lookup for http.request that refuses blocked addresses
+ * The connection uses the address checked here, so a second resolution (DNS rebinding) cannot swap it
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new SafeFetchError(`${hostname} resolves to a private or reserved address (${blocked.address})`, 400, 'URL_NOT_ALLOWED'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Validate a URL before connecting: http(s) only, allowlisted host, no private IP literal
+ * @returns {URL}
+ */
+function checkUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new SafeFetchError(`Invalid URL: ${String(value).substring(0, 100)}`, 400, 'INVALID_URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new SafeFetchError(`Only http and https URLs can be fetched (got ${url.protocol})`, 400, 'URL_NOT_ALLOWED');
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!isAllowedHost(hostname)) {
+        throw new SafeFetchError(`Host ${hostname} is not in the list of allowed hosts`, 403, 'URL_NOT_ALLOWED');
+    }
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw new SafeFetchError(`${hostname} is a private or reserved address`, 400, 'URL_NOT_ALLOWED');
+    }
+    return url;
+}
+
+/**
+ * One GET request, without following redirects
+ * @returns {Promise<{status: number, headers: Object, body: Buffer|null}>} body is null for redirects
+ */
+function request(url, options) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, {
+            lookup: guardedLookup,
+            headers: { 'User-Agent': 'exif-editor-webapp', 'Accept': options.accept },
+            signal: options.signal
+        }, response => {
+            const { statusCode, headers } = response;
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                return resolve({ status: statusCode, headers, body: null });
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                response.resume();
+                // A missing or forbidden file is a bad URL (400), a failing server a bad gateway (502)
+                return reject(new SafeFetchError(`The server answered ${statusCode} ${response.statusMessage || ''}`.trim(), statusCode >= 500 ? 502 : 400, 'FETCH_FAILED'));
+            }
+
+            const declared = parseInt(headers['content-length'], 10);
+            if (!isNaN(declared) && declared > options.maxBytes) {
+                response.destroy();
+                return reject(new SafeFetchError(`The file is too large (${declared} bytes, limit ${options.maxBytes})`, 413, 'PAYLOAD_TOO_LARGE'));
+            }
+
+            // Count while streaming (Content-Length can be missing or wrong) and sniff the type from the first bytes
+            const chunks = [];
+            let received = 0;
+            let sniffed = false;
+            response.on('data', chunk => {
+                received += chunk.length;
+                if (received > options.maxBytes) {
+                    response.destroy();
+                    return reject(new SafeFetchError(`The file is too large (more than ${options.maxBytes} bytes)`, 413, 'PAYLOAD_TOO_LARGE'));
+                }
+                chunks.push(chunk);
+                if (!sniffed && options.sniff && received >= options.sniffBytes) {
+                    sniffed = true;
+                    const error = options.sniff(Buffer.concat(chunks));
+                    if (error) {
+                        response.destroy();
+                        return reject(new SafeFetchError(error, 415, 'UNSUPPORTED_FORMAT'));
+                    }
+                }
+            });
+            response.on('end', () => {
+                const body = Buffer.concat(chunks);
+                if (!sniffed && options.sniff) {
+                    const error = options.sniff(body);
+                    if (error) return reject(new SafeFetchError(error, 415, 'UNSUPPORTED_FORMAT'));
+                }
+                resolve({ status: statusCode, headers, body });
+            });
+            response.on('error', reject);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Download a user-supplied URL safely
+ * @param {string} value - http(s) URL
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Size cap (default FETCH_MAX_BYTES or 25 MB)
+ * @param {number} [options.timeout] - Milliseconds for the whole download (default FETCH_TIMEOUT_MS or 15 s)
+ * @param {function(Buffer): string|null} [options.sniff] - Checks the first bytes, returns an error message for a wrong type
+ * @param {number} [options.sniffBytes=64] - Bytes collected before sniff is called
+ * @param {string} [options.accept='*\/*'] - Accept header
+ * @returns {Promise<Buffer>}
+ * @throws {SafeFetchError} If the URL is blocked, the download fails, is too large, too slow or of the wrong type
+ */
+async function safeFetch(value, options = {}) {
+    const settings = {
+        maxBytes: options.maxBytes || getPositiveIntEnv('FETCH_MAX_BYTES', DEFAULT_MAX_BYTES),
+        sniff: options.sniff || null,
+        sniffBytes: options.sniffBytes || 64,
+        accept: options.accept || '*/*',
+        signal: AbortSignal.timeout(options.timeout || getPositiveIntEnv('FETCH_TIMEOUT_MS', DEFAULT_TIMEOUT_MS))
+    };
+
+    let url = checkUrl(value);
+    for (let redirects = 0; ; redirects++) {
+        let response;
+        try {
+            response = await request(url, settings);
+        } catch (error) {
+            if (error instanceof SafeFetchError) throw error;
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+                throw new SafeFetchError(`Timed out fetching ${url.host}`, 504, 'FETCH_TIMEOUT');
+            }
+            throw new SafeFetchError(`Could not fetch ${url.host}: ${error.message}`, 502);
+        }
+        if (response.body) {
+            return response.body;
+        }
+        if (redirects >= MAX_REDIRECTS) {
+            throw new SafeFetchError(`Too many redirects (more than ${MAX_REDIRECTS})`, 502);
+        }
+        // Every hop goes through the same checks as the original URL
+        url = checkUrl(new URL(response.headers.location, url).href);
+        console.log(`Following redirect to ${url.href.substring(0, 100)}`);
+    }
+}
+
+module.exports = {
+    SafeFetchError,
+    safeFetch,
+    isBlockedAddress
+};
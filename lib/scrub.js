@@ -0,0 +1,353 @@
+// Privacy scrub: remove metadata groups or tags before an image is published
+// EXIF in JPEG is removed with piexifjs; IPTC/XMP (and EXIF in other formats) with ExifTool
+
+const piexif = require('piexifjs');
+const exifr = require('exifr');
+const { FORMATS } = require('./image-format');
+const { readWithExifTool } = require('./exiftool-pool');
+
+// Groups that can be used in allow/deny lists
+// EXIF = IFD0 + Exif IFD + Interop IFD, GPS = GPS IFD, Thumbnail = IFD1 and the embedded preview (in a TIFF, IFD1+ are pages and count as EXIF)
+const SCRUB_GROUPS = ['EXIF', 'GPS', 'MakerNotes', 'Thumbnail', 'IPTC', 'XMP'];
+
+const SCRUB_PRESETS = {
+    // Everything except the orientation, which would otherwise rotate the displayed image
+    'all': {
+        allow: ['EXIF:Orientation']
+    },
+    // Coordinates and place names (UserComment holds "Location: city, country" written by edit-exif)
+    'location': {
+        deny: [
+            'GPS',
+            'EXIF:UserComment',
+            'XMP:GPS*',
+            'XMP:City', 'XMP:State', 'XMP:Country', 'XMP:CountryCode', 'XMP:Location',
+            'XMP:LocationCreated', 'XMP:LocationShown',
+            'IPTC:City', 'IPTC:Sub-location', 'IPTC:Province-State',
+            'IPTC:Country-PrimaryLocationName', 'IPTC:Country-PrimaryLocationCode'
+        ]
+    },
+    // Serial numbers and owner names, plus maker notes and thumbnails (which can show the uncropped original)
+    'device-identifiers': {
+        deny: [
+            'MakerNotes',
+            'Thumbnail',
+            'EXIF:SerialNumber', 'EXIF:BodySerialNumber', 'EXIF:LensSerialNumber',
+            'EXIF:CameraSerialNumber', 'EXIF:InternalSerialNumber',
+            'EXIF:OwnerName', 'EXIF:CameraOwnerName', 'EXIF:ImageUniqueID',
+            'XMP:SerialNumber', 'XMP:LensSerialNumber', 'XMP:InternalSerialNumber',
+            'XMP:OwnerName', 'XMP:CameraOwnerName', 'XMP:ImageUniqueID'
+        ]
+    },
+    // Only rights information survives
+    'keep-copyright-only': {
+        allow: [
+            'EXIF:Orientation',
+            'EXIF:Copyright', 'EXIF:Artist',
+            'IPTC:CopyrightNotice', 'IPTC:By-line', 'IPTC:Credit',
+            'XMP:Rights', 'XMP:Creator', 'XMP:WebStatement', 'XMP:UsageTerms', 'XMP:Marked',
+            'XMP:Credit', 'XMP:Licensor', 'XMP:CreatorContactInfo'
+        ]
+    }
+};
+
+// exifr IPTC names that differ from ExifTool's
+const IPTC_NAMES = {
+    Sublocation: 'Sub-location',
+    State: 'Province-State',
+    CountryCode: 'Country-PrimaryLocationCode',
+    Country: 'Country-PrimaryLocationName',
+    Caption: 'Caption-Abstract',
+    Writer: 'Writer-Editor',
+    Byline: 'By-line',
+    BylineTitle: 'By-lineTitle'
+};
+
+// XMP namespace prefixes whose ExifTool group name differs from the prefix
+const XMP_GROUPS = {
+    Iptc4xmpCore: 'iptcCore',
+    Iptc4xmpExt: 'iptcExt'
+};
+
+// XMP namespaces that only carry packet structure, not metadata
+const XMP_SKIPPED_NAMESPACES = ['x', 'rdf', 'xml', 'xmlns'];
+
+// ExifTool family 0 groups that hold scrubbable metadata (File, Composite, PNG, RIFF... describe the container)
+const EXIFTOOL_SCRUB_GROUPS = ['EXIF', 'MakerNotes', 'IPTC', 'XMP'];
+
+// TIFF tags that describe the image data itself: without them the file cannot be decoded, so no scrub removes them
+// ExifTool names the strips of some TIFF files PreviewImageStart/PreviewImageLength/PreviewImage
+const TIFF_STRUCTURE_TAGS = [
+    'SubfileType', 'OldSubfileType', 'ImageWidth', 'ImageHeight', 'BitsPerSample', 'Compression',
+    'PhotometricInterpretation', 'FillOrder', 'StripOffsets', 'SamplesPerPixel', 'RowsPerStrip', 'StripByteCounts',
+    'XResolution', 'YResolution', 'ResolutionUnit', 'PlanarConfiguration', 'Predictor', 'ColorMap',
+    'TileWidth', 'TileLength', 'TileOffsets', 'TileByteCounts', 'SubIFDs', 'ExtraSamples', 'SampleFormat',
+    'JPEGTables', 'YCbCrCoefficients', 'YCbCrSubSampling', 'YCbCrPositioning', 'ReferenceBlackWhite',
+    'PreviewImageStart', 'PreviewImageLength', 'PreviewImage', 'ThumbnailOffset', 'ThumbnailLength', 'ThumbnailImage',
+    'OtherImageStart', 'OtherImageLength', 'OtherImage'
+];
+
+// piexifjs uses the EXIF spec names; ExifTool renames a few of them
+const EXIFTOOL_NAMES = { DateTime: 'ModifyDate', DateTimeDigitized: 'CreateDate' };
+
+const POINTER_TAGS = ['ExifTag', 'GPSTag', 'InteroperabilityTag'];
+
+class ScrubOptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScrubOptionError';
+    }
+}
+
+/**
+ * Validate one allow/deny entry: "GROUP", "GROUP:Tag", "*:Tag" or "Tag" ("*" wildcards allowed in tag names)
+ */
+function validateEntry(entry) {
+    if (typeof entry !== 'string' || entry.trim().length === 0) {
+        throw new ScrubOptionError('Scrub allow/deny entries must be non-empty strings');
+    }
+    const parts = entry.trim().split(':');
+    if (parts.length > 2) {
+        throw new ScrubOptionError(`Invalid scrub entry "${entry}". Use GROUP, GROUP:Tag or Tag`);
+    }
+    if (parts.length === 2 && parts[0] !== '*' && !SCRUB_GROUPS.some(g => g.toLowerCase() === parts[0].toLowerCase())) {
+        throw new ScrubOptionError(`Unknown scrub group "${parts[0]}". Use one of: ${SCRUB_GROUPS.join(', ')}`);
+    }
+    return entry.trim();
+}
+
+/**
+ * Resolve the scrub option of an edit-exif request into allow/deny rules
+ * Accepts a preset name, an array of preset names, or { preset, allow, deny }
+ * @param {string|Array|Object} option - Scrub option from the request
+ * @returns {{presets: Array<string>, allow: Array<string>|null, deny: Array<string>}}
+ * @throws {ScrubOptionError} If a preset or list entry is invalid
+ */
+function resolveScrubRules(option) {
+    const config = typeof option === 'string' || Array.isArray(option) ? { preset: option } : option;
+    if (!config || typeof config !== 'object') {
+        throw new ScrubOptionError('scrub must be a preset name or an object with preset, allow and/or deny');
+    }
+
+    const presets = config.preset === undefined ? [] : [].concat(config.preset);
+    let allow = null;
+    const deny = [];
+
+    for (const name of presets) {
+        const preset = SCRUB_PRESETS[name];
+        if (!preset) {
+            throw new ScrubOptionError(`Unknown scrub preset "${name}". Use one of: ${Object.keys(SCRUB_PRESETS).join(', ')}`);
+        }
+        if (preset.allow) allow = (allow || []).concat(preset.allow);
+        if (preset.deny) deny.push(...preset.deny);
+    }
+
+    for (const key of ['allow', 'deny']) {
+        if (config[key] !== undefined && !Array.isArray(config[key])) {
+            throw new ScrubOptionError(`scrub.${key} must be an array`);
+        }
+    }
+    if (config.allow) allow = (allow || []).concat(config.allow.map(validateEntry));
+    if (config.deny) deny.push(...config.deny.map(validateEntry));
+
+    if (allow === null && deny.length === 0) {
+        throw new ScrubOptionError('scrub needs a preset, an allow list or a deny list');
+    }
+
+    return { presets, allow, deny };
+}
+
+/**
+ * Check whether an allow/deny entry matches a tag
+ * @param {string} entry - List entry
+ * @param {{group: string, name: string}} tag - Tag to test
+ */
+function matchesEntry(entry, tag) {
+    const parts = entry.split(':');
+    if (parts.length === 1 && SCRUB_GROUPS.some(g => g.toLowerCase() === entry.toLowerCase())) {
+        return tag.group.toLowerCase() === entry.toLowerCase();
+    }
+    const [group, name] = parts.length === 2 ? parts : ['*', parts[0]];
+    if (group !== '*' && group.toLowerCase() !== tag.group.toLowerCase()) {
+        return false;
+    }
+    const pattern = new RegExp('^' + name.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+    return pattern.test(tag.name);
+}
+
+/**
+ * Decide whether a tag must be removed
+ * A tag is removed if it matches a deny entry, or if an allow list exists and it matches none of its entries
+ */
+function shouldRemove(rules, tag) {
+    if (rules.deny.some(entry => matchesEntry(entry, tag))) return true;
+    if (rules.allow && !rules.allow.some(entry => matchesEntry(entry, tag))) return true;
+    return false;
+}
+
+/**
+ * Remove tags from a piexifjs EXIF object (JPEG only)
+ * @param {Object} exifObj - piexifjs EXIF object, modified in place
+ * @param {Object} rules - Result of resolveScrubRules
+ * @returns {Array<string>} Removed tags as "GROUP:Tag"
+ */
+function scrubExifObject(exifObj, rules) {
+    const removed = [];
+    const tables = [
+        ['0th', 'EXIF', piexif.TAGS.Image],
+        ['Exif', 'EXIF', piexif.TAGS.Exif],
+        ['Interop', 'EXIF', piexif.TAGS.Interop],
+        ['GPS', 'GPS', piexif.TAGS.GPS]
+    ];
+
+    for (const [ifd, group, table] of tables) {
+        for (const id of Object.keys(exifObj[ifd] || {})) {
+            const info = table[id];
+            // IFD pointers are rebuilt by piexif.dump, they are not metadata
+            if (info && POINTER_TAGS.includes(info.name)) continue;
+            const name = info ? (EXIFTOOL_NAMES[info.name] || info.name) : `0x${Number(id).toString(16)}`;
+            // Maker notes live in the Exif IFD but are scrubbed as their own group
+            const tag = info && info.name === 'MakerNote' ? { group: 'MakerNotes', name } : { group, name };
+            if (shouldRemove(rules, tag)) {
+                delete exifObj[ifd][id];
+                removed.push(`${tag.group}:${tag.name}`);
+            }
+        }
+    }
+
+    // The thumbnail is one unit: IFD1 tags and the embedded JPEG go together
+    const hasThumbnail = exifObj.thumbnail || (exifObj['1st'] && Object.keys(exifObj['1st']).length > 0);
+    if (hasThumbnail && shouldRemove(rules, { group: 'Thumbnail', name: 'ThumbnailImage' })) {
+        exifObj['1st'] = {};
+        exifObj.thumbnail = null;
+        removed.push('Thumbnail:ThumbnailImage');
+    }
+
+    return removed;
+}
+
+/**
+ * List the IPTC and XMP tags of a JPEG with exifr (its EXIF is read by piexifjs)
+ * @param {Buffer} imageBuffer - JPEG file contents
+ * @returns {Promise<Array<{group: string, name: string, exifTool: string, value: *}>>}
+ */
+async function listJpegTags(imageBuffer) {
+    const tags = [];
+
+    // IPTC and XMP are parsed without the EXIF segment so XMP exif:* tags are not merged into the EXIF group
+    let textGroups = {};
+    try {
+        textGroups = await exifr.parse(imageBuffer, {
+            tiff: false, xmp: true, iptc: true, icc: false, jfif: false, ihdr: false,
+            mergeOutput: false, reviveValues: false
+        }) || {};
+    } catch (e) {
+        console.log('exifr could not parse IPTC/XMP:', e.message);
+    }
+
+    for (const [group, values] of Object.entries(textGroups)) {
+        if (!values || typeof values !== 'object') continue;
+        if (group === 'iptc') {
+            for (const [name, value] of Object.entries(values)) {
+                const exifToolName = IPTC_NAMES[name] || name;
+                tags.push({ group: 'IPTC', name: exifToolName, exifTool: `IPTC:${exifToolName}`, value });
+            }
+        } else if (!XMP_SKIPPED_NAMESPACES.includes(group)) {
+            const xmpGroup = XMP_GROUPS[group] || group;
+            for (const [name, value] of Object.entries(values)) {
+                const exifToolName = name.charAt(0).toUpperCase() + name.slice(1);
+                tags.push({ group: 'XMP', name: exifToolName, exifTool: `XMP-${xmpGroup}:${exifToolName}`, value });
+            }
+        }
+    }
+    return tags;
+}
+
+/**
+ * List every EXIF, GPS, maker note, thumbnail, IPTC and XMP tag of a PNG, WebP, HEIC or TIFF image with ExifTool
+ * exifr cannot parse WebP at all and misses tags in other containers, so these formats are not read with it
+ * In a TIFF the EXIF IFDs are the image: IFD1 and the next ones are pages, not a thumbnail,
+ * and the structure tags (TIFF_STRUCTURE_TAGS) are never listed
+ * @param {Buffer} imageBuffer - Image file contents
+ * @param {string} format - Key of FORMATS
+ * @returns {Promise<Array<{group: string, name: string, exifTool: string, value: *}>>}
+ * @throws {ExifToolError} If ExifTool cannot read the image
+ */
+async function listExifToolTags(imageBuffer, format) {
+    const tags = [];
+    const raw = await readWithExifTool(imageBuffer, FORMATS[format].ext);
+
+    for (const [key, value] of Object.entries(raw)) {
+        // ExifTool leaves out the family 1 group when it is the same as family 0 ("IPTC:ObjectName")
+        const parts = key.split(':');
+        const [family0, family1, name] = parts.length === 2 ? [parts[0], parts[0], parts[1]] : parts;
+        if (!name || !EXIFTOOL_SCRUB_GROUPS.includes(family0)) continue;
+        const page = format === 'tiff' && family0 === 'EXIF' && /^(IFD[1-9]\d*|SubIFD\d*)$/.test(family1);
+        if (family0 === 'MakerNotes') {
+            tags.push({ group: 'MakerNotes', name: 'MakerNote', exifTool: 'MakerNotes:all', value: '[maker notes]' });
+        } else if (format === 'tiff' && family0 === 'EXIF' && TIFF_STRUCTURE_TAGS.includes(name)) {
+            continue;
+        } else if (page) {
+            tags.push({ group: 'EXIF', name, exifTool: `${family1}:${name}`, value });
+        } else if (family1 === 'IFD1') {
+            tags.push({ group: 'Thumbnail', name: 'ThumbnailImage', exifTool: 'IFD1:all', value: '[thumbnail]' });
+        } else if (family0 === 'EXIF') {
+            tags.push({ group: family1 === 'GPS' ? 'GPS' : 'EXIF', name, exifTool: `EXIF:${name}`, value });
+        } else if (family0 === 'IPTC') {
+            tags.push({ group: 'IPTC', name, exifTool: `IPTC:${name}`, value });
+        } else if (family1 !== 'XMP-x') {
+            // XMP-x only holds the XMPToolkit that wrote the packet
+            tags.push({ group: 'XMP', name, exifTool: `${family1}:${name}`, value });
+        }
+    }
+    return tags;
+}
+
+/**
+ * List the tags present in an image with their ExifTool names and raw values
+ * JPEG: IPTC and XMP only (EXIF is handled with piexifjs); other formats: every group, read with ExifTool
+ * @param {Buffer} imageBuffer - Image file contents
+ * @param {string} format - Key of FORMATS
+ * @returns {Promise<Array<{group: string, name: string, exifTool: string, value: *}>>}
+ * @throws {ExifToolError} If ExifTool cannot read a non-JPEG image
+ */
+async function listTags(imageBuffer, format) {
+    const tags = format === 'jpeg' ? await listJpegTags(imageBuffer) : await listExifToolTags(imageBuffer, format);
+
+    // The same tag can show up twice (e.g. every IFD1 tag maps to the one thumbnail entry)
+    const unique = new Map();
+    for (const tag of tags) {
+        unique.set(`${tag.exifTool}|${tag.name}`, tag);
+    }
+    return Array.from(unique.values());
+}
+
+/**
+ * Build the ExifTool deletions for a scrub
+ * @param {Buffer} imageBuffer - Image file contents
+ * @param {Object} rules - Result of resolveScrubRules
+ * @param {string} format - Key of FORMATS; EXIF-side groups are scrubbed here for every format but JPEG
+ * @returns {Promise<{tags: Object, removed: Array<{name: string, exifTool: string}>}>} ExifTool tags set to null (delete) and the removed tags
+ * @throws {ExifToolError} If ExifTool cannot read a non-JPEG image
+ */
+async function planExifToolScrub(imageBuffer, rules, format) {
+    const tags = {};
+    const removed = [];
+    for (const tag of await listTags(imageBuffer, format)) {
+        if (shouldRemove(rules, tag)) {
+            tags[tag.exifTool] = null;
+            removed.push({ name: `${tag.group}:${tag.name}`, exifTool: tag.exifTool });
+        }
+    }
+    return { tags, removed };
+}
+
+module.exports = {
+    SCRUB_GROUPS,
+    SCRUB_PRESETS,
+    ScrubOptionError,
+    resolveScrubRules,
+    scrubExifObject,
+    planExifToolScrub,
+    listTags
+};
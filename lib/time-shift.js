@@ -0,0 +1,129 @@
+// Time shifts for capture dates
+// Fixes cameras set to the wrong timezone or still on DST: every date is moved by the same amount,
+// and the timezone offset tags can be set at the same time
+
+// Units accepted in "-1 day", "+2 hours 30 minutes"... (seconds per unit)
+const SHIFT_UNITS = {
+    d: 86400, day: 86400, days: 86400,
+    h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+    m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1
+};
+
+// Dates written by cameras and editors, as ExifTool names (EXIF ones are handled through piexifjs)
+const XMP_DATE_TAGS = [
+    'XMP-photoshop:DateCreated',
+    'XMP-xmp:CreateDate',
+    'XMP-xmp:ModifyDate',
+    'XMP-exif:DateTimeOriginal',
+    'XMP-exif:DateTimeDigitized'
+];
+
+/**
+ * Parse a time shift
+ * Accepts seconds (3600), "[+-]HH:MM[:SS]", "[+-]D HH:MM:SS" (ExifTool style) and units ("-1 day", "+2 hours 30 minutes")
+ * @returns {number|null} Shift in seconds, null if invalid or zero
+ */
+function parseTimeShift(value) {
+    let seconds = null;
+    if (typeof value === 'number') {
+        seconds = isFinite(value) ? Math.round(value) : null;
+    } else {
+        const str = String(value).trim().toLowerCase();
+        const clock = str.match(/^([+-])?(?:(\d+)\s+)?(\d+):(\d{2})(?::(\d{2}))?$/);
+        if (/^[+-]?\d+$/.test(str)) {
+            seconds = parseInt(str, 10);
+        } else if (clock) {
+            seconds = Number(clock[2] || 0) * 86400 + Number(clock[3]) * 3600 + Number(clock[4]) * 60 + Number(clock[5] || 0);
+            if (clock[1] === '-') seconds = -seconds;
+        } else {
+            const sign = str.startsWith('-') ? -1 : 1;
+            const parts = str.replace(/^[+-]\s*/, '').split(/\s*,\s*|\s+(?=\d)/);
+            seconds = 0;
+            for (const part of parts) {
+                const match = part.match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/);
+                if (!match || !SHIFT_UNITS[match[2]]) return null;
+                seconds += parseFloat(match[1]) * SHIFT_UNITS[match[2]];
+            }
+            seconds = Math.round(sign * seconds);
+        }
+    }
+    return seconds ? seconds : null;
+}
+
+/**
+ * Normalize a UTC offset for the EXIF OffsetTime tags: "+02:00", "-0500", "+2", "Z"
+ * @returns {string|null} "+HH:MM", null if invalid
+ */
+function parseUtcOffset(value) {
+    const str = String(value).trim();
+    if (/^(z|utc|gmt)$/i.test(str)) return '+00:00';
+    const match = str.match(/^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+    if (!match || Number(match[2]) > 14 || Number(match[3] || 0) > 59) return null;
+    return `${match[1]}${match[2].padStart(2, '0')}:${match[3] || '00'}`;
+}
+
+/**
+ * Format a UTC timestamp (used as a wall-clock time) as "YYYY:MM:DD HH:MM:SS"
+ */
+function formatExifDateTime(ms) {
+    const iso = new Date(ms).toISOString();
+    return `${iso.slice(0, 10).replace(/-/g, ':')} ${iso.slice(11, 19)}`;
+}
+
+/**
+ * Shift an EXIF date ("YYYY:MM:DD HH:MM:SS")
+ * @returns {string|null} Shifted date, null if the value is not a valid EXIF date
+ */
+function shiftExifDateTime(value, seconds) {
+    const match = String(value || '').trim().replace(/\0+$/, '').match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return formatExifDateTime(Date.UTC(year, month - 1, day, hour, minute, second) + seconds * 1000);
+}
+
+/**
+ * Shift an XMP date ("YYYY-MM-DDTHH:MM[:SS][.sss][+HH:MM|Z]" or a date alone) and optionally replace its offset
+ * A date without a time is shifted by whole days only
+ * @param {string} value - XMP date
+ * @param {number} seconds - Shift
+ * @param {string|null} offset - New "+HH:MM" offset, null to keep the existing one
+ * @returns {string|null} Date in ExifTool format ("YYYY:MM:DD HH:MM:SS+HH:MM"), null if not a date
+ */
+function shiftXmpDate(value, seconds, offset) {
+    const match = String(value || '').trim().match(/^(\d{4})[-:](\d{2})[-:](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second = '00', zone] = match;
+    const start = Date.UTC(+year, +month - 1, +day, +(hour || 0), +(minute || 0), +second);
+    if (hour === undefined) {
+        return formatExifDateTime(start + Math.trunc(seconds / 86400) * 86400000).slice(0, 10);
+    }
+    const existingOffset = zone ? parseUtcOffset(zone) : null;
+    return formatExifDateTime(start + seconds * 1000) + (offset || existingOffset || '');
+}
+
+/**
+ * Shift IPTC DateCreated/TimeCreated ("YYYYMMDD" and "HHMMSS+HHMM", with or without separators)
+ * @returns {{date: string, time: string}|null} ExifTool values ("YYYY:MM:DD", "HH:MM:SS+HH:MM")
+ */
+function shiftIptcDateTime(date, time, seconds, offset) {
+    const d = String(date || '').replace(/[-:]/g, '').match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!d) return null;
+    const t = String(time || '000000').replace(/:/g, '').match(/^(\d{2})(\d{2})(\d{2})([+-]\d{4})?$/);
+    if (!t) return null;
+    const shifted = formatExifDateTime(Date.UTC(+d[1], +d[2] - 1, +d[3], +t[1], +t[2], +t[3]) + seconds * 1000);
+    const existingOffset = t[4] ? parseUtcOffset(t[4]) : null;
+    return {
+        date: shifted.slice(0, 10),
+        time: shifted.slice(11) + (offset || existingOffset || '')
+    };
+}
+
+module.exports = {
+    XMP_DATE_TAGS,
+    parseTimeShift,
+    parseUtcOffset,
+    shiftExifDateTime,
+    shiftXmpDate,
+    shiftIptcDateTime
+};
@@ -0,0 +1,45 @@
+// Watermark handler (api/add-watermark.js) called with a JSON body, as Vercel does
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const handler = require('../api/add-watermark');
+
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.getHeader = name => res.headers[name.toLowerCase()];
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = value => { res.body = value; return res; };
+    res.send = value => { res.body = value; return res; };
+    res.end = () => res;
+    return res;
+}
+
+async function watermark(body) {
+    const req = { method: 'POST', headers: { 'content-type': 'application/json' }, query: {}, body };
+    const res = fakeResponse();
+    await handler(req, res);
+    return res;
+}
+
+async function png(width, height) {
+    const buffer = await sharp({ create: { width, height, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } }).png().toBuffer();
+    return `data:image/png;base64,${buffer.toString('base64')}`;
+}
+
+test('a tall, narrow logo is scaled to fit the image height', async () => {
+    const res = await watermark({ imageData: await png(200, 100), logoData: await png(2, 2000), size: 50 });
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    const metadata = await sharp(res.body).metadata();
+    assert.strictEqual(metadata.width, 200);
+    assert.strictEqual(metadata.height, 100);
+});
+
+test('a wide logo keeps the requested share of the image width', async () => {
+    const res = await watermark({ imageData: await png(200, 100), logoData: await png(40, 10), size: 25 });
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual((await sharp(res.body).metadata()).width, 200);
+});
@@ -0,0 +1,30 @@
+// autoLocation mode of /api/edit-exif (lib/exif-editor.js): only a close city is written
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { editImageMetadata } = require('../lib/exif-editor');
+const { shutdown } = require('../lib/exiftool-pool');
+
+test.after(() => shutdown());
+
+function jpeg() {
+    return sharp({ create: { width: 8, height: 8, channels: 3, background: 'white' } }).jpeg().toBuffer();
+}
+
+test('a city near the coordinates is written, with its distance', async () => {
+    const result = await editImageMetadata(await jpeg(), { dryRun: true, autoLocation: true, latitude: 30.4008, longitude: -9.5776 });
+
+    assert.strictEqual(result.location.city, 'Agadir');
+    assert.strictEqual(result.location.distanceKm, 2.9);
+    assert.ok(result.changes.some(change => /City/.test(change.tag) && change.after === 'Agadir'), JSON.stringify(result.changes));
+});
+
+test('the nearest city is not written when it is more than 25 km away', async () => {
+    // In the desert south of Zagora, about 150 km from it
+    const result = await editImageMetadata(await jpeg(), { dryRun: true, autoLocation: true, latitude: 29.0, longitude: -6.0 });
+
+    assert.strictEqual(result.location, undefined);
+    assert.deepStrictEqual(result.ignored, [{ field: 'autoLocation', reason: 'no known city within 25 km (nearest: Zagora, 149 km)' }]);
+    assert.ok(!result.changes.some(change => /City|Country/.test(change.tag)));
+});
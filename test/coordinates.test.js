@@ -0,0 +1,106 @@
+// Coordinate parser (lib/coordinates.js): every accepted format and the inputs it must refuse
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CoordinateParseError, parseCoordinates } = require('../lib/coordinates');
+
+// Agadir, Morocco: 30°24'02.9"N 9°34'39.4"W
+const DECIMAL = { latitude: 30.4008, longitude: -9.5776 };
+const DMS = { latitude: 30.4008056, longitude: -9.5776111 };
+
+function assertParsed(input, expected, format) {
+    const result = parseCoordinates(input);
+    assert.strictEqual(result.latitude, expected.latitude, input);
+    assert.strictEqual(result.longitude, expected.longitude, input);
+    assert.strictEqual(result.format, format, input);
+}
+
+function assertRefused(input, message) {
+    assert.throws(() => parseCoordinates(input), error => {
+        assert.ok(error instanceof CoordinateParseError, input);
+        assert.strictEqual(error.code, 'INVALID_COORDINATES');
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, message, input);
+        return true;
+    });
+}
+
+test('decimal degrees', () => {
+    assertParsed('30.4008, -9.5776', DECIMAL, 'decimal');
+    assertParsed('30.4008 -9.5776', DECIMAL, 'decimal');
+    assertParsed('30.4008; -9.5776', DECIMAL, 'decimal');
+    assertParsed('lat: 30.4008, lng: -9.5776', DECIMAL, 'decimal');
+});
+
+test('hemisphere letters before or after the numbers', () => {
+    assertParsed('N30.4008 W9.5776', DECIMAL, 'decimal');
+    assertParsed('30.4008N, 9.5776W', DECIMAL, 'decimal');
+    assertParsed('S30.4008 E9.5776', { latitude: -30.4008, longitude: 9.5776 }, 'decimal');
+});
+
+test('degrees, minutes and seconds', () => {
+    assertParsed('30°24\'02.9"N 9°34\'39.4"W', DMS, 'dms');
+    assertParsed('30°24′02.9″N, 9°34′39.4″W', DMS, 'dms');
+    assertParsed('30 24 02.9 N 9 34 39.4 W', DMS, 'dms');
+    assertParsed('30°24\'02.9" -9°34\'39.4"', DMS, 'dms');
+    // Degrees and decimal minutes
+    assertParsed('N 30 24.048 W 9 34.656', DECIMAL, 'dms');
+});
+
+test('longitude written first', () => {
+    assertParsed('9°34\'39.4"W 30°24\'02.9"N', DMS, 'dms');
+});
+
+test('geo: URIs', () => {
+    assertParsed('geo:30.4008,-9.5776', DECIMAL, 'geo-uri');
+    assert.strictEqual(parseCoordinates('geo:30.4008,-9.5776,59;u=10').altitude, 59);
+    assertParsed('geo:0,0?q=30.4008,-9.5776(Shop)', DECIMAL, 'geo-uri');
+});
+
+test('map URLs', () => {
+    assertParsed('https://www.google.com/maps?q=30.4008,-9.5776', DECIMAL, 'google-maps-url');
+    assertParsed('https://www.google.com/maps/@30.4008,-9.5776,17z', DECIMAL, 'google-maps-url');
+    assertParsed('https://www.google.com/maps/place/30%C2%B024\'02.9%22N+9%C2%B034\'39.4%22W/@30.40,-9.57,17z', DMS, 'google-maps-url');
+    // The place pin wins over the viewport
+    assertParsed('https://www.google.com/maps/place/Agadir/@30.42,-9.59,13z/data=!3m1!4b1!4m6!3m5!1s0x0:0x0!8m2!3d30.4008!4d-9.5776',
+        DECIMAL, 'google-maps-url');
+    assertParsed('https://www.openstreetmap.org/?mlat=30.4008&mlon=-9.5776#map=17/30.42/-9.59', DECIMAL, 'openstreetmap-url');
+    assertParsed('https://www.openstreetmap.org/#map=17/30.4008/-9.5776', DECIMAL, 'openstreetmap-url');
+    assertParsed('https://maps.apple.com/?ll=30.4008,-9.5776', DECIMAL, 'apple-maps-url');
+});
+
+test('Plus Codes, full or with a locality', () => {
+    const center = { latitude: 30.4008125, longitude: -9.5775625 };
+    assertParsed('8C2GCC2C+8X', center, 'plus-code');
+    assertParsed('CC2C+8X Agadir', center, 'plus-code');
+});
+
+test('out-of-range values are refused', () => {
+    assertRefused('91, 0', /Latitude 91 is out of range/);
+    assertRefused('0, 181', /Longitude 181 is out of range/);
+    assertRefused('30 61 00 N, 9 W', /minutes and seconds must be under 60/);
+    assertRefused('geo:95,0', /Latitude 95 is out of range/);
+});
+
+test('mixed or contradictory hemispheres are refused', () => {
+    assertRefused('30°24\'02.9"N 9°34\'39.4"N', /two latitudes/);
+    assertRefused('30°24\'02.9"E 9°34\'39.4"W', /two longitudes/);
+    assertRefused('-30 N, 9 W', /both a minus sign and a hemisphere letter/);
+});
+
+test('trailing garbage and malformed numbers are refused', () => {
+    assertRefused('30.4008, -9.5776 abc', /Could not read coordinates/);
+    assertRefused('30.4008, -9.5776x', /Could not read coordinates/);
+    assertRefused('1 2 3 4 N, 9 W', /Could not read coordinates/);
+    assertRefused('30.5 24 N, 9 W', /only the last part of a DMS coordinate can have decimals/);
+    assertRefused('hello', /Could not read coordinates/);
+    assertRefused('', /The location is empty/);
+});
+
+test('unusable URIs, links and codes are refused', () => {
+    assertRefused('geo:30,-9;crs=utm', /only wgs84 is supported/);
+    assertRefused('https://maps.app.goo.gl/abc', /Short Google Maps links/);
+    assertRefused('https://example.com/nothing', /No coordinates found in this URL/);
+    assertRefused('CC2C+8X', /needs a locality/);
+    assertRefused('CC2C+8X Nowhereville', /Locality "Nowhereville" not found/);
+});
@@ -0,0 +1,71 @@
+// Batch handler (api/edit-exif-batch.js) called with a JSON body, as Vercel does
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const handler = require('../api/edit-exif-batch');
+const { shutdown } = require('../lib/exiftool-pool');
+
+test.after(() => shutdown());
+
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.getHeader = name => res.headers[name.toLowerCase()];
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = value => { res.body = value; return res; };
+    res.send = value => { res.body = value; return res; };
+    res.end = () => res;
+    return res;
+}
+
+async function batch(body) {
+    const req = { method: 'POST', headers: { 'content-type': 'application/json' }, query: {}, body };
+    const res = fakeResponse();
+    await handler(req, res);
+    return res;
+}
+
+/**
+ * A few KB of ZIP inflating to 4 MB of zeros, whose headers claim the file is 100 bytes
+ */
+async function zipBomb(name) {
+    const zip = new JSZip();
+    zip.file(name, Buffer.alloc(4 * 1024 * 1024));
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+    // Uncompressed size: offset 22 of the local file header, offset 24 of the central directory header
+    archive.writeUInt32LE(100, 22);
+    archive.writeUInt32LE(100, archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+    return archive;
+}
+
+test('an archive entry inflating past the limit is refused, whatever size it declares', async t => {
+    const previous = process.env.IMAGE_MAX_BODY_BYTES;
+    process.env.IMAGE_MAX_BODY_BYTES = String(1024 * 1024);
+    t.after(() => {
+        if (previous === undefined) delete process.env.IMAGE_MAX_BODY_BYTES;
+        else process.env.IMAGE_MAX_BODY_BYTES = previous;
+    });
+
+    const archive = await zipBomb('bomb.jpg');
+    assert.ok(archive.length < 64 * 1024);
+    const res = await batch({ archiveData: archive.toString('base64'), manifest: [{ filename: 'bomb.jpg', title: 'Boom' }] });
+
+    assert.strictEqual(res.statusCode, 422, JSON.stringify(res.body));
+    assert.strictEqual(res.body.code, 'BATCH_FAILED');
+    const [file] = res.body.details.files;
+    assert.strictEqual(file.file, 'bomb.jpg');
+    assert.strictEqual(file.code, 'PAYLOAD_TOO_LARGE');
+    assert.strictEqual(file.details.limit, 'bodyBytes');
+});
+
+test('entries within the limit are edited', async () => {
+    const zip = new JSZip();
+    zip.file('photo.jpg', await sharp({ create: { width: 8, height: 8, channels: 3, background: 'white' } }).jpeg().toBuffer());
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    const res = await batch({ archiveData: archive.toString('base64'), manifest: [{ filename: 'photo.jpg', title: 'Fine' }] });
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.headers['x-batch-succeeded'], '1');
+});
@@ -0,0 +1,47 @@
+// JSON file stores (lib/json-file-store.js) behind the presets and the geocode cache
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore } = require('../lib/json-file-store');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exif-editor-store-'));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a missing file is an empty store', async () => {
+    const store = new JsonFileStore(() => path.join(dir, 'missing', 'store.json'), 'items');
+    assert.deepStrictEqual(await store.read(), {});
+});
+
+test('concurrent updates are applied one after the other', async () => {
+    const file = path.join(dir, 'counter.json');
+    const store = new JsonFileStore(() => file, 'items');
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.update(items => { items[`n${i}`] = i; })));
+
+    assert.strictEqual(Object.keys(await store.read()).length, 10);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['items']);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('a failed update writes nothing and does not block the next ones', async () => {
+    const store = new JsonFileStore(() => path.join(dir, 'failing.json'), 'items');
+    await store.update(items => { items.a = 1; });
+    await assert.rejects(store.update(items => {
+        items.b = 2;
+        throw new Error('refused');
+    }), /refused/);
+    await store.update(items => { items.c = 3; });
+
+    assert.deepStrictEqual(await store.read(), { a: 1, c: 3 });
+});
+
+test('a corrupt file fails, unless the store is a cache', async () => {
+    const file = path.join(dir, 'corrupt.json');
+    fs.writeFileSync(file, '{"items": ');
+
+    await assert.rejects(new JsonFileStore(() => file, 'items').read(), SyntaxError);
+    assert.deepStrictEqual(await new JsonFileStore(() => file, 'items', { ignoreUnreadable: true }).read(), {});
+});
@@ -0,0 +1,92 @@
+// Batch manifest parsing (lib/manifest.js): CSV cells, JSON layouts and the manifests it must refuse
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ManifestError, parseManifest, parseCsv } = require('../lib/manifest');
+
+function assertRefused(manifest, message) {
+    assert.throws(() => parseManifest(manifest), error => {
+        assert.ok(error instanceof ManifestError);
+        assert.strictEqual(error.code, 'INVALID_MANIFEST');
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('CSV cells: quoted commas, newlines and escaped quotes', () => {
+    const rows = parseCsv('filename,description\na.jpg,"Beach, sunset"\nb.jpg,"Line one\nline two"\nc.jpg,"She said ""hi"""\n');
+    assert.deepStrictEqual(rows, [
+        ['filename', 'description'],
+        ['a.jpg', 'Beach, sunset'],
+        ['b.jpg', 'Line one\nline two'],
+        ['c.jpg', 'She said "hi"']
+    ]);
+});
+
+test('CSV line endings, blank lines and a missing final newline', () => {
+    assert.deepStrictEqual(parseCsv('a,b\r\n1,2\r\n\r\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+    // An empty last cell is kept
+    assert.deepStrictEqual(parseCsv('a,b\n1,\n'), [['a', 'b'], ['1', '']]);
+});
+
+test('an unterminated quote is refused', () => {
+    assert.throws(() => parseCsv('filename,title\na.jpg,"open'), /unterminated quoted value/);
+});
+
+test('a CSV manifest with a BOM, aliases, a defaults row and empty cells', () => {
+    const manifest = parseManifest(Buffer.from('\uFEFFFile,lat,lng,title\n*,,,Trip\na.jpg,30.4008,-9.5776,\nb.jpg,,,"Dunes, Sahara"\n'));
+    assert.deepStrictEqual(manifest, {
+        format: 'csv',
+        defaults: { title: 'Trip' },
+        rows: [
+            { filename: 'a.jpg', fields: { latitude: '30.4008', longitude: '-9.5776' } },
+            { filename: 'b.jpg', fields: { title: 'Dunes, Sahara' } }
+        ]
+    });
+});
+
+test('duplicate rows and a second defaults row are refused', () => {
+    assertRefused('filename,title\na.jpg,One\na.jpg,Two\n', /Duplicate manifest row for "a.jpg"/);
+    assertRefused('filename,title\n*,One\ndefaults,Two\n', /more than one defaults row/);
+    assertRefused([{ filename: 'a.jpg' }, { filename: 'a.jpg' }], /Duplicate manifest row for "a.jpg"/);
+});
+
+test('a CSV manifest without a filename column is refused', () => {
+    assertRefused('image,title\na.jpg,One\n', /needs a "filename" column/);
+    assertRefused('filename,title\n,One\n', /Manifest row 1 has no filename/);
+    assertRefused('', /A manifest \(CSV or JSON\) is required/);
+    assertRefused('\n\n', /The manifest is empty/);
+});
+
+test('a JSON manifest as an array of rows', () => {
+    const manifest = parseManifest('[{"filename": "a.jpg", "lat": 30.4008, "imageUrl": "https://example.com/x.jpg"}, {"name": "b.jpg", "rating": 5}]');
+    assert.deepStrictEqual(manifest, {
+        format: 'json',
+        defaults: null,
+        rows: [
+            { filename: 'a.jpg', fields: { latitude: 30.4008 } },
+            { filename: 'b.jpg', fields: { rating: 5 } }
+        ]
+    });
+});
+
+test('a JSON manifest as an object, with files as rows or keyed by name', () => {
+    const expected = {
+        format: 'json',
+        defaults: { artist: 'Me' },
+        rows: [{ filename: 'a.jpg', fields: { title: 'One' } }]
+    };
+    assert.deepStrictEqual(parseManifest({ defaults: { artist: 'Me' }, files: [{ filename: 'a.jpg', title: 'One' }] }), expected);
+    assert.deepStrictEqual(parseManifest({ defaults: { artist: 'Me' }, files: { 'a.jpg': { title: 'One' } } }), expected);
+    // Without "files", the other keys are the file names
+    assert.deepStrictEqual(parseManifest('{"defaults": {"artist": "Me"}, "a.jpg": {"title": "One"}}'), expected);
+});
+
+test('malformed JSON manifests are refused', () => {
+    assertRefused('{"files": [', /Invalid JSON manifest/);
+    assertRefused({ defaults: [], files: [] }, /defaults must be an object/);
+    assertRefused({ files: 'a.jpg' }, /must be an array of rows or an object keyed by file name/);
+    assertRefused({ files: { 'a.jpg': 'One' } }, /Manifest entry "a.jpg" must be an object/);
+    assertRefused(['a.jpg'], /Manifest row 1 must be an object/);
+});
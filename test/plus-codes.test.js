@@ -0,0 +1,135 @@
+// Open Location Code (lib/plus-codes.js) against the official test vectors
+// Rows transcribed from test_data/ of github.com/google/open-location-code (encoding, decoding, validity, short codes)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValid, isShort, isFull, encode, decode, recoverNearest, shorten } = require('../lib/plus-codes');
+
+// latitude, longitude, code length, code
+const ENCODING = [
+    [20.375, 2.775, 6, '7FG49Q00+'],
+    [20.3700625, 2.7821875, 10, '7FG49QCJ+2V'],
+    [20.3701125, 2.782234375, 11, '7FG49QCJ+2VX'],
+    [20.3701135, 2.78223535156, 13, '7FG49QCJ+2VXGJ'],
+    [47.0000625, 8.0000625, 10, '8FVC2222+22'],
+    [-41.2730625, 174.7859375, 10, '4VCPPQGP+Q9'],
+    [0.5, -179.5, 4, '62G20000+'],
+    [-89.5, -179.5, 4, '22220000+'],
+    [20.5, 2.5, 4, '7FG40000+'],
+    [-89.9999375, -179.9999375, 10, '22222222+22'],
+    [0.5, 179.5, 4, '6VGX0000+'],
+    [1, 1, 11, '6FH32222+222'],
+    // Latitude 90 and over is clipped, longitude 180 and over wraps around
+    [90, 1, 4, 'CFX30000+'],
+    [92, 1, 4, 'CFX30000+'],
+    [1, 180, 4, '62H20000+'],
+    [1, 181, 4, '62H30000+'],
+    [-90, -180, 10, '22222222+22'],
+    [40.6, 129.7, 8, '8QGFJP22+']
+];
+
+// code, code length, south, west, north, east
+const DECODING = [
+    ['7FG49Q00+', 6, 20.35, 2.75, 20.4, 2.8],
+    ['7FG49QCJ+2V', 10, 20.37, 2.782125, 20.370125, 2.78225],
+    ['7FG49QCJ+2VX', 11, 20.3701, 2.78221875, 20.370125, 2.78225],
+    ['7FG49QCJ+2VXGJ', 13, 20.370113, 2.782234375, 20.370114, 2.78223632813],
+    ['8FVC2222+22', 10, 47.0, 8.0, 47.000125, 8.000125],
+    ['4VCPPQGP+Q9', 10, -41.273125, 174.785875, -41.273, 174.786],
+    ['62G20000+', 4, 0.0, -180.0, 1, -179],
+    ['22220000+', 4, -90, -180, -89, -179],
+    ['7FG40000+', 4, 20.0, 2.0, 21.0, 3.0],
+    ['22222222+22', 10, -90.0, -180.0, -89.999875, -179.999875],
+    ['6VGX0000+', 4, 0, 179, 1, 180],
+    ['6FH32222+222', 11, 1, 1, 1.000025, 1.00003125],
+    ['CFX30000+', 4, 89, 1, 90, 2],
+    ['62H20000+', 4, 1, -180, 2, -179],
+    ['62H30000+', 4, 1, -179, 2, -178],
+    ['CFX3X2X2+X2', 10, 89.999875, 1, 90, 1.000125]
+];
+
+// code, isValid, isShort, isFull
+const VALIDITY = [
+    ['8FWC2345+G6', true, false, true],
+    ['8FWC2345+G6G', true, false, true],
+    ['8fwc2345+', true, false, true],
+    ['8FWCX400+', true, false, true],
+    ['WC2345+G6g', true, true, false],
+    ['2345+G6', true, true, false],
+    ['45+G6', true, true, false],
+    ['+G6', true, true, false],
+    ['G+', false, false, false],
+    ['+', false, false, false],
+    ['8FWC2345+G', false, false, false],
+    ['8FWC2_45+G6', false, false, false],
+    ['8FWC2η45+G6', false, false, false],
+    ['8FWC2345+G6+', false, false, false],
+    ['8FWC2345G6+', false, false, false],
+    ['8FWC2300+G6', false, false, false],
+    ['WC2300+G6g', false, false, false],
+    ['WC2345+G', false, false, false],
+    ['WC2300+', false, false, false]
+];
+
+// full code, reference latitude, reference longitude, short code, test type (B: shorten and recover, R: recover only)
+const SHORT_CODES = [
+    ['9C3W9QCJ+2VX', 51.3701125, -1.217765625, '+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3708675, -1.217765625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3693575, -1.217765625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3701125, -1.218520625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3701125, -1.217010625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3852125, -1.217765625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3550125, -1.217765625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3701125, -1.232865625, 'CJ+2VX', 'B'],
+    ['9C3W9QCJ+2VX', 51.3701125, -1.202665625, 'CJ+2VX', 'B'],
+    // Recovery across the cell edges
+    ['8FJFW222+', 42.899, 9.012, '22+', 'B'],
+    ['796RXG22+', 14.95125, -23.5001, '22+', 'B'],
+    ['8FVC2GGG+GG', 46.976, 8.526, '2GGG+GG', 'B'],
+    ['8FRCXGGG+GG', 47.026, 8.526, 'XGGG+GG', 'B'],
+    ['8FVC9G8F+6X', 47.5, 8.5, '9G8F+6X', 'B'],
+    // Near the poles
+    ['CFX22222+22', 89.6, 0.0, '2222+22', 'R'],
+    ['2CXXXXXX+XX', -81.0, 0.0, 'XXXXXX+XX', 'R']
+];
+
+test('encoding', () => {
+    for (const [latitude, longitude, length, code] of ENCODING) {
+        assert.strictEqual(encode(latitude, longitude, length), code, `${latitude},${longitude} (${length})`);
+    }
+});
+
+test('decoding', () => {
+    for (const [code, length, south, west, north, east] of DECODING) {
+        const area = decode(code);
+        assert.strictEqual(area.codeLength, length, code);
+        // The official tests compare the bounds to 1e-10
+        for (const [name, expected] of Object.entries({ south, west, north, east })) {
+            assert.ok(Math.abs(area[name] - expected) < 1e-10, `${code} ${name}: ${area[name]} != ${expected}`);
+        }
+    }
+});
+
+test('validity', () => {
+    for (const [code, valid, short, full] of VALIDITY) {
+        assert.deepStrictEqual([isValid(code), isShort(code), isFull(code)], [valid, short, full], code);
+    }
+});
+
+test('short codes are recovered to the nearest matching full code', () => {
+    for (const [full, latitude, longitude, short] of SHORT_CODES) {
+        assert.strictEqual(recoverNearest(short, latitude, longitude), full, `${short} near ${latitude},${longitude}`);
+    }
+});
+
+test('shortening drops the first four digits when the reference is close enough', () => {
+    // Unlike the reference library, shorten() never drops more than four digits (see its doc comment),
+    // so only the four-digit rows apply
+    for (const [full, latitude, longitude, short, type] of SHORT_CODES) {
+        if (type !== 'B' || full.length - short.length !== 4) continue;
+        assert.strictEqual(shorten(full, latitude, longitude), short, `${full} near ${latitude},${longitude}`);
+    }
+    assert.strictEqual(shorten('9C3W9QCJ+2VX', 51.3701125, -1.217765625), '9QCJ+2VX');
+    // Too far from the reference: the code stays full
+    assert.strictEqual(shorten('9C3W9QCJ+2VX', 48.8566, 2.3522), '9C3W9QCJ+2VX');
+});
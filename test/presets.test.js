@@ -0,0 +1,58 @@
+// Presets API (api/presets.js) with the fields the web interface saves
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exif-editor-presets-'));
+process.env.PRESETS_FILE = path.join(dir, 'presets.json');
+
+const handler = require('../api/presets');
+const { editImageMetadata } = require('../lib/exif-editor');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.getHeader = name => res.headers[name.toLowerCase()];
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = value => { res.body = value; return res; };
+    res.send = value => { res.body = value; return res; };
+    res.end = () => res;
+    return res;
+}
+
+async function call(method, body) {
+    const req = { method, headers: { 'content-type': 'application/json' }, query: {}, body };
+    const res = fakeResponse();
+    await handler(req, res);
+    return res;
+}
+
+test('a preset saved with "Embed Plus Code" checked is accepted and embeds the code', async () => {
+    // collectFormData() in app.js sends plusCode: true next to the coordinates
+    const fields = { city: 'Agadir', latitude: 30.4008, longitude: -9.5776, plusCode: true };
+    const res = await call('POST', { name: 'Agadir', fields });
+    assert.strictEqual(res.statusCode, 201, JSON.stringify(res.body));
+    assert.deepStrictEqual(res.body.fields, fields);
+
+    const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'white' } }).jpeg().toBuffer();
+    const result = await editImageMetadata(jpeg, { dryRun: true }, res.body.fields);
+    assert.strictEqual(result.plusCode, '8C2GCC2C+8X');
+});
+
+test('the request overrides the plusCode of the preset', async () => {
+    const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'white' } }).jpeg().toBuffer();
+    const result = await editImageMetadata(jpeg, { dryRun: true, plusCode: false }, { latitude: 30.4008, longitude: -9.5776, plusCode: true });
+    assert.strictEqual(result.plusCode, undefined);
+});
+
+test('unknown preset fields are still refused', async () => {
+    const res = await call('POST', { name: 'Other', fields: { city: 'Agadir', scrub: 'all' } });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.code, 'INVALID_REQUEST');
+});
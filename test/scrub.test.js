@@ -0,0 +1,43 @@
+// Privacy scrub of non-JPEG images (lib/scrub.js through lib/exif-editor.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { editImageMetadata } = require('../lib/exif-editor');
+const { readWithExifTool, shutdown } = require('../lib/exiftool-pool');
+
+test.after(() => shutdown());
+
+async function taggedTiff() {
+    const tiff = await sharp({ create: { width: 16, height: 12, channels: 3, background: 'blue' } }).tiff().toBuffer();
+    const result = await editImageMetadata(tiff, { title: 'Harbour', copyright: 'Jane Doe', latitude: 30.42, longitude: -9.6 });
+    return result.buffer;
+}
+
+test('scrub "all" keeps a TIFF decodable', async () => {
+    const result = await editImageMetadata(await taggedTiff(), { scrub: 'all' });
+
+    const metadata = await sharp(result.buffer).metadata();
+    assert.strictEqual(metadata.format, 'tiff');
+    assert.strictEqual(metadata.width, 16);
+    assert.strictEqual(metadata.height, 12);
+    await sharp(result.buffer).raw().toBuffer();
+
+    const raw = await readWithExifTool(result.buffer, 'tif');
+    assert.strictEqual(raw['EXIF:IFD0:ImageWidth'], 16);
+    assert.strictEqual(raw['EXIF:IFD0:Copyright'], undefined);
+    assert.strictEqual(raw['EXIF:GPS:GPSLatitude'], undefined);
+});
+
+test('scrub "all" reports the metadata it removed from a TIFF, not its structure', async () => {
+    const result = await editImageMetadata(await taggedTiff(), { scrub: 'all' });
+
+    assert.ok(result.removed.includes('EXIF:Copyright'));
+    assert.ok(result.removed.includes('GPS:GPSLatitude'));
+    assert.ok(result.removed.includes('XMP:Title'));
+    assert.ok(result.removed.includes('IPTC:ObjectName'));
+    for (const tag of ['EXIF:ImageWidth', 'EXIF:ImageHeight', 'EXIF:Compression', 'EXIF:StripOffsets', 'EXIF:XResolution']) {
+        assert.ok(!result.removed.includes(tag), `${tag} must not be removed`);
+    }
+    assert.ok(!result.removed.some(tag => tag.startsWith('Thumbnail:')));
+});